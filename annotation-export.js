@@ -0,0 +1,154 @@
+// 高亮、笔记和书签的导出 / 导入格式
+// 渲染进程（<script> 全局变量 AnnotationExport）、server.js 和 main.js（require）共用同一份实现，
+// 保证网页端和桌面端导出的文件完全一致
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    // Electron 渲染进程里同时存在 module，仍然要挂到全局
+    if (root) root.AnnotationExport = api;
+})(typeof self !== 'undefined' ? self : null, function () {
+    const EXPORT_VERSION = 1;
+
+    function pad(number) {
+        return String(number).padStart(2, '0');
+    }
+
+    // 固定格式的时间，不受运行环境区域设置影响
+    function formatTime(isoString) {
+        const date = new Date(isoString);
+        if (isNaN(date.getTime())) return '';
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    // 书名的短哈希（FNV-1a），用来区分替换非法字符后重名的文件
+    function shortHash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0').slice(0, 6);
+    }
+
+    // 书名转成可用的文件名；保留原扩展名，「书名.txt」和「书名.epub」的笔记不会互相覆盖
+    function getMarkdownFileName(fileName) {
+        const title = String(fileName).replace(/[\\/:*?"<>|]/g, '_').trim();
+        return `${title || '未命名'}.md`;
+    }
+
+    function quote(text) {
+        return String(text).split('\n').map(line => `> ${line}`).join('\n');
+    }
+
+    // 一本书的 Markdown：按书中位置排列，同一章的标注归在同一个二级标题下，书签附在最后
+    function buildBookMarkdown(fileName, annotations = [], bookmarks = []) {
+        const lines = [`# ${String(fileName).replace(/\.[^.]+$/, '')}`, ''];
+
+        let lastChapter = null;
+        annotations.slice().sort((a, b) => a.start - b.start).forEach(annotation => {
+            const chapterTitle = annotation.chapterTitle || '未知章节';
+            if (chapterTitle !== lastChapter) {
+                lines.push(`## ${chapterTitle}`, '');
+                lastChapter = chapterTitle;
+            }
+            lines.push(quote(annotation.text), '');
+            if (annotation.note) lines.push(annotation.note, '');
+            lines.push(`*${formatTime(annotation.updatedAt || annotation.createdAt)}*`, '');
+        });
+
+        if (bookmarks.length > 0) {
+            lines.push('## 书签', '');
+            bookmarks.slice().sort((a, b) => a.offset - b.offset).forEach(bookmark => {
+                const chapter = bookmark.chapterTitle && bookmark.chapterTitle !== bookmark.label ? `（${bookmark.chapterTitle}）` : '';
+                lines.push(`- ${bookmark.label}${chapter} — ${formatTime(bookmark.createdAt)}`);
+            });
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+
+    // 所有导出 Markdown 的书：有标注或书签的书各一份
+    function buildMarkdownFiles(annotations = {}, bookmarks = {}) {
+        const fileNames = [...new Set([...Object.keys(annotations), ...Object.keys(bookmarks)])];
+        const usedNames = new Set();
+        return fileNames
+            .filter(fileName => (annotations[fileName] || []).length > 0 || (bookmarks[fileName] || []).length > 0)
+            .map(fileName => {
+                // 不同书名替换非法字符后可能得到同一个文件名，重名时加上原书名的短哈希
+                let name = getMarkdownFileName(fileName);
+                if (usedNames.has(name.toLowerCase())) name = name.replace(/\.md$/, `-${shortHash(String(fileName))}.md`);
+                usedNames.add(name.toLowerCase());
+                return {
+                    name,
+                    content: buildBookMarkdown(fileName, annotations[fileName], bookmarks[fileName])
+                };
+            });
+    }
+
+    // 无损 JSON 导出：原样保存全部字段，可以再导入
+    function buildExportJson(annotations = {}, bookmarks = {}) {
+        return {
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            annotations: annotations,
+            bookmarks: bookmarks
+        };
+    }
+
+    function isBookMap(value) {
+        return value && typeof value === 'object' && !Array.isArray(value) &&
+            Object.values(value).every(Array.isArray);
+    }
+
+    // 校验导入的数据，格式不对时抛出错误
+    function parseExportJson(data) {
+        if (typeof data === 'string') data = JSON.parse(data);
+        if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+            throw new Error('不是有效的导出文件');
+        }
+        if (data.version > EXPORT_VERSION) {
+            throw new Error('导出文件的版本过新，请升级阅读器');
+        }
+        const annotations = data.annotations || {};
+        const bookmarks = data.bookmarks || {};
+        if (!isBookMap(annotations) || !isBookMap(bookmarks)) {
+            throw new Error('导出文件内容已损坏');
+        }
+        return { annotations, bookmarks };
+    }
+
+    // 按 id 合并两份按书名分组的数据；同一条记录保留更新时间较晚的一份
+    function mergeBookMaps(current = {}, incoming = {}) {
+        const merged = {};
+        Object.keys(current).forEach(fileName => {
+            merged[fileName] = current[fileName].slice();
+        });
+        let added = 0;
+        Object.keys(incoming).forEach(fileName => {
+            const list = merged[fileName] || [];
+            incoming[fileName].forEach(item => {
+                const index = list.findIndex(existing => existing.id === item.id);
+                if (index === -1) {
+                    list.push(item);
+                    added++;
+                } else if ((item.updatedAt || item.createdAt || '') > (list[index].updatedAt || list[index].createdAt || '')) {
+                    list[index] = item;
+                }
+            });
+            if (list.length > 0) merged[fileName] = list;
+        });
+        return { merged, added };
+    }
+
+    return {
+        EXPORT_VERSION,
+        formatTime,
+        getMarkdownFileName,
+        buildBookMarkdown,
+        buildMarkdownFiles,
+        buildExportJson,
+        parseExportJson,
+        mergeBookMaps
+    };
+});
@@ -0,0 +1,208 @@
+// 压缩包中的书：把压缩包里的成员当作虚拟文件，路径写作「压缩包路径!/包内路径」，如 /books/pack.zip!/folder/book.txt
+// ZIP 直接解析；7z 和 RAR 调用系统中的 7-Zip 命令行（7z / 7za / 7zz），没有安装时跳过这些压缩包
+// 读取、统计和判断是否存在都经过这里，普通文件按原样处理
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const fsPromises = fs.promises;
+const ZipReader = require('./zip-reader');
+
+const ARCHIVE_EXTENSIONS = ['.zip', '.7z', '.rar'];
+const SEPARATOR = '!/';
+const SEVEN_ZIP_COMMANDS = ['7z', '7za', '7zz'];
+const MAX_MEMBER_SIZE = ZipReader.MAX_ENTRY_SIZE; // 成员解压后的大小上限，7z 和 RAR 通过 maxBuffer 限制
+const LISTING_CACHE_SIZE = 20;
+
+// key: 压缩包路径, value: { size, mtime, archive }；压缩包没变时不必重新读取目录
+const listingCache = new Map();
+// 最近一次分片读取的虚拟文件，逐片读取时不必每片都重新解压
+let lastChunkSource = null;
+let sevenZipCommand;
+
+function isArchiveFile(name) {
+    return ARCHIVE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+// 拆分虚拟路径，普通路径返回 null
+function parseVirtualPath(filePath) {
+    const text = String(filePath || '');
+    let index = text.indexOf(SEPARATOR);
+    while (index !== -1) {
+        if (isArchiveFile(text.slice(0, index))) {
+            return { archivePath: text.slice(0, index), memberPath: text.slice(index + SEPARATOR.length) };
+        }
+        index = text.indexOf(SEPARATOR, index + 1);
+    }
+    return null;
+}
+
+function isVirtualPath(filePath) {
+    return parseVirtualPath(filePath) !== null;
+}
+
+function toVirtualPath(archivePath, memberPath) {
+    return archivePath + SEPARATOR + memberPath;
+}
+
+// 虚拟文件所在的压缩包，普通文件返回自身
+function getContainerPath(filePath) {
+    const parsed = parseVirtualPath(filePath);
+    return parsed ? parsed.archivePath : filePath;
+}
+
+function run(command, args, options = {}) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { maxBuffer: MAX_MEMBER_SIZE, windowsHide: true, ...options }, (error, stdout) => {
+            if (error) reject(error);
+            else resolve(stdout);
+        });
+    });
+}
+
+// 找到可用的 7-Zip 命令，结果缓存
+async function findSevenZip() {
+    if (sevenZipCommand !== undefined) return sevenZipCommand;
+    sevenZipCommand = null;
+    for (const command of SEVEN_ZIP_COMMANDS) {
+        try {
+            await run(command, ['i'], { maxBuffer: 4 * 1024 * 1024 });
+            sevenZipCommand = command;
+            break;
+        } catch (error) {
+            // 继续尝试下一个
+        }
+    }
+    if (!sevenZipCommand) console.warn('未找到 7-Zip 命令行，无法读取 .7z 和 .rar 压缩包');
+    return sevenZipCommand;
+}
+
+// 解析 7z l -slt 的输出：「----------」之后每个成员是一组「键 = 值」
+function parseSevenZipListing(output) {
+    const start = output.indexOf('\n----------');
+    if (start === -1) return [];
+    return output.slice(start).split(/\r?\n\r?\n/).map(block => {
+        const fields = {};
+        block.split(/\r?\n/).forEach(line => {
+            const separator = line.indexOf(' = ');
+            if (separator !== -1) fields[line.slice(0, separator)] = line.slice(separator + 3);
+        });
+        return fields;
+    }).filter(fields => fields.Path).map(fields => ({
+        name: fields.Path.replace(/\\/g, '/'),
+        size: Number(fields.Size) || 0,
+        mtime: fields.Modified ? new Date(fields.Modified.replace(' ', 'T')).getTime() || 0 : 0,
+        isDirectory: fields.Folder === '+' || /D/.test(fields.Attributes || '')
+    }));
+}
+
+async function openSevenZip(archivePath) {
+    const command = await findSevenZip();
+    if (!command) throw new Error(`需要安装 7-Zip 才能读取 ${path.basename(archivePath)}`);
+    const listing = await run(command, ['l', '-slt', '--', archivePath], { maxBuffer: 64 * 1024 * 1024 });
+    const entries = parseSevenZipListing(listing.toString());
+    const names = new Set(entries.map(entry => entry.name));
+    return {
+        entries,
+        has: name => names.has(name),
+        // -spd 关闭通配符，成员名里的 * ? 按字面匹配；-- 之后的参数不再当作开关，避免以 - 开头的文件名被误解析
+        read: name => run(command, ['x', '-so', '-spd', '--', archivePath, name], { encoding: 'buffer' })
+    };
+}
+
+// 打开压缩包，目录按压缩包的大小和修改时间缓存
+async function openArchive(archivePath) {
+    const stat = await fsPromises.stat(archivePath);
+    const cached = listingCache.get(archivePath);
+    if (cached && cached.size === stat.size && cached.mtime === stat.mtime.getTime()) return cached.archive;
+
+    const archive = path.extname(archivePath).toLowerCase() === '.zip'
+        ? await ZipReader.openZipFile(archivePath)
+        : await openSevenZip(archivePath);
+    listingCache.delete(archivePath);
+    listingCache.set(archivePath, { size: stat.size, mtime: stat.mtime.getTime(), archive });
+    if (listingCache.size > LISTING_CACHE_SIZE) listingCache.delete(listingCache.keys().next().value);
+    return archive;
+}
+
+// 压缩包中的文件（不含目录）：[{ path: 虚拟路径, name: 包内路径, size, mtime }]
+// 成员没有修改时间时使用压缩包的修改时间
+async function listMembers(archivePath) {
+    const stat = await fsPromises.stat(archivePath);
+    const archive = await openArchive(archivePath);
+    return archive.entries
+        .filter(entry => !entry.isDirectory)
+        .map(entry => ({
+            path: toVirtualPath(archivePath, entry.name),
+            name: entry.name,
+            size: entry.size,
+            mtime: entry.mtime || stat.mtime.getTime()
+        }));
+}
+
+async function findMember(filePath) {
+    const { archivePath, memberPath } = parseVirtualPath(filePath);
+    const member = (await listMembers(archivePath)).find(item => item.name === memberPath);
+    if (!member) {
+        const error = new Error(`压缩包中没有文件: ${filePath}`);
+        error.code = 'ENOENT';
+        throw error;
+    }
+    return member;
+}
+
+// 读取文件内容；虚拟文件从压缩包中解压，超过大小上限的成员不解压
+async function readFile(filePath) {
+    const parsed = parseVirtualPath(filePath);
+    if (!parsed) return fsPromises.readFile(filePath);
+    const member = await findMember(filePath);
+    if (member.size > MAX_MEMBER_SIZE) throw new Error(`压缩包中的文件过大: ${filePath}`);
+    return (await openArchive(parsed.archivePath)).read(parsed.memberPath);
+}
+
+// 文件大小和修改时间，格式与 fs.Stats 中用到的字段一致
+async function stat(filePath) {
+    if (!isVirtualPath(filePath)) return fsPromises.stat(filePath);
+    const member = await findMember(filePath);
+    return { size: member.size, mtime: new Date(member.mtime), mtimeMs: member.mtime };
+}
+
+async function exists(filePath) {
+    try {
+        await stat(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// 读取一段内容；虚拟文件整体解压后截取
+async function readChunk(filePath, start, length) {
+    if (!isVirtualPath(filePath)) {
+        const fd = await fsPromises.open(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(length);
+            const { bytesRead } = await fd.read(buffer, 0, length, start);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            await fd.close();
+        }
+    }
+    const { mtime } = await stat(filePath);
+    if (!lastChunkSource || lastChunkSource.path !== filePath || lastChunkSource.mtime !== mtime.getTime()) {
+        lastChunkSource = { path: filePath, mtime: mtime.getTime(), buffer: await readFile(filePath) };
+    }
+    return lastChunkSource.buffer.subarray(start, start + length);
+}
+
+module.exports = {
+    ARCHIVE_EXTENSIONS,
+    isArchiveFile,
+    isVirtualPath,
+    parseVirtualPath,
+    getContainerPath,
+    listMembers,
+    readFile,
+    readChunk,
+    stat,
+    exists
+};
@@ -0,0 +1,129 @@
+// 书籍内容指纹与重复检测
+// 指纹基于解码后的规范化文本（去掉空白和标点），与文件名、编码、排版无关：
+// 章节标题和段落各自取哈希，保留数值最小的一组（bottom-k MinHash），两本书共有的比例近似于内容重合度
+const crypto = require('crypto');
+const path = require('path');
+const { splitChapters } = require('./book-text');
+
+const FINGERPRINT_SIZE = 64;
+const MIN_PARAGRAPH_LENGTH = 20;
+const DUPLICATE_THRESHOLD = 0.5;
+const MAX_BUCKET_SIZE = 100; // 太多书共有的哈希（如「序章」「尾声」）不用来找候选
+
+function normalize(text) {
+    return text.replace(/[\s\p{P}\p{S}]+/gu, '').toLowerCase();
+}
+
+function shortHash(text) {
+    return crypto.createHash('md5').update(text).digest('hex').slice(0, 12);
+}
+
+// 计算指纹：返回按大小排序的哈希数组，长度不超过 FINGERPRINT_SIZE
+function computeFingerprint(text) {
+    const hashes = new Set();
+    splitChapters(text).forEach(chapter => {
+        const title = normalize(chapter.title);
+        if (title) hashes.add('t' + shortHash(title));
+    });
+    text.split('\n').forEach(line => {
+        const paragraph = normalize(line);
+        if (paragraph.length >= MIN_PARAGRAPH_LENGTH) hashes.add('p' + shortHash(paragraph));
+    });
+    // 标题和段落前缀不同，比较时只按哈希部分排序，两类混合抽样
+    return [...hashes].sort((a, b) => a.slice(1).localeCompare(b.slice(1))).slice(0, FINGERPRINT_SIZE);
+}
+
+// 用两个指纹估计内容重合度（Jaccard）：取并集中最小的 k 个，看其中有多少同时出现在两边
+function estimateSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || b.length === 0) return 0;
+    const setA = new Set(a);
+    const setB = new Set(b);
+    const union = [...new Set([...a, ...b])]
+        .sort((x, y) => x.slice(1).localeCompare(y.slice(1)))
+        .slice(0, Math.min(a.length, b.length));
+    const shared = union.filter(hash => setA.has(hash) && setB.has(hash)).length;
+    return shared / union.length;
+}
+
+// 把内容相近的书分组：entries 为 [{ path, fingerprint, ... }]，返回至少两本书的组
+// 先用共有的哈希找出候选对，避免两两比较所有书
+function findDuplicateGroups(entries, threshold = DUPLICATE_THRESHOLD) {
+    const books = entries.filter(entry => entry.fingerprint && entry.fingerprint.length > 0);
+    const buckets = new Map();
+    books.forEach((entry, index) => {
+        entry.fingerprint.forEach(hash => {
+            if (!buckets.has(hash)) buckets.set(hash, []);
+            buckets.get(hash).push(index);
+        });
+    });
+
+    // 并查集合并相似的书
+    const parent = books.map((_, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const similarity = new Map();
+    const compared = new Set();
+    for (const indexes of buckets.values()) {
+        if (indexes.length > MAX_BUCKET_SIZE) continue;
+        for (let i = 0; i < indexes.length; i++) {
+            for (let j = i + 1; j < indexes.length; j++) {
+                const key = `${indexes[i]}:${indexes[j]}`;
+                if (compared.has(key)) continue;
+                compared.add(key);
+                const score = estimateSimilarity(books[indexes[i]].fingerprint, books[indexes[j]].fingerprint);
+                if (score < threshold) continue;
+                parent[find(indexes[i])] = find(indexes[j]);
+                similarity.set(key, score);
+            }
+        }
+    }
+
+    const groups = new Map();
+    books.forEach((entry, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(index);
+    });
+
+    return [...groups.values()]
+        .filter(indexes => indexes.length > 1)
+        .map(indexes => {
+            // 组内最低的两两相似度，用于提示「完全相同」还是「大部分相同」
+            let minSimilarity = 1;
+            for (let i = 0; i < indexes.length; i++) {
+                for (let j = i + 1; j < indexes.length; j++) {
+                    const [a, b] = indexes[i] < indexes[j] ? [indexes[i], indexes[j]] : [indexes[j], indexes[i]];
+                    const score = similarity.has(`${a}:${b}`)
+                        ? similarity.get(`${a}:${b}`)
+                        : estimateSimilarity(books[a].fingerprint, books[b].fingerprint);
+                    minSimilarity = Math.min(minSimilarity, score);
+                }
+            }
+            return { similarity: minSimilarity, books: indexes.map(index => books[index]) };
+        })
+        .sort((a, b) => b.books.length - a.books.length || b.similarity - a.similarity);
+}
+
+// 查重报告：每组列出各副本的大小、编码、章节数、字数等差异；pending 为还没算出指纹的书（读取失败的不算）
+function buildDuplicateReport(entries) {
+    const pending = entries.filter(entry => !entry.fingerprint && !entry.fingerprintFailed).length;
+    const groups = findDuplicateGroups(entries).map(group => ({
+        similarity: group.similarity,
+        books: group.books.map(entry => ({
+            name: path.basename(entry.path),
+            path: entry.path,
+            size: entry.size,
+            mtime: entry.mtime,
+            encoding: entry.encoding || '',
+            chapterCount: entry.chapterCount || 0,
+            meta: entry.meta
+        }))
+    }));
+    return { total: entries.length, pending, groups };
+}
+
+module.exports = {
+    computeFingerprint,
+    estimateSimilarity,
+    findDuplicateGroups,
+    buildDuplicateReport
+};
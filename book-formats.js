@@ -0,0 +1,679 @@
+// TXT 以外的电子书格式（EPUB、FB2、HTML、Markdown、DOCX、UMD）：把书转换成纯文本和章节列表，交给阅读器按 TXT 的方式显示
+// 转换结果：{ text, chapters: [{ title, position, end }], volumes: [{ title, position, chapterIndex }], title, author, synopsis, format }
+// 章节的 position 是标题行在全文中的偏移，与 TXT 分章结果的格式一致
+const path = require('path');
+const zlib = require('zlib');
+const ZipReader = require('./zip-reader');
+const ArchiveReader = require('./archive-reader');
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    hellip: '…', mdash: '—', ndash: '–', middot: '·',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+const UMD_SIGNATURE = 0xDE9A9B89;
+// 后面紧跟附加数据块的 UMD 功能块：0x81 正文块顺序、0x82 封面、0x83 章节偏移、0x84 章节标题、0x87 分页偏移
+const UMD_DATA_SEGMENTS = [0x81, 0x82, 0x83, 0x84, 0x87];
+// 这些标签前后换行，其余标签直接去掉
+const BLOCK_TAG_REGEX = /<\/?(?:p|div|h[1-6]|li|tr|blockquote|section|article|pre|dd|dt|table|ul|ol|hr|header|footer|aside)\b[^>]*>/gi;
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            try {
+                return String.fromCodePoint(code);
+            } catch (error) {
+                return whole;
+            }
+        }
+        return NAMED_ENTITIES[name.toLowerCase()] || whole;
+    });
+}
+
+// 标签内的纯文本（去掉内部标签、解码实体、合并空白）
+function stripTags(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+    return match ? decodeEntities(match[2] !== undefined ? match[2] : match[3]) : '';
+}
+
+// 去掉命名空间前缀匹配标签，如 <dc:title> 和 <title>
+function findElementText(xml, localName) {
+    return stripTags(findElementXml(xml, localName));
+}
+
+// 元素内的原始 XML（不去标签），找不到时返回空字符串
+function findElementXml(xml, localName) {
+    const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${localName}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${localName}>`, 'i'));
+    return match ? match[1] : '';
+}
+
+function findTags(xml, localName) {
+    return xml.match(new RegExp(`<(?:[\\w-]+:)?${localName}\\b[^>]*>`, 'gi')) || [];
+}
+
+// HTML 转段落：块级标签和 <br> 换行，每个非空行是一段
+function htmlToParagraphs(html) {
+    const bodyMatch = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+    return decodeEntities((bodyMatch ? bodyMatch[1] : html)
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\b[^>]*>/gi, '\n')
+        .replace(BLOCK_TAG_REGEX, '\n')
+        .replace(/<[^>]*>/g, ''))
+        .split('\n')
+        .map(line => line.replace(/[ \t\r\f\v\u00A0\u3000]+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+// 把 [{ title, paragraphs, level }] 拼成全文：每章标题单独一行，后面每段一行
+// 正文第一段与标题相同（常见于 <h1> 重复目录标题）时去掉
+// level 为 'volume' 的是卷标题，与 TXT 分章一样：卷首没有正文时并入该卷第一章，有卷首语或卷下没有章节时卷名单独成章
+function buildBook(sections, info = {}) {
+    let text = '';
+    const chapters = [];
+    const volumes = [];
+    let pendingVolumePosition = null;
+    sections.forEach((section, index) => {
+        const paragraphs = section.paragraphs.slice();
+        if (paragraphs.length > 0 && paragraphs[0].replace(/\s+/g, '') === section.title.replace(/\s+/g, '')) {
+            paragraphs.shift();
+        }
+        const position = text.length;
+        text += [section.title, ...paragraphs].join('\n') + '\n\n';
+        if (section.level === 'volume') {
+            volumes.push({ title: section.title, position, chapterIndex: chapters.length });
+            const next = sections[index + 1];
+            if (paragraphs.length === 0 && next && next.level !== 'volume') {
+                pendingVolumePosition = position;
+                return;
+            }
+        }
+        chapters.push({ title: section.title, position: pendingVolumePosition !== null ? pendingVolumePosition : position, end: 0 });
+        pendingVolumePosition = null;
+    });
+    chapters.forEach((chapter, index) => {
+        chapter.end = index + 1 < chapters.length ? chapters[index + 1].position : text.length;
+    });
+    return {
+        text,
+        chapters,
+        volumes,
+        title: info.title || '',
+        author: info.author || '',
+        synopsis: info.synopsis || '',
+        format: info.format || ''
+    };
+}
+
+// 解码文本文件：BOM → 文件中声明的编码（XML 声明或 HTML 的 meta charset）→ UTF-8 → GB18030
+function decodeText(buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return buffer.subarray(3).toString('utf8');
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+    const head = buffer.subarray(0, 2048).toString('latin1');
+    const declared = head.match(/<\?xml[^>]*\sencoding\s*=\s*["']([\w.:-]+)["']/i) ||
+        head.match(/<meta\b[^>]*charset\s*=\s*["']?([\w.:-]+)/i);
+    if (declared) {
+        try {
+            return new TextDecoder(declared[1]).decode(buffer);
+        } catch (error) {
+            // 不认识的编码名，按下面的方式猜测
+        }
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        return new TextDecoder('gb18030').decode(buffer);
+    }
+}
+
+// 按标题切分段落：blocks 为 [{ text, level }]，level 为 1–3 级标题，0 为正文
+// 出现两次以上的标题级别中，最高一级作为章；有两级时较高的作为卷、下一级作为章；
+// 其余标题（如只出现一次的书名）按正文处理
+function splitByHeadings(blocks) {
+    const counts = [0, 0, 0, 0];
+    blocks.forEach(block => {
+        if (block.level) counts[block.level]++;
+    });
+    const repeated = [1, 2, 3].filter(level => counts[level] >= 2);
+    const volumeLevel = repeated.length >= 2 ? repeated[0] : 0;
+    const chapterLevel = repeated.length >= 2 ? repeated[1] : (repeated[0] || [1, 2, 3].find(level => counts[level] > 0) || 0);
+
+    const sections = [];
+    blocks.forEach(block => {
+        if (block.level && block.level === chapterLevel) {
+            sections.push({ title: block.text, paragraphs: [] });
+        } else if (block.level && block.level === volumeLevel) {
+            sections.push({ title: block.text, paragraphs: [], level: 'volume' });
+        } else if (sections.length === 0) {
+            // 第一个标题之前的正文单独作为「开始」，整篇都没有标题时作为「全文」
+            sections.push({ title: chapterLevel ? '开始' : '全文', paragraphs: [block.text] });
+        } else {
+            sections[sections.length - 1].paragraphs.push(block.text);
+        }
+    });
+    return sections;
+}
+
+// 解析 NCX（EPUB 2）目录：[{ title, href }]，按出现顺序（嵌套的子目录也展开）
+function parseNcx(xml) {
+    const navMapStart = xml.search(/<(?:[\w-]+:)?navMap\b/i);
+    if (navMapStart === -1) return [];
+    const items = [];
+    const regex = /<(?:[\w-]+:)?text\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?text>[\s\S]*?<(?:[\w-]+:)?content\b([^>]*)>/gi;
+    let match;
+    while ((match = regex.exec(xml.slice(navMapStart))) !== null) {
+        items.push({ title: stripTags(match[1]), href: getAttribute(match[2], 'src') });
+    }
+    return items;
+}
+
+// 解析 EPUB 3 的 nav 目录：取 epub:type="toc" 的 <nav>，没有就取第一个
+function parseNav(html) {
+    const navs = html.match(/<nav\b[^>]*>[\s\S]*?<\/nav>/gi) || [];
+    const toc = navs.find(nav => /epub:type\s*=\s*["']toc["']/i.test(nav.slice(0, nav.indexOf('>')))) || navs[0];
+    if (!toc) return [];
+    const items = [];
+    const regex = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+    let match;
+    while ((match = regex.exec(toc)) !== null) {
+        items.push({ title: stripTags(match[2]), href: getAttribute(match[1], 'href') });
+    }
+    return items;
+}
+
+function parseEpub(buffer) {
+    const zip = ZipReader.openZip(buffer);
+    // 目录里的路径大小写可能与压缩包不一致
+    const lowerNames = new Map(zip.entries.map(entry => [entry.name.toLowerCase(), entry.name]));
+    const findName = name => (zip.has(name) ? name : lowerNames.get(name.toLowerCase()));
+    const readText = name => {
+        const actual = findName(name);
+        return actual ? decodeText(zip.read(actual)) : '';
+    };
+    const resolveHref = (baseDir, href) => {
+        let decoded = href;
+        try {
+            decoded = decodeURIComponent(href);
+        } catch (error) {
+            // 保持原样
+        }
+        return path.posix.normalize(path.posix.join(baseDir, decoded)).replace(/^\.\//, '');
+    };
+
+    const rootfile = findTags(readText('META-INF/container.xml'), 'rootfile')[0];
+    const opfPath = rootfile ? getAttribute(rootfile, 'full-path') : '';
+    const opf = opfPath ? readText(opfPath) : '';
+    if (!opf) throw new Error('EPUB 缺少 OPF 文件');
+    const opfDir = path.posix.dirname(opfPath);
+
+    const manifest = new Map();
+    findTags(opf, 'item').forEach(tag => {
+        manifest.set(getAttribute(tag, 'id'), {
+            href: resolveHref(opfDir, getAttribute(tag, 'href')),
+            mediaType: getAttribute(tag, 'media-type'),
+            properties: getAttribute(tag, 'properties')
+        });
+    });
+
+    const spineTag = findTags(opf, 'spine')[0] || '';
+    const spine = findTags(opf, 'itemref')
+        .filter(tag => getAttribute(tag, 'linear') !== 'no')
+        .map(tag => manifest.get(getAttribute(tag, 'idref')))
+        .filter(item => item && /html/i.test(item.mediaType));
+
+    // 目录：优先 EPUB 3 的 nav，其次 NCX；目录项按文件分组，同一文件里有多个目录项时按锚点切开
+    let tocItems = [];
+    const navItem = [...manifest.values()].find(item => /(^|\s)nav(\s|$)/.test(item.properties));
+    if (navItem) {
+        const navDir = path.posix.dirname(navItem.href);
+        tocItems = parseNav(readText(navItem.href)).map(item => ({ ...item, href: resolveHref(navDir, item.href) }));
+    }
+    if (tocItems.length === 0) {
+        const ncxItem = manifest.get(getAttribute(spineTag, 'toc')) ||
+            [...manifest.values()].find(item => item.mediaType === 'application/x-dtbncx+xml');
+        if (ncxItem) {
+            const ncxDir = path.posix.dirname(ncxItem.href);
+            tocItems = parseNcx(readText(ncxItem.href)).map(item => ({ ...item, href: resolveHref(ncxDir, item.href) }));
+        }
+    }
+    const tocByFile = new Map();
+    tocItems.forEach(item => {
+        const [file, fragment = ''] = item.href.split('#');
+        if (!item.title) return;
+        if (!tocByFile.has(file)) tocByFile.set(file, []);
+        tocByFile.get(file).push({ title: item.title, fragment });
+    });
+
+    const sections = [];
+    const appendToPrevious = paragraphs => {
+        if (paragraphs.length === 0) return;
+        if (sections.length === 0) {
+            sections.push({ title: '开始', paragraphs });
+        } else {
+            sections[sections.length - 1].paragraphs.push(...paragraphs);
+        }
+    };
+
+    spine.forEach(item => {
+        const html = readText(item.href);
+        if (!html) return;
+        const entries = tocByFile.get(item.href);
+        if (!entries) {
+            // 不在目录中的文件：有标题就单独成章，否则接在上一章后面（如拆分成多个文件的长章节）
+            const heading = html.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i);
+            const title = heading ? stripTags(heading[1]) : '';
+            const paragraphs = htmlToParagraphs(html);
+            if (title) {
+                sections.push({ title, paragraphs });
+            } else {
+                appendToPrevious(paragraphs);
+            }
+            return;
+        }
+
+        const cuts = entries.map(entry => {
+            if (!entry.fragment) return { ...entry, index: 0 };
+            const idMatch = new RegExp(`\\s(?:id|name)\\s*=\\s*["']${entry.fragment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["']`).exec(html);
+            return { ...entry, index: idMatch ? html.lastIndexOf('<', idMatch.index) : 0 };
+        }).sort((a, b) => a.index - b.index);
+
+        const bodyStart = Math.max(0, html.search(/<body\b/i));
+        if (cuts[0].index > bodyStart) {
+            appendToPrevious(htmlToParagraphs(html.slice(0, cuts[0].index)));
+        }
+        cuts.forEach((cut, index) => {
+            const end = index + 1 < cuts.length ? cuts[index + 1].index : html.length;
+            sections.push({ title: cut.title, paragraphs: htmlToParagraphs(html.slice(cut.index, end)) });
+        });
+    });
+
+    if (sections.length === 0) throw new Error('EPUB 中没有可显示的正文');
+    return buildBook(sections, {
+        title: findElementText(opf, 'title'),
+        author: findElementText(opf, 'creator'),
+        // 简介常常是转义过的 HTML
+        synopsis: stripTags(findElementText(opf, 'description')),
+        format: 'epub'
+    });
+}
+
+// FB2：<section> 可以嵌套，带 <title> 的小节是章；顶层小节里还有子小节时，顶层小节作为卷
+// 只读第一个正文 <body>，name="notes" 等注释正文跳过
+function parseFb2(buffer) {
+    const xml = decodeText(buffer);
+    const bodyRegex = /<body\b([^>]*)>([\s\S]*?)<\/body>/gi;
+    let body = null;
+    let match;
+    while ((match = bodyRegex.exec(xml)) !== null) {
+        if (!getAttribute(match[1], 'name')) {
+            body = match[2];
+            break;
+        }
+    }
+    if (body === null) throw new Error('FB2 中没有正文');
+
+    // 按标签逐个遍历，建立小节树：{ title, paragraphs, children }
+    const root = { title: '', paragraphs: [], children: [] };
+    const stack = [root];
+    let titleParts = null;
+    let paragraph = null;
+    const content = body.replace(/<!--[\s\S]*?-->/g, '');
+    const tokenRegex = /<(\/?)([\w:-]+)([^>]*?)(\/?)>|([^<]+)/g;
+    while ((match = tokenRegex.exec(content)) !== null) {
+        const [, closing, tagName, , selfClosing, textContent] = match;
+        const current = stack[stack.length - 1];
+        if (textContent !== undefined) {
+            if (paragraph !== null) paragraph += decodeEntities(textContent);
+            continue;
+        }
+        const tag = tagName.toLowerCase();
+        if (tag === 'section' && !selfClosing) {
+            if (closing) {
+                if (stack.length > 1) stack.pop();
+            } else {
+                const section = { title: '', paragraphs: [], children: [] };
+                current.children.push(section);
+                stack.push(section);
+            }
+        } else if (tag === 'title') {
+            if (closing && titleParts) {
+                current.title = titleParts.join(' ');
+                titleParts = null;
+            } else if (!selfClosing) {
+                titleParts = [];
+            }
+        } else if (['p', 'v', 'subtitle', 'text-author'].includes(tag)) {
+            if (!closing && !selfClosing) {
+                paragraph = '';
+            } else if (closing && paragraph !== null) {
+                const text = paragraph.replace(/\s+/g, ' ').trim();
+                if (text) (titleParts || current.paragraphs).push(text);
+                paragraph = null;
+            }
+        }
+    }
+
+    // 展开小节树；没有标题的小节接在上一章后面
+    const sections = [];
+    const appendToPrevious = paragraphs => {
+        if (paragraphs.length === 0) return;
+        if (sections.length === 0) {
+            sections.push({ title: '开始', paragraphs: paragraphs.slice() });
+        } else {
+            sections[sections.length - 1].paragraphs.push(...paragraphs);
+        }
+    };
+    const flatten = section => {
+        if (section.title) {
+            sections.push({ title: section.title, paragraphs: section.paragraphs.slice() });
+        } else {
+            appendToPrevious(section.paragraphs);
+        }
+        section.children.forEach(flatten);
+    };
+    appendToPrevious(root.paragraphs);
+    const hasVolumes = root.children.some(section => section.title && section.children.length > 0);
+    root.children.forEach(section => {
+        if (hasVolumes && section.title && section.children.length > 0) {
+            sections.push({ title: section.title, paragraphs: section.paragraphs.slice(), level: 'volume' });
+            section.children.forEach(flatten);
+        } else {
+            flatten(section);
+        }
+    });
+    if (sections.length === 0) throw new Error('FB2 中没有可显示的正文');
+
+    const titleInfo = findElementXml(xml, 'title-info');
+    const authorXml = findElementXml(titleInfo, 'author');
+    const author = ['first-name', 'middle-name', 'last-name']
+        .map(name => findElementText(authorXml, name))
+        .filter(Boolean)
+        .join(' ') || findElementText(authorXml, 'nickname');
+    return buildBook(sections, {
+        title: findElementText(titleInfo, 'book-title'),
+        author,
+        synopsis: findElementText(titleInfo, 'annotation'),
+        format: 'fb2'
+    });
+}
+
+// HTML：<h1>–<h3> 是章节标题，其余块级元素是段落
+function parseHtml(buffer) {
+    const html = decodeText(buffer);
+    // 标题替换成带标记的单独一行，再和正文一起转成段落
+    const marked = html.replace(/<h([1-3])\b[^>]*>([\s\S]*?)<\/h\1>/gi,
+        (whole, level, inner) => `<p>\u0001${level}${inner.replace(/<br\b[^>]*>/gi, ' ')}</p>`);
+    const blocks = htmlToParagraphs(marked).map(line => (line[0] === '\u0001'
+        ? { text: line.slice(2).trim(), level: Number(line[1]) }
+        : { text: line, level: 0 })).filter(block => block.text);
+    if (blocks.length === 0) throw new Error('HTML 中没有可显示的正文');
+    const metaAuthor = (html.match(/<meta\b[^>]*\sname\s*=\s*["']author["'][^>]*>/i) || [''])[0];
+    return buildBook(splitByHeadings(blocks), {
+        title: findElementText(html, 'title'),
+        author: getAttribute(metaAuthor, 'content'),
+        format: 'html'
+    });
+}
+
+// Markdown 行内标记转纯文本
+function stripMarkdown(line) {
+    return line
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, '$2')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/<[^>]*>/g, '')
+        .trim();
+}
+
+// Markdown：# 到 ### 标题（以及 === 下划线的一级标题）是章节标题；
+// 空行分段，同一段内的折行合并（中文之间不加空格）
+function parseMarkdown(buffer) {
+    const lines = decodeText(buffer).split(/\r?\n/);
+    const blocks = [];
+    let paragraph = [];
+    let inCodeBlock = false;
+    const flushParagraph = () => {
+        const text = paragraph.reduce((joined, line) => {
+            if (!joined) return line;
+            const cjkBoundary = /[\u3000-\u9FFF\uFF00-\uFFEF]$/.test(joined) || /^[\u3000-\u9FFF\uFF00-\uFFEF]/.test(line);
+            return joined + (cjkBoundary ? '' : ' ') + line;
+        }, '');
+        if (text) blocks.push({ text, level: 0 });
+        paragraph = [];
+    };
+
+    lines.forEach(rawLine => {
+        if (/^\s*(```|~~~)/.test(rawLine)) {
+            flushParagraph();
+            inCodeBlock = !inCodeBlock;
+            return;
+        }
+        if (inCodeBlock) {
+            if (rawLine.trim()) blocks.push({ text: rawLine.trim(), level: 0 });
+            return;
+        }
+        const heading = rawLine.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushParagraph();
+            const text = stripMarkdown(heading[2]);
+            // 四级以下的标题不参与分章，作为正文
+            if (text) blocks.push({ text, level: heading[1].length <= 3 ? heading[1].length : 0 });
+            return;
+        }
+        if (/^\s*=+\s*$/.test(rawLine) && paragraph.length === 1) {
+            blocks.push({ text: paragraph[0], level: 1 });
+            paragraph = [];
+            return;
+        }
+        // 分隔线、空行结束当前段落
+        if (!rawLine.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(rawLine)) {
+            flushParagraph();
+            return;
+        }
+        // 列表项各自成段
+        const listItem = rawLine.match(/^\s*(?:>\s?)?([-*+]|\d+[.)])\s+/);
+        if (listItem) flushParagraph();
+        const text = stripMarkdown(rawLine.replace(/^\s*>\s?/, '').replace(/^\s*([-*+]|\d+[.)])\s+/, ''));
+        if (text) paragraph.push(text);
+    });
+    flushParagraph();
+    if (blocks.length === 0) throw new Error('Markdown 中没有可显示的正文');
+
+    const firstHeading = blocks.find(block => block.level === 1);
+    return buildBook(splitByHeadings(blocks), {
+        title: firstHeading && blocks.filter(block => block.level === 1).length === 1 ? firstHeading.text : '',
+        format: 'markdown'
+    });
+}
+
+// DOCX 段落的标题级别：段落或所用样式的大纲级别，或样式名 Heading 1 / 标题 1；Title 样式按一级标题处理
+function getDocxHeadingLevel(paragraphXml, styles) {
+    const outline = paragraphXml.match(/<w:outlineLvl\b[^>]*w:val="(\d)"/);
+    if (outline) return Number(outline[1]) + 1;
+    const styleTag = paragraphXml.match(/<w:pStyle\b[^>]*w:val="([^"]*)"/);
+    if (!styleTag) return 0;
+    const style = styles.get(styleTag[1]) || { name: styleTag[1], outlineLevel: null };
+    if (style.outlineLevel !== null) return style.outlineLevel + 1;
+    const named = style.name.match(/^(?:heading|标题)\s*(\d)$/i);
+    if (named) return Number(named[1]);
+    return /^title$/i.test(style.name) ? 1 : 0;
+}
+
+// DOCX：读取 word/document.xml 的段落，按标题样式分章
+function parseDocx(buffer) {
+    const zip = ZipReader.openZip(buffer);
+    const readXml = name => (zip.has(name) ? zip.read(name).toString('utf8') : '');
+    const documentXml = readXml('word/document.xml');
+    if (!documentXml) throw new Error('DOCX 缺少 word/document.xml');
+
+    // 样式 ID → { name, outlineLevel }，中文版 Word 的标题样式 ID 是「1」「2」这样的数字
+    const styles = new Map();
+    (readXml('word/styles.xml').match(/<w:style\b[^>]*>[\s\S]*?<\/w:style>/g) || []).forEach(styleXml => {
+        const id = getAttribute(styleXml.slice(0, styleXml.indexOf('>') + 1), 'w:styleId');
+        const name = styleXml.match(/<w:name\b[^>]*w:val="([^"]*)"/);
+        const outline = styleXml.match(/<w:outlineLvl\b[^>]*w:val="(\d)"/);
+        if (id) styles.set(id, { name: name ? decodeEntities(name[1]) : id, outlineLevel: outline ? Number(outline[1]) : null });
+    });
+
+    const blocks = [];
+    // 段落属性中的制表位也叫 <w:tab>，只从文字部分取；域代码等不在 <w:t> 中的内容不显示
+    (documentXml.match(/<w:p(?:\s[^>\/]*)?>[\s\S]*?<\/w:p>/g) || []).forEach(paragraphXml => {
+        const level = getDocxHeadingLevel(paragraphXml, styles);
+        let text = '';
+        const runRegex = /<w:t(?:\s[^>\/]*)?>([\s\S]*?)<\/w:t>|<w:(tab|br|cr)\b[^>]*\/>/g;
+        const runs = paragraphXml.replace(/<w:pPr\b[\s\S]*?<\/w:pPr>/, '');
+        let run;
+        while ((run = runRegex.exec(runs)) !== null) {
+            if (run[1] !== undefined) text += decodeEntities(run[1]);
+            else text += run[2] === 'tab' ? '\t' : '\n';
+        }
+        const lines = text.split('\n').map(line => line.replace(/[ \t\u00A0\u3000]+/g, ' ').trim()).filter(Boolean);
+        if (level > 0 && level <= 3) {
+            if (lines.length > 0) blocks.push({ text: lines.join(' '), level });
+        } else {
+            lines.forEach(line => blocks.push({ text: line, level: 0 }));
+        }
+    });
+    if (blocks.length === 0) throw new Error('DOCX 中没有可显示的正文');
+
+    const core = readXml('docProps/core.xml');
+    return buildBook(splitByHeadings(blocks), {
+        title: findElementText(core, 'title'),
+        author: findElementText(core, 'creator'),
+        synopsis: findElementText(core, 'description'),
+        format: 'docx'
+    });
+}
+
+// UMD（旧式手机阅读器的电子书）：文件头之后是一串功能块和附加数据块，数值均为小端序
+// 功能块：'#'、编号(2)、标志(1)、含头部的总长度(1)；附加数据块：'$'、校验值(4)、含头部的总长度(4)
+// 书名、作者等是 UTF-16LE 文本；正文是若干 zlib 压缩的 UTF-16LE 数据块，章节偏移是正文中的字节位置
+function parseUmd(buffer) {
+    if (buffer.length < 4 || buffer.readUInt32LE(0) !== UMD_SIGNATURE) throw new Error('不是有效的 UMD 文件');
+    const readString = bytes => bytes.toString('utf16le').replace(/\u0000+$/, '').trim();
+    const info = {};
+    const segmentData = {};
+    const blocks = [];
+    let pendingSegment = null;
+    let offset = 4;
+    while (offset < buffer.length) {
+        const marker = buffer[offset];
+        if (marker === 0x23 && offset + 5 <= buffer.length) {
+            const id = buffer.readUInt16LE(offset + 1);
+            const length = buffer[offset + 4];
+            if (length < 5) throw new Error('UMD 文件已损坏');
+            const content = buffer.subarray(offset + 5, offset + length);
+            if (id === 0x01 && content[0] === 2) throw new Error('不支持图片（漫画）格式的 UMD');
+            if (id === 0x02) info.title = readString(content);
+            if (id === 0x03) info.author = readString(content);
+            pendingSegment = UMD_DATA_SEGMENTS.includes(id) ? id : null;
+            offset += length;
+        } else if (marker === 0x24 && offset + 9 <= buffer.length) {
+            const length = buffer.readUInt32LE(offset + 5);
+            if (length < 9) throw new Error('UMD 文件已损坏');
+            const content = buffer.subarray(offset + 9, offset + length);
+            // 紧跟在上述功能块后面的是它的数据，其余都是正文块
+            if (pendingSegment !== null) {
+                segmentData[pendingSegment] = content;
+                pendingSegment = null;
+            } else {
+                blocks.push({ check: buffer.readUInt32LE(offset + 1), content });
+            }
+            offset += length;
+        } else {
+            throw new Error('UMD 文件已损坏');
+        }
+    }
+    if (blocks.length === 0) throw new Error('UMD 中没有正文');
+
+    const readUInt32List = bytes => {
+        const values = [];
+        for (let i = 0; i + 4 <= (bytes ? bytes.length : 0); i += 4) values.push(bytes.readUInt32LE(i));
+        return values;
+    };
+    // 正文块一般按顺序存放；有顺序表且能全部对上时以顺序表为准
+    const byCheck = new Map(blocks.map(block => [block.check, block]));
+    const indexed = readUInt32List(segmentData[0x81]).map(check => byCheck.get(check));
+    const ordered = indexed.length > 0 && indexed.every(Boolean) ? indexed : blocks;
+    let text;
+    try {
+        text = Buffer.concat(ordered.map(block => zlib.inflateSync(block.content))).toString('utf16le');
+    } catch (error) {
+        throw new Error(`UMD 正文解压失败: ${error.message}`);
+    }
+
+    const titles = [];
+    const titleData = segmentData[0x84];
+    for (let i = 0; titleData && i < titleData.length;) {
+        const length = titleData[i];
+        titles.push(readString(titleData.subarray(i + 1, i + 1 + length)));
+        i += 1 + length;
+    }
+    // 字节偏移换算成字符位置；UMD 用 U+2029 作段落分隔
+    const toParagraphs = slice => slice.replace(/\u2029/g, '\n').split(/\r?\n/)
+        .map(line => line.replace(/[ \t\u00A0\u3000]+/g, ' ').trim())
+        .filter(Boolean);
+    const positions = readUInt32List(segmentData[0x83]).map(byteOffset => Math.min(text.length, Math.floor(byteOffset / 2)));
+    const sections = [];
+    if (positions.length === 0) {
+        sections.push({ title: '全文', paragraphs: toParagraphs(text) });
+    } else {
+        if (positions[0] > 0 && text.slice(0, positions[0]).trim()) {
+            sections.push({ title: '开始', paragraphs: toParagraphs(text.slice(0, positions[0])) });
+        }
+        positions.forEach((position, index) => {
+            const end = index + 1 < positions.length ? positions[index + 1] : text.length;
+            sections.push({
+                title: titles[index] || `第${index + 1}章`,
+                paragraphs: toParagraphs(text.slice(position, end))
+            });
+        });
+    }
+    return buildBook(sections, { title: info.title, author: info.author, format: 'umd' });
+}
+
+// 扩展名 → 解析函数
+const PARSERS = {
+    '.epub': parseEpub,
+    '.fb2': parseFb2,
+    '.html': parseHtml,
+    '.htm': parseHtml,
+    '.md': parseMarkdown,
+    '.markdown': parseMarkdown,
+    '.docx': parseDocx,
+    '.umd': parseUmd
+};
+
+function isConvertedFormat(fileName) {
+    return Object.prototype.hasOwnProperty.call(PARSERS, path.extname(String(fileName)).toLowerCase());
+}
+
+function parseBook(fileName, buffer) {
+    const parser = PARSERS[path.extname(String(fileName)).toLowerCase()];
+    if (!parser) throw new Error(`不支持的格式: ${fileName}`);
+    return parser(buffer);
+}
+
+async function loadBook(filePath) {
+    return parseBook(filePath, await ArchiveReader.readFile(filePath));
+}
+
+module.exports = {
+    FORMAT_EXTENSIONS: Object.keys(PARSERS),
+    isConvertedFormat,
+    parseBook,
+    loadBook,
+    buildBook,
+    htmlToParagraphs,
+    decodeEntities,
+    stripTags
+};
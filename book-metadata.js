@@ -0,0 +1,149 @@
+// 书籍元数据：从文件名和正文开头提取书名、作者、连载状态、字数和简介
+// 渲染进程（<script> 全局变量 BookMetadata）、server.js 和 main.js（require）共用
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    // Electron 渲染进程里同时存在 module，仍然要挂到全局
+    if (root) root.BookMetadata = api;
+})(typeof self !== 'undefined' ? self : null, function () {
+    const HEADER_LENGTH = 3000;
+    const SYNOPSIS_MAX_LENGTH = 400;
+    const STATUS_RULES = [
+        { status: '完结', regex: /完结|完本|全本|全集|大结局|已完成/ },
+        { status: '连载', regex: /连载|更新至|更至|未完/ }
+    ];
+    const BRACKET_REGEX = /[（(【\[]([^（）()【】\[\]]*)[）)】\]]/g;
+    const HEADER_AUTHOR_REGEX = /^\s*(?:作\s*者|著\s*者)\s*[:：]\s*(.+?)\s*$/m;
+    const HEADER_TITLE_REGEX = /^\s*(?:书\s*名|作品名称)\s*[:：]\s*《?(.+?)》?\s*$/m;
+    const HEADER_STATUS_REGEX = /^\s*(?:状\s*态|连载状态|写作进程)\s*[:：]\s*(.+?)\s*$/m;
+    const SYNOPSIS_START_REGEX = /^\s*(?:内容简介|作品简介|内容介绍|简\s*介)\s*[:：]?\s*(.*)$/;
+    // 简介到正文或下一个「字段：」为止
+    const SYNOPSIS_END_REGEX = /^\s*(第[0-9零一二三四五六七八九十百千万两]+[章节回卷集部]|序章|序言|楔子|引子|正文|[^\s:：]{1,6}\s*[:：])/;
+
+    function detectStatus(text) {
+        const rule = STATUS_RULES.find(item => item.regex.test(text));
+        return rule ? rule.status : '';
+    }
+
+    // 支持「《书名》作者：某某」「书名 by 作者 (完结)」「书名_作者」等常见命名
+    function parseFileName(fileName) {
+        const result = { title: '', author: '', status: '' };
+        let name = String(fileName || '').replace(/\.[^.]+$/, '').trim();
+
+        // 括号里是状态或版本说明（完结、校对版、精校等），不算书名
+        name = name.replace(BRACKET_REGEX, (whole, inner) => {
+            result.status = result.status || detectStatus(inner);
+            return ' ';
+        }).trim();
+
+        const titleMatch = name.match(/《([^》]+)》/);
+        if (titleMatch) {
+            result.title = titleMatch[1].trim();
+            name = name.replace(titleMatch[0], ' ').trim();
+        }
+
+        const authorMatch = name.match(/[\s_-]*作者\s*[:：]\s*(.+)$/) || name.match(/\s+by\s+(.+)$/i);
+        if (authorMatch) {
+            result.author = authorMatch[1].trim();
+            name = name.slice(0, authorMatch.index).trim();
+        } else if (titleMatch && name) {
+            // 《书名》后面剩下的通常就是作者
+            result.author = name.replace(/^[\s_\-—]+|[\s_\-—]+$/g, '');
+            name = '';
+        }
+
+        const trailingStatus = name.match(/[\s_-]*(全本|完本|完结|连载中?)$/);
+        if (trailingStatus) {
+            result.status = result.status || detectStatus(trailingStatus[1]);
+            name = name.slice(0, trailingStatus.index);
+        }
+
+        if (!result.title) result.title = name.replace(/^[\s_\-—]+|[\s_\-—]+$/g, '');
+        if (result.author) result.author = result.author.replace(/\s+(全本|完本|完结|连载中?)$/, '').trim();
+        return result;
+    }
+
+    // 解析正文开头常见的「书名：」「作者：」「内容简介：」等信息
+    function parseTextHeader(text) {
+        const header = String(text || '').slice(0, HEADER_LENGTH);
+        const result = { title: '', author: '', status: '', synopsis: '' };
+
+        const titleMatch = header.match(HEADER_TITLE_REGEX);
+        if (titleMatch) result.title = titleMatch[1].trim();
+        const authorMatch = header.match(HEADER_AUTHOR_REGEX);
+        if (authorMatch) result.author = authorMatch[1].replace(/^《|》$/g, '').trim();
+        const statusMatch = header.match(HEADER_STATUS_REGEX);
+        if (statusMatch) result.status = detectStatus(statusMatch[1]);
+
+        const lines = header.split('\n');
+        const start = lines.findIndex(line => SYNOPSIS_START_REGEX.test(line));
+        if (start !== -1) {
+            const parts = [];
+            const firstLine = lines[start].match(SYNOPSIS_START_REGEX)[1].trim();
+            if (firstLine) parts.push(firstLine);
+            for (let i = start + 1; i < lines.length; i++) {
+                const line = lines[i].trim();
+                if (!line) {
+                    // 简介内容之后的空行视为结束
+                    if (parts.length > 0) break;
+                    continue;
+                }
+                if (SYNOPSIS_END_REGEX.test(line)) break;
+                parts.push(line);
+            }
+            result.synopsis = parts.join('\n').slice(0, SYNOPSIS_MAX_LENGTH);
+        }
+        return result;
+    }
+
+    // 字数：不计空白字符
+    function countWords(text) {
+        let count = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code !== 32 && code !== 9 && code !== 10 && code !== 13 && code !== 12288) count++;
+        }
+        return count;
+    }
+
+    // 文件名里的信息优先，正文开头的信息补充缺失的部分
+    function extractMetadata(fileName, text) {
+        const fromName = parseFileName(fileName);
+        const fromHeader = parseTextHeader(text);
+        return {
+            title: fromName.title || fromHeader.title || String(fileName || '').replace(/\.[^.]+$/, ''),
+            author: fromName.author || fromHeader.author,
+            status: fromName.status || fromHeader.status,
+            wordCount: text ? countWords(text) : 0,
+            synopsis: fromHeader.synopsis
+        };
+    }
+
+    // 显示用的书名，没有元数据时从文件名解析
+    function getDisplayTitle(fileName, metadata) {
+        if (metadata && metadata.title) return metadata.title;
+        return parseFileName(fileName).title || String(fileName || '');
+    }
+
+    function formatWordCount(count) {
+        if (!count) return '';
+        if (count >= 10000) return `${(count / 10000).toFixed(count >= 1000000 ? 0 : 1)} 万字`;
+        return `${count} 字`;
+    }
+
+    // 「作者 · 状态 · 字数」一行摘要，缺少的部分省略
+    function formatSummary(metadata, fileName) {
+        const info = metadata || parseFileName(fileName);
+        return [info.author, info.status, formatWordCount(info.wordCount)].filter(Boolean).join(' · ');
+    }
+
+    return {
+        parseFileName,
+        parseTextHeader,
+        countWords,
+        extractMetadata,
+        getDisplayTitle,
+        formatWordCount,
+        formatSummary
+    };
+});
@@ -0,0 +1,50 @@
+// 服务端共用的 TXT 文本处理：解码文件内容、按常见章节标题切分
+// 书库索引、全文索引和内容指纹都用它；阅读器前端有自己更完整的编码检测和分章
+// 与前端默认规则一致的简化章节识别，只用于给搜索结果标注章节、统计章节数和计算指纹
+const CHAPTER_HEADING_REGEX = /^\s*(第[0-9零一二三四五六七八九十百千万两]+[章节回集卷部篇]|序章|序言|楔子|引子|番外|尾声|后记|终章).{0,30}$/;
+
+// 解码：有 BOM 按 BOM，否则先按 UTF-8 严格解码，失败再按 GB18030（兼容 GBK/GB2312）
+// partial 为 true 表示只是文件开头的一段，末尾被截断的多字节字符不算解码失败
+// 返回 { text, encoding }
+function decodeBufferWithEncoding(buffer, partial = false) {
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return { text: new TextDecoder('utf-16le').decode(buffer, { stream: partial }), encoding: 'utf-16le' };
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return { text: new TextDecoder('utf-16be').decode(buffer, { stream: partial }), encoding: 'utf-16be' };
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: partial }), encoding: 'utf-8' };
+    } catch (e) {
+        return { text: new TextDecoder('gb18030').decode(buffer, { stream: partial }), encoding: 'gb18030' };
+    }
+}
+
+function decodeBuffer(buffer) {
+    return decodeBufferWithEncoding(buffer).text;
+}
+
+// 按章节标题切分全文，返回 [{ title, position, content }]
+function splitChapters(text) {
+    const chapters = [];
+    let lineStart = 0;
+    while (lineStart <= text.length) {
+        let lineEnd = text.indexOf('\n', lineStart);
+        if (lineEnd === -1) lineEnd = text.length;
+        const line = text.slice(lineStart, lineEnd);
+        if (line.length <= 40 && CHAPTER_HEADING_REGEX.test(line)) {
+            chapters.push({ title: line.trim(), position: lineStart });
+        }
+        lineStart = lineEnd + 1;
+    }
+
+    if (chapters.length === 0 || chapters[0].position > 0) {
+        chapters.unshift({ title: chapters.length === 0 ? '全文' : '开始', position: 0 });
+    }
+    return chapters.map((chapter, index) => ({
+        ...chapter,
+        content: text.slice(chapter.position, index + 1 < chapters.length ? chapters[index + 1].position : text.length)
+    }));
+}
+
+module.exports = {
+    decodeBuffer,
+    decodeBufferWithEncoding,
+    splitChapters
+};
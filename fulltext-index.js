@@ -0,0 +1,178 @@
+// 书库全文索引（SQLite FTS5）
+// 后台逐本解码书库中的书（EPUB 等格式先转换成文本，压缩包中的书先解压），按章节写入 FTS5 表；文件大小和修改时间未变的书不会重复索引
+// 使用 trigram 分词器，中文可以按任意连续片段查找
+const path = require('path');
+const BookFormats = require('./book-formats');
+const ArchiveReader = require('./archive-reader');
+const { decodeBuffer, splitChapters } = require('./book-text');
+
+const SNIPPET_CONTEXT = 30;
+
+let db = null;
+let indexing = false;
+let status = { total: 0, indexed: 0, running: false, lastRun: null, error: null };
+
+async function openIndex(dbPath) {
+    if (db) return db;
+    const sqlite3 = require('sqlite3');
+    const { open } = require('sqlite');
+    db = await open({ filename: dbPath, driver: sqlite3.Database });
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS books (
+            id INTEGER PRIMARY KEY,
+            path TEXT UNIQUE,
+            name TEXT,
+            size INTEGER,
+            mtime INTEGER
+        );
+        CREATE VIRTUAL TABLE IF NOT EXISTS chapters_fts USING fts5(
+            title, content, book_id UNINDEXED, chapter_index UNINDEXED, position UNINDEXED,
+            tokenize = 'trigram'
+        );
+    `);
+    return db;
+}
+
+async function indexFile(filePath, stat) {
+    let text;
+    let chapters;
+    if (BookFormats.isConvertedFormat(filePath)) {
+        // EPUB 等格式自带目录，按书中的章节索引，位置与阅读器中的一致
+        const book = await BookFormats.loadBook(filePath);
+        text = book.text;
+        chapters = book.chapters.map(chapter => ({ ...chapter, content: text.slice(chapter.position, chapter.end) }));
+    } else {
+        text = decodeBuffer(await ArchiveReader.readFile(filePath));
+        chapters = splitChapters(text);
+    }
+
+    await db.exec('BEGIN');
+    try {
+        const existing = await db.get('SELECT id FROM books WHERE path = ?', filePath);
+        let bookId;
+        if (existing) {
+            bookId = existing.id;
+            await db.run('DELETE FROM chapters_fts WHERE book_id = ?', bookId);
+            await db.run('UPDATE books SET size = ?, mtime = ? WHERE id = ?', stat.size, stat.mtime.getTime(), bookId);
+        } else {
+            const result = await db.run('INSERT INTO books (path, name, size, mtime) VALUES (?, ?, ?, ?)',
+                filePath, path.basename(filePath), stat.size, stat.mtime.getTime());
+            bookId = result.lastID;
+        }
+        for (let i = 0; i < chapters.length; i++) {
+            await db.run('INSERT INTO chapters_fts (title, content, book_id, chapter_index, position) VALUES (?, ?, ?, ?, ?)',
+                chapters[i].title, chapters[i].content, bookId, i, chapters[i].position);
+        }
+        await db.exec('COMMIT');
+    } catch (error) {
+        await db.exec('ROLLBACK');
+        throw error;
+    }
+}
+
+async function removeBook(bookId) {
+    await db.run('DELETE FROM chapters_fts WHERE book_id = ?', bookId);
+    await db.run('DELETE FROM books WHERE id = ?', bookId);
+}
+
+// 同步索引与文件列表：新增或改动的书重新索引，已删除的书移出索引
+// 每本书之间让出事件循环，索引期间服务仍能正常响应
+async function updateIndex(filePaths) {
+    if (!db || indexing) return;
+    indexing = true;
+    status = { total: filePaths.length, indexed: 0, running: true, lastRun: status.lastRun, error: null };
+
+    try {
+        const known = new Map((await db.all('SELECT id, path, size, mtime FROM books')).map(row => [row.path, row]));
+        const current = new Set(filePaths);
+
+        for (const [filePath, row] of known) {
+            if (!current.has(filePath)) await removeBook(row.id);
+        }
+
+        for (const filePath of filePaths) {
+            try {
+                const stat = await ArchiveReader.stat(filePath);
+                const row = known.get(filePath);
+                if (!row || row.size !== stat.size || row.mtime !== stat.mtime.getTime()) {
+                    await indexFile(filePath, stat);
+                }
+            } catch (error) {
+                console.error(`全文索引失败 ${filePath}:`, error.message);
+            }
+            status.indexed++;
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    } catch (error) {
+        console.error('更新全文索引失败:', error);
+        status.error = error.message;
+    } finally {
+        indexing = false;
+        status.running = false;
+        status.lastRun = new Date().toISOString();
+    }
+}
+
+// 在匹配处前后截取片段，分成前文 / 匹配 / 后文，由前端转义后显示
+function makeSnippet(content, keyword) {
+    const index = content.toLowerCase().indexOf(keyword.toLowerCase());
+    if (index === -1) return null;
+    return {
+        offset: index,
+        before: content.slice(Math.max(0, index - SNIPPET_CONTEXT), index).replace(/\s+/g, ' '),
+        match: content.slice(index, index + keyword.length),
+        after: content.slice(index + keyword.length, index + keyword.length + SNIPPET_CONTEXT).replace(/\s+/g, ' ')
+    };
+}
+
+// 查找包含 keyword 的章节，按书分组返回
+// trigram 至少需要 3 个字符，更短的关键字退回 LIKE 逐章扫描
+async function search(keyword, limit = 100) {
+    if (!db) throw new Error('全文索引未启用');
+
+    let rows;
+    if (keyword.length >= 3) {
+        rows = await db.all(`
+            SELECT chapters_fts.title, chapters_fts.content, chapters_fts.chapter_index, chapters_fts.position,
+                b.path, b.name, b.size, b.mtime
+            FROM chapters_fts JOIN books b ON b.id = chapters_fts.book_id
+            WHERE chapters_fts MATCH ? ORDER BY rank LIMIT ?`,
+            `"${keyword.replace(/"/g, '""')}"`, limit);
+    } else {
+        rows = await db.all(`
+            SELECT chapters_fts.title, chapters_fts.content, chapters_fts.chapter_index, chapters_fts.position,
+                b.path, b.name, b.size, b.mtime
+            FROM chapters_fts JOIN books b ON b.id = chapters_fts.book_id
+            WHERE chapters_fts.content LIKE ? ESCAPE '\\' LIMIT ?`,
+            `%${keyword.replace(/[\\%_]/g, '\\$&')}%`, limit);
+    }
+
+    const books = new Map();
+    for (const row of rows) {
+        const snippet = makeSnippet(row.content, keyword);
+        if (!snippet) continue;
+        if (!books.has(row.path)) {
+            books.set(row.path, { name: row.name, path: row.path, size: row.size, mtime: row.mtime, matches: [] });
+        }
+        books.get(row.path).matches.push({
+            chapter: row.title,
+            chapterIndex: row.chapter_index,
+            position: row.position + snippet.offset,
+            before: snippet.before,
+            match: snippet.match,
+            after: snippet.after
+        });
+    }
+    return [...books.values()];
+}
+
+function getStatus() {
+    return { ...status, enabled: !!db };
+}
+
+module.exports = {
+    openIndex,
+    updateIndex,
+    search,
+    getStatus
+};
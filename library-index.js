@@ -0,0 +1,692 @@
+// 书库文件索引
+// 记录书库中每本书的路径、大小、修改时间、内容哈希、元数据和内容指纹并保存到磁盘；某个目录第一次被访问时完整扫描一次，
+// 之后由 fs.watch 和定时轮询增量更新。文件列表、书名搜索和随机阅读都直接读索引，不再每次遍历目录树
+// server.js 和 main.js 共用
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fsPromises = fs.promises;
+const BookMetadata = require('./book-metadata');
+const BookFingerprint = require('./book-fingerprint');
+const BookFormats = require('./book-formats');
+const ArchiveReader = require('./archive-reader');
+const { decodeBufferWithEncoding, splitChapters } = require('./book-text');
+
+const INDEX_VERSION = 1;
+const BOOK_EXTENSIONS = ['.txt', ...BookFormats.FORMAT_EXTENSIONS];
+const IGNORED_DIRS = new Set([
+    'node_modules', '.git', '.vscode', '.idea', 'dist', 'build', 'coverage',
+    '$RECYCLE.BIN', 'System Volume Information', 'Windows', 'Program Files', 'Program Files (x86)',
+    // 标注导出目录里的 .md 是笔记，不是书（旧版本会导出到书库目录下）
+    'annotation_exports', 'annotation_exports_hidden'
+]);
+const MAX_DEPTH = 20;
+const POLL_INTERVAL = 60 * 1000; // 轮询兜底：fs.watch 不可用或漏掉事件时，按目录修改时间找出变化
+const FULL_SWEEP_INTERVAL = 30 * 60 * 1000; // fs.watch 失败后逐个核对文件的间隔（改写文件内容不改变目录的修改时间）
+const WATCH_DEBOUNCE = 500;
+const SAVE_DELAY = 2000;
+const HASH_SAMPLE_SIZE = 64 * 1024;
+const META_SAMPLE_SIZE = 64 * 1024; // 提取元数据只读文件开头这一段：书名、作者、简介都在开头
+
+let indexFile = null;
+let ready = Promise.resolve();
+let saveTimer = null;
+let libraryDirs = null; // 配置中的书库目录，只有这些目录（及其子目录）建立索引；null 表示不限制
+// key: 根目录, value: { files: { 文件路径: { size, mtime, hash, meta, encoding, chapterCount, fingerprint,
+//   detailsFailed, fingerprintFailed } }, dirs: { 目录路径: mtime },
+//   archives: { 压缩包路径: { size, mtime } } }；压缩包中的书以「压缩包路径!/包内路径」记在 files 中
+let roots = {};
+// 不保存的运行状态，key: 根目录, value: { ready, queue, watcher, pollTimer, lastFullSweep, pending, debounceTimer }
+const runtimes = new Map();
+const detailQueue = [];
+const fingerprintQueue = [];
+let processingDetails = false;
+
+// 加载上次保存的索引，之后访问已索引的目录不必重新扫描
+// dirs 为配置中的书库目录（数组或返回数组的 Promise），其他目录只临时扫描，不建立索引
+function init(filePath, dirs = null) {
+    indexFile = filePath;
+    const loaded = fsPromises.readFile(filePath, 'utf8').then(data => {
+        const index = JSON.parse(data);
+        if (index.version === INDEX_VERSION && index.roots) roots = index.roots;
+    }).catch(error => {
+        if (error.code !== 'ENOENT') console.error('读取书库索引失败:', error.message);
+    });
+    ready = Promise.all([loaded, Promise.resolve(dirs)])
+        .then(([, resolvedDirs]) => {
+            if (resolvedDirs) setLibraryDirs(resolvedDirs);
+        })
+        .catch(error => console.error('读取书库目录失败:', error.message));
+    return ready;
+}
+
+// 停止根目录的监听和轮询
+function stopRoot(root) {
+    const runtime = runtimes.get(root);
+    if (!runtime) return;
+    if (runtime.watcher) runtime.watcher.close();
+    clearInterval(runtime.pollTimer);
+    clearTimeout(runtime.debounceTimer);
+    runtimes.delete(root);
+}
+
+// 更新书库目录（配置变化后调用）：不在任何书库目录中的根目录不再监听，并从索引中移除
+function setLibraryDirs(dirs) {
+    libraryDirs = [...new Set(dirs.filter(Boolean).map(dir => path.resolve(dir)))];
+    let changed = false;
+    for (const root of Object.keys(roots)) {
+        if (libraryDirs.some(dir => isInside(root, dir))) continue;
+        stopRoot(root);
+        delete roots[root];
+        changed = true;
+    }
+    if (changed) scheduleSave();
+}
+
+// 包含 dir 的书库目录中最外层的一个；书库目录互相包含时只为最外层建立索引
+function findLibraryDir(dir) {
+    if (!libraryDirs) return dir;
+    const candidates = libraryDirs.filter(libraryDir => isInside(dir, libraryDir));
+    return candidates.sort((a, b) => a.length - b.length)[0] || null;
+}
+
+function scheduleSave() {
+    if (!indexFile || saveTimer) return;
+    saveTimer = setTimeout(async () => {
+        saveTimer = null;
+        try {
+            await fsPromises.writeFile(indexFile, JSON.stringify({ version: INDEX_VERSION, roots }));
+        } catch (error) {
+            console.error('保存书库索引失败:', error.message);
+        }
+    }, SAVE_DELAY);
+}
+
+function isBookFile(name) {
+    return BOOK_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+// 书和可能包含书的压缩包
+function isIndexedFile(name) {
+    return isBookFile(name) || ArchiveReader.isArchiveFile(name);
+}
+
+function isIgnoredDir(name) {
+    return IGNORED_DIRS.has(name) || name.startsWith('.');
+}
+
+function isInside(filePath, dir) {
+    return filePath === dir || filePath.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+}
+
+function getDepth(root, dir) {
+    return path.relative(root, dir).split(path.sep).filter(Boolean).length;
+}
+
+// 路径中任意一级是忽略的目录（监听事件会报告 node_modules 等目录里的变化）
+function isIgnoredPath(root, filePath) {
+    return path.relative(root, filePath).split(path.sep).slice(0, -1).some(isIgnoredDir);
+}
+
+// 已索引的根目录中包含 dir 的那个；子目录直接复用上级目录的索引
+function findRoot(dir) {
+    if (roots[dir]) return dir;
+    return Object.keys(roots).find(root => isInside(dir, root)) || null;
+}
+
+function findEntry(filePath) {
+    const root = findRoot(filePath);
+    return root ? roots[root].files[filePath] : null;
+}
+
+// 快速内容哈希：文件大小加开头、结尾各 64KB 的 MD5，足以区分不同的书，又不用读完整个文件
+function hashBuffer(buffer) {
+    const hash = crypto.createHash('md5').update(String(buffer.length));
+    hash.update(buffer.subarray(0, HASH_SAMPLE_SIZE));
+    if (buffer.length > HASH_SAMPLE_SIZE) {
+        hash.update(buffer.subarray(Math.max(HASH_SAMPLE_SIZE, buffer.length - HASH_SAMPLE_SIZE)));
+    }
+    return hash.digest('hex');
+}
+
+// 与 hashBuffer 结果相同，只读取需要的两段；压缩包中的书只能整体解压
+async function computeQuickHash(filePath, size) {
+    if (ArchiveReader.isVirtualPath(filePath)) return hashBuffer(await ArchiveReader.readFile(filePath));
+    const fd = await fsPromises.open(filePath, 'r');
+    try {
+        const hash = crypto.createHash('md5').update(String(size));
+        const head = Buffer.alloc(Math.min(size, HASH_SAMPLE_SIZE));
+        await fd.read(head, 0, head.length, 0);
+        hash.update(head);
+        if (size > HASH_SAMPLE_SIZE) {
+            const tail = Buffer.alloc(Math.min(size - HASH_SAMPLE_SIZE, HASH_SAMPLE_SIZE));
+            await fd.read(tail, 0, tail.length, size - tail.length);
+            hash.update(tail);
+        }
+        return hash.digest('hex');
+    } finally {
+        await fd.close();
+    }
+}
+
+// 哈希或元数据还没算好（包括旧版本索引里缺少的字段）；读取失败过的书等文件变化后再重试
+function needsDetails(entry) {
+    return !entry.detailsFailed && (!entry.hash || !entry.meta);
+}
+
+function queueDetails(filePath) {
+    detailQueue.push(filePath);
+    if (!processingDetails) processDetailQueue();
+}
+
+// 内容指纹、章节数和准确字数要读完整本书，只在查重时才排队计算
+function queueFingerprints(filePaths) {
+    filePaths.forEach(filePath => {
+        const entry = findEntry(filePath);
+        if (entry && !entry.fingerprint && !entry.fingerprintFailed) fingerprintQueue.push(filePath);
+    });
+    if (!processingDetails) processDetailQueue();
+}
+
+async function readHead(filePath, length) {
+    const fd = await fsPromises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await fd.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await fd.close();
+    }
+}
+
+// 哈希只读首尾两段，元数据只读开头一段，字数按开头一段的字数和文件大小估算
+// EPUB 等格式要整体解析，压缩包中的书只能整体解压，这两类仍然读取整个文件
+async function computeDetails(entry, filePath) {
+    const fileName = path.basename(filePath);
+    if (BookFormats.isConvertedFormat(filePath) || ArchiveReader.isVirtualPath(filePath)) {
+        const buffer = await ArchiveReader.readFile(filePath);
+        entry.hash = hashBuffer(buffer);
+        // 书名、作者以书中自带的信息为准
+        const book = BookFormats.isConvertedFormat(filePath) ? BookFormats.parseBook(filePath, buffer) : null;
+        if (book) {
+            entry.meta = BookMetadata.extractMetadata(fileName, book.text);
+            entry.meta.title = book.title || entry.meta.title;
+            entry.meta.author = book.author || entry.meta.author;
+            entry.meta.synopsis = book.synopsis || entry.meta.synopsis;
+            entry.encoding = book.format;
+            entry.chapterCount = book.chapters.length;
+        } else {
+            const { text, encoding } = decodeBufferWithEncoding(buffer);
+            entry.meta = BookMetadata.extractMetadata(fileName, text);
+            entry.encoding = encoding;
+            entry.chapterCount = splitChapters(text).length;
+        }
+        return;
+    }
+
+    entry.hash = await computeQuickHash(filePath, entry.size);
+    const head = await readHead(filePath, Math.min(entry.size, META_SAMPLE_SIZE));
+    const { text, encoding } = decodeBufferWithEncoding(head, head.length < entry.size);
+    entry.meta = BookMetadata.extractMetadata(fileName, text);
+    if (head.length > 0 && head.length < entry.size) {
+        entry.meta.wordCount = Math.round(entry.meta.wordCount * entry.size / head.length);
+    }
+    entry.encoding = encoding;
+}
+
+// 读取全文计算内容指纹，顺便得到准确的字数和章节数
+async function computeFingerprintDetails(entry, filePath) {
+    const buffer = await ArchiveReader.readFile(filePath);
+    const book = BookFormats.isConvertedFormat(filePath) ? BookFormats.parseBook(filePath, buffer) : null;
+    const { text, encoding } = book ? { text: book.text, encoding: book.format } : decodeBufferWithEncoding(buffer);
+    entry.fingerprint = BookFingerprint.computeFingerprint(text);
+    entry.encoding = encoding;
+    entry.chapterCount = book ? book.chapters.length : splitChapters(text).length;
+    if (entry.meta) entry.meta.wordCount = BookMetadata.countWords(text);
+}
+
+// 后台逐本计算哈希和元数据（书名、作者、状态、字数、简介），都算完后再算查重要用的指纹，每本之间让出事件循环
+async function processDetailQueue() {
+    processingDetails = true;
+    while (detailQueue.length > 0 || fingerprintQueue.length > 0) {
+        const isDetail = detailQueue.length > 0;
+        const filePath = isDetail ? detailQueue.shift() : fingerprintQueue.shift();
+        const entry = findEntry(filePath);
+        if (!entry || (isDetail ? !needsDetails(entry) : entry.fingerprint || entry.fingerprintFailed)) continue;
+        try {
+            await (isDetail ? computeDetails(entry, filePath) : computeFingerprintDetails(entry, filePath));
+        } catch (error) {
+            // 损坏或无法解析的书记为失败，不再反复重试；文件改动后会生成新的条目
+            console.warn(`${isDetail ? '读取书籍信息' : '计算内容指纹'}失败 ${filePath}:`, error.message);
+            entry[isDetail ? 'detailsFailed' : 'fingerprintFailed'] = true;
+        }
+        scheduleSave();
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    processingDetails = false;
+}
+
+// 重新读取单个文件的大小和修改时间；返回索引是否有变化
+async function updateFileEntry(state, filePath) {
+    if (ArchiveReader.isArchiveFile(filePath)) return updateArchiveEntries(state, filePath);
+    try {
+        const stat = await fsPromises.stat(filePath);
+        const mtime = stat.mtime.getTime();
+        const entry = state.files[filePath];
+        if (entry && entry.size === stat.size && entry.mtime === mtime) return false;
+        state.files[filePath] = { size: stat.size, mtime, hash: null, meta: null, fingerprint: null };
+        queueDetails(filePath);
+        return true;
+    } catch (_) {
+        if (!state.files[filePath]) return false;
+        delete state.files[filePath];
+        return true;
+    }
+}
+
+// 压缩包的大小或修改时间变了才重新列出其中的书；压缩包删除后移除其中所有的书
+async function updateArchiveEntries(state, archivePath) {
+    const archives = state.archives || (state.archives = {});
+    let stat = null;
+    try {
+        stat = await fsPromises.stat(archivePath);
+    } catch (_) { }
+    const known = archives[archivePath];
+    if (!stat && !known) return false;
+    if (stat && known && known.size === stat.size && known.mtime === stat.mtime.getTime()) return false;
+
+    let members = [];
+    if (stat) {
+        archives[archivePath] = { size: stat.size, mtime: stat.mtime.getTime() };
+        try {
+            members = (await ArchiveReader.listMembers(archivePath)).filter(member => isBookFile(member.name));
+        } catch (error) {
+            console.error(`读取压缩包失败 ${archivePath}:`, error.message);
+        }
+    } else {
+        delete archives[archivePath];
+    }
+
+    const seen = new Set();
+    for (const member of members) {
+        seen.add(member.path);
+        const entry = state.files[member.path];
+        if (entry && entry.size === member.size && entry.mtime === member.mtime) continue;
+        state.files[member.path] = { size: member.size, mtime: member.mtime, hash: null, meta: null, fingerprint: null };
+        queueDetails(member.path);
+    }
+    for (const filePath of Object.keys(state.files)) {
+        if (filePath !== archivePath && ArchiveReader.getContainerPath(filePath) === archivePath && !seen.has(filePath)) {
+            delete state.files[filePath];
+        }
+    }
+    return true;
+}
+
+// 完整扫描一个目录及其子目录
+async function scanDirectory(state, dir, depth) {
+    if (depth > MAX_DEPTH) return;
+    let entries;
+    try {
+        state.dirs[dir] = (await fsPromises.stat(dir)).mtime.getTime();
+        entries = await fsPromises.readdir(dir, { withFileTypes: true });
+    } catch (_) {
+        // 忽略无权限等无法读取的目录
+        return;
+    }
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!isIgnoredDir(entry.name)) await scanDirectory(state, fullPath, depth + 1);
+        } else if (entry.isFile() && isIndexedFile(entry.name)) {
+            await updateFileEntry(state, fullPath);
+        }
+    }
+}
+
+// 移除目录及其下所有条目
+function removeSubtree(state, dir) {
+    let changed = false;
+    for (const filePath of Object.keys(state.files)) {
+        if (isInside(filePath, dir)) {
+            delete state.files[filePath];
+            changed = true;
+        }
+    }
+    for (const subDir of Object.keys(state.dirs)) {
+        if (isInside(subDir, dir)) delete state.dirs[subDir];
+    }
+    for (const archivePath of Object.keys(state.archives || {})) {
+        if (isInside(archivePath, dir)) delete state.archives[archivePath];
+    }
+    return changed;
+}
+
+// 只重新读取一个目录：更新其中的文件，扫描新出现的子目录，移除已经消失的文件和子目录
+async function reconcileDirectory(root, state, dir) {
+    if (!isInside(dir, root)) return false;
+    const depth = getDepth(root, dir);
+    let entries;
+    try {
+        state.dirs[dir] = (await fsPromises.stat(dir)).mtime.getTime();
+        entries = await fsPromises.readdir(dir, { withFileTypes: true });
+    } catch (_) {
+        return removeSubtree(state, dir);
+    }
+
+    let changed = false;
+    const seenFiles = new Set();
+    const seenDirs = new Set();
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (isIgnoredDir(entry.name) || depth + 1 > MAX_DEPTH) continue;
+            seenDirs.add(fullPath);
+            if (!(fullPath in state.dirs)) {
+                await scanDirectory(state, fullPath, depth + 1);
+                changed = true;
+            }
+        } else if (entry.isFile() && isIndexedFile(entry.name)) {
+            seenFiles.add(fullPath);
+            if (await updateFileEntry(state, fullPath)) changed = true;
+        }
+    }
+
+    // 压缩包中的书随压缩包一起移除
+    for (const filePath of Object.keys(state.files)) {
+        const containerPath = ArchiveReader.getContainerPath(filePath);
+        if (path.dirname(containerPath) === dir && !seenFiles.has(containerPath)) {
+            delete state.files[filePath];
+            changed = true;
+        }
+    }
+    for (const archivePath of Object.keys(state.archives || {})) {
+        if (path.dirname(archivePath) === dir && !seenFiles.has(archivePath)) delete state.archives[archivePath];
+    }
+    for (const subDir of Object.keys(state.dirs)) {
+        if (path.dirname(subDir) === dir && !seenDirs.has(subDir) && removeSubtree(state, subDir)) changed = true;
+    }
+    return changed;
+}
+
+// 轮询：修改时间变了的目录重新读取（新增、删除、改名）；fullSweep 时再逐个核对文件和压缩包的大小和修改时间
+async function pollRoot(root, fullSweep = false) {
+    const state = roots[root];
+    let changed = false;
+    for (const dir of new Set([root, ...Object.keys(state.dirs)])) {
+        if (dir !== root && !(dir in state.dirs)) continue;
+        try {
+            if ((await fsPromises.stat(dir)).mtime.getTime() === state.dirs[dir]) continue;
+        } catch (_) { }
+        if (await reconcileDirectory(root, state, dir)) changed = true;
+    }
+    if (fullSweep) {
+        runtimes.get(root).lastFullSweep = Date.now();
+        for (const filePath of Object.keys(state.files)) {
+            if (ArchiveReader.isVirtualPath(filePath)) continue;
+            if (await updateFileEntry(state, filePath)) changed = true;
+        }
+        for (const archivePath of Object.keys(state.archives || {})) {
+            if (await updateArchiveEntries(state, archivePath)) changed = true;
+        }
+    }
+    if (changed) scheduleSave();
+}
+
+// 监听事件合并处理：书文件直接更新，其他路径（目录新建、删除、改名）重新读取所在目录和它本身
+async function applyPendingChanges(root, changedPaths) {
+    const state = roots[root];
+    let changed = false;
+    const dirs = new Set();
+    for (const changedPath of changedPaths) {
+        if (isIgnoredPath(root, changedPath)) continue;
+        if (isIndexedFile(changedPath)) {
+            if (await updateFileEntry(state, changedPath)) changed = true;
+        } else {
+            if (changedPath !== root) dirs.add(path.dirname(changedPath));
+            dirs.add(changedPath);
+        }
+    }
+    for (const dir of dirs) {
+        if (await reconcileDirectory(root, state, dir)) changed = true;
+    }
+    if (changed) scheduleSave();
+}
+
+// 同一根目录的更新依次执行，避免扫描、轮询和监听事件同时修改索引
+function enqueue(root, task) {
+    const runtime = runtimes.get(root);
+    runtime.queue = runtime.queue.then(task).catch(error => console.error('更新书库索引失败:', error));
+    return runtime.queue;
+}
+
+function startWatching(root) {
+    const runtime = runtimes.get(root);
+    try {
+        runtime.watcher = fs.watch(root, { recursive: true }, (eventType, fileName) => {
+            runtime.pending.add(fileName ? path.join(root, fileName.toString()) : root);
+            clearTimeout(runtime.debounceTimer);
+            runtime.debounceTimer = setTimeout(() => {
+                const changedPaths = [...runtime.pending];
+                runtime.pending.clear();
+                enqueue(root, () => applyPendingChanges(root, changedPaths));
+            }, WATCH_DEBOUNCE);
+        });
+        runtime.watcher.on('error', error => {
+            console.error(`监听书库目录失败 ${root}:`, error.message);
+            runtime.watcher.close();
+            runtime.watcher = null;
+        });
+    } catch (error) {
+        // 目录不存在或平台不支持递归监听，只依靠轮询
+        runtime.watcher = null;
+    }
+    // 监听正常时文件改动由监听事件处理，轮询只比较目录的修改时间；监听失败后才定期逐个核对文件
+    runtime.pollTimer = setInterval(() => {
+        const fullSweep = !runtime.watcher && Date.now() - runtime.lastFullSweep >= FULL_SWEEP_INTERVAL;
+        enqueue(root, () => pollRoot(root, fullSweep));
+    }, POLL_INTERVAL);
+    if (runtime.pollTimer.unref) runtime.pollTimer.unref();
+}
+
+// 新的根目录包含已有的根目录时，把它们的条目并入新根目录（已算好的哈希、元数据不必重算），
+// 并停止它们各自的监听，同一本书不会被索引和监听两次
+function mergeNestedRoots(root) {
+    const state = roots[root];
+    for (const nested of Object.keys(roots)) {
+        if (nested === root || !isInside(nested, root)) continue;
+        stopRoot(nested);
+        Object.assign(state.files, roots[nested].files);
+        Object.assign(state.dirs, roots[nested].dirs);
+        if (roots[nested].archives) state.archives = Object.assign(state.archives || {}, roots[nested].archives);
+        delete roots[nested];
+    }
+}
+
+// 返回包含 dir 的根目录，必要时先建立索引；dir 不在书库目录中时返回 null
+async function ensureRoot(dir) {
+    await ready;
+    const resolved = path.resolve(dir);
+    let root = findRoot(resolved);
+
+    if (!root) {
+        root = findLibraryDir(resolved);
+        if (!root) return null;
+        roots[root] = { files: {}, dirs: {} };
+        mergeNestedRoots(root);
+        runtimes.set(root, { queue: Promise.resolve(), pending: new Set(), lastFullSweep: Date.now() });
+        runtimes.get(root).ready = enqueue(root, async () => {
+            await scanDirectory(roots[root], root, 0);
+            scheduleSave();
+        });
+        startWatching(root);
+    } else if (!runtimes.has(root)) {
+        // 上次保存的索引直接使用，离线期间的变化在后台核对
+        runtimes.set(root, { queue: Promise.resolve(), pending: new Set(), ready: Promise.resolve(), lastFullSweep: 0 });
+        Object.keys(roots[root].files).forEach(filePath => {
+            const entry = roots[root].files[filePath];
+            if (needsDetails(entry)) queueDetails(filePath);
+        });
+        enqueue(root, () => pollRoot(root, true));
+        startWatching(root);
+    }
+
+    await runtimes.get(root).ready;
+    // 等待期间并入了上级根目录，或者书库目录的配置变了
+    if (!roots[root]) return ensureRoot(dir);
+    return root;
+}
+
+// dir 下所有书：[{ path, size, mtime, hash, meta, ... }]，按路径排序；hash、meta 等在后台计算，尚未算好时为 null
+// 不在书库目录中的目录（例如临时浏览的文件夹）每次完整扫描一遍，不保存、不监听，也不计算元数据
+async function getEntries(dir) {
+    const root = await ensureRoot(dir);
+    const resolved = path.resolve(dir);
+    let files;
+    if (root) {
+        files = roots[root].files;
+    } else {
+        const state = { files: {}, dirs: {} };
+        await scanDirectory(state, resolved, 0);
+        files = state.files;
+    }
+    return Object.keys(files)
+        .filter(filePath => isInside(filePath, resolved))
+        .sort()
+        .map(filePath => ({ path: filePath, ...files[filePath] }));
+}
+
+async function getFiles(dir) {
+    return (await getEntries(dir)).map(entry => entry.path);
+}
+
+// 按文件名（不区分大小写）查找书
+async function findFile(dir, fileName) {
+    const lowerName = String(fileName).toLowerCase();
+    const entry = (await getEntries(dir)).find(item => path.basename(item.path).toLowerCase() === lowerName);
+    return entry ? entry.path : null;
+}
+
+// 文件的内容哈希；后台还没算到时立即计算
+async function getHash(filePath) {
+    const entry = findEntry(path.resolve(filePath));
+    if (entry && entry.hash) return entry.hash;
+    const stat = await ArchiveReader.stat(filePath);
+    const hash = await computeQuickHash(filePath, stat.size);
+    if (entry && entry.size === stat.size) {
+        entry.hash = hash;
+        scheduleSave();
+    }
+    return hash;
+}
+
+// 文件指纹：大小加首尾哈希，文件改名或移动后不变
+async function getFileFingerprint(filePath) {
+    const stat = await ArchiveReader.stat(filePath);
+    return { size: stat.size, hash: await getHash(filePath) };
+}
+
+// 按文件指纹查找书：只有大小相同的文件才需要比较哈希
+async function findByFingerprint(dir, fingerprint) {
+    for (const entry of await getEntries(dir)) {
+        if (entry.size !== fingerprint.size) continue;
+        try {
+            if ((entry.hash || await getHash(entry.path)) === fingerprint.hash) return entry.path;
+        } catch (error) {
+            // 文件刚被删除，索引还没更新
+        }
+    }
+    return null;
+}
+
+// 找回历史记录中的书：原路径还在就用原路径，否则按文件指纹依次在各目录中查找
+async function locateFile(filePath, fingerprint, dirs) {
+    // 原路径已移动、改名或删除时按指纹查找
+    if (filePath && await ArchiveReader.exists(filePath)) return filePath;
+    if (!fingerprint || !fingerprint.hash) return null;
+    // 原来在压缩包里的书，从压缩包所在的目录找起
+    const searchDirs = (dirs || []).filter(Boolean)
+        .map(dir => (ArchiveReader.isVirtualPath(dir) ? path.dirname(ArchiveReader.getContainerPath(dir)) : dir));
+    for (const dir of [...new Set(searchDirs)]) {
+        try {
+            const found = await findByFingerprint(dir, fingerprint);
+            if (found) return found;
+        } catch (error) {
+            console.error(`在 ${dir} 中按指纹查找失败:`, error.message);
+        }
+    }
+    return null;
+}
+
+// 目录树：文件夹在前，文件在后，空文件夹不显示；格式与书库面板使用的一致
+async function getTree(dir) {
+    const resolved = path.resolve(dir);
+    const tree = [];
+    const folders = new Map();
+
+    for (const entry of await getEntries(resolved)) {
+        const relativePath = path.relative(resolved, entry.path);
+        // 压缩包显示为文件夹，包内的目录结构照常展开
+        const archive = ArchiveReader.parseVirtualPath(entry.path);
+        const archiveParts = archive ? path.relative(resolved, archive.archivePath).split(path.sep) : [];
+        const parts = archive ? [...archiveParts, ...archive.memberPath.split('/')] : relativePath.split(path.sep);
+        let children = tree;
+        for (let i = 0; i < parts.length - 1; i++) {
+            const folderRelativePath = parts.slice(0, i + 1).join(path.sep);
+            let folder = folders.get(folderRelativePath);
+            if (!folder) {
+                const insideArchive = archive && i >= archiveParts.length;
+                folder = {
+                    name: parts[i],
+                    path: insideArchive
+                        ? `${archive.archivePath}!/${parts.slice(archiveParts.length, i + 1).join('/')}`
+                        : path.join(resolved, folderRelativePath),
+                    relativePath: folderRelativePath,
+                    type: 'directory',
+                    isArchive: !!archive && i === archiveParts.length - 1,
+                    children: []
+                };
+                folders.set(folderRelativePath, folder);
+                children.push(folder);
+            }
+            children = folder.children;
+        }
+        children.push({
+            name: parts[parts.length - 1],
+            path: entry.path,
+            relativePath,
+            type: 'file',
+            size: entry.size,
+            mtime: entry.mtime,
+            meta: entry.meta
+        });
+    }
+
+    const sortItems = items => {
+        items.sort((a, b) => {
+            if (a.type === b.type) return a.name.localeCompare(b.name);
+            return a.type === 'directory' ? -1 : 1;
+        });
+        items.forEach(item => {
+            if (item.children) sortItems(item.children);
+        });
+        return items;
+    };
+    return sortItems(tree);
+}
+
+module.exports = {
+    BOOK_EXTENSIONS,
+    init,
+    setLibraryDirs,
+    isBookFile,
+    getEntries,
+    getFiles,
+    findFile,
+    getHash,
+    queueFingerprints,
+    getFileFingerprint,
+    findByFingerprint,
+    locateFile,
+    getTree
+};
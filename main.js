@@ -3,6 +3,12 @@ const path = require('path');
 const fs = require('fs');
 const fsPromises = fs.promises;
 const crypto = require('crypto');
+const AnnotationExport = require('./annotation-export');
+const LibraryIndex = require('./library-index');
+const FulltextIndex = require('./fulltext-index');
+const BookFingerprint = require('./book-fingerprint');
+const BookFormats = require('./book-formats');
+const ArchiveReader = require('./archive-reader');
 
 // 缓存目录
 const CACHE_DIR = path.join(app.getPath('userData'), 'book_cache');
@@ -16,11 +22,15 @@ if (!fs.existsSync(CACHE_DIR)) {
     }
 }
 
+// 书库索引保存在用户数据目录，只为配置中的书库目录建立索引
+LibraryIndex.init(path.join(app.getPath('userData'), 'library_index.json'), getIndexedDirs());
+
 // 使用应用根目录而不是执行文件目录，以确保开发环境和生产环境一致性
 // 在开发环境中，__dirname 指向项目根目录
 // 在打包后，通常指向 resources/app.asar 或 resources/app
 const BASE_DIR = __dirname;
 const RANDOM_STATE_FILE = 'random_state.json';
+const FULLTEXT_REFRESH_INTERVAL = 30 * 60 * 1000; // 全文索引定期检查书库变化
 
 // 全局变量存储随机状态
 // key: baseDir, value: { randomizedBooks: [], allAvailableBooks: [] }
@@ -97,6 +107,8 @@ app.whenReady().then(async () => {
     // 加载随机状态
     await loadRandomState();
     createWindow();
+    startLibraryIndex();
+    startFulltextIndexer();
 });
 
 app.on('window-all-closed', () => {
@@ -141,9 +153,10 @@ ipcMain.handle('reset-random-state', async (event, baseDir) => {
 });
 
 // 处理读取文件请求
+// 路径可以是压缩包中的书（pack.zip!/book.txt）
 ipcMain.handle('read-file', async (event, filePath) => {
     try {
-        const data = await fsPromises.readFile(filePath);
+        const data = await ArchiveReader.readFile(filePath);
         return data;
     } catch (error) {
         console.error('Error reading file:', error);
@@ -151,69 +164,40 @@ ipcMain.handle('read-file', async (event, filePath) => {
     }
 });
 
-// 修改文件搜索处理（优化版：并行处理 + 忽略目录）
-ipcMain.handle('search-file', async (event, baseDir, fileName) => {
-    // 忽略列表
-    const IGNORED_DIRS = new Set([
-        'node_modules', '.git', '.vscode', '.idea', 'dist', 'build', 'coverage',
-        '$RECYCLE.BIN', 'System Volume Information', 'Windows', 'Program Files', 'Program Files (x86)'
-    ]);
-
-    // 最大递归深度
-    const MAX_DEPTH = 10;
-
-    // 用于控制提前结束
-    let foundPath = null;
-
-    async function searchInDir(dir, depth = 0) {
-        if (foundPath) return foundPath; // 如果已经找到了，直接返回
-        if (depth > MAX_DEPTH) return null;
-
-        try {
-            const entries = await fsPromises.readdir(dir, { withFileTypes: true });
-
-            // 检查当前目录下的文件
-            for (const entry of entries) {
-                if (foundPath) return foundPath;
-
-                if (entry.isFile() && entry.name.toLowerCase() === fileName.toLowerCase()) {
-                    foundPath = path.join(dir, entry.name);
-                    return foundPath;
-                }
-            }
+// EPUB 等格式转换成文本和章节列表
+ipcMain.handle('read-book', async (event, filePath) => {
+    return await BookFormats.loadBook(filePath);
+});
 
-            // 收集子目录
-            const subDirs = [];
-            for (const entry of entries) {
-                if (entry.isDirectory()) {
-                    if (!IGNORED_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
-                        subDirs.push(path.join(dir, entry.name));
-                    }
-                }
-            }
+ipcMain.handle('parse-book', async (event, fileName, base64) => {
+    return BookFormats.parseBook(fileName, Buffer.from(base64, 'base64'));
+});
 
-            // 并行扫描子目录
-            if (subDirs.length > 0) {
-                // 使用 Promise.all 并行执行，但只要有一个找到就返回
-                // 注意：这里没有使用 Promise.any 因为 Node 版本可能不支持，且我们需要自定义逻辑
-                const promises = subDirs.map(subDir => searchInDir(subDir, depth + 1));
-                await Promise.all(promises);
-            }
+// 在书库索引中按文件名查找
+ipcMain.handle('search-file', async (event, baseDir, fileName) => {
+    try {
+        return await LibraryIndex.findFile(baseDir, fileName);
+    } catch (error) {
+        console.error('搜索文件错误:', error);
+        return null;
+    }
+});
 
-            return foundPath;
-        } catch (error) {
-            // 忽略错误
-            return null;
-        }
+// 文件指纹（大小和首尾哈希），保存在历史记录中，文件改名或移动后据此找回
+ipcMain.handle('get-file-fingerprint', async (event, filePath) => {
+    try {
+        return await LibraryIndex.getFileFingerprint(filePath);
+    } catch (error) {
+        console.error('计算文件指纹失败:', error);
+        return null;
     }
+});
 
+ipcMain.handle('locate-book', async (event, filePath, fingerprint, searchPaths) => {
     try {
-        console.log('开始搜索文件:', fileName, '在目录:', baseDir);
-        const result = await searchInDir(baseDir);
-        console.log('搜索结果:', result);
-        return result;
+        return await LibraryIndex.locateFile(filePath, fingerprint, searchPaths);
     } catch (error) {
-        console.error('搜索文件错误:', error);
+        console.error('查找书籍失败:', error);
         return null;
     }
 });
@@ -319,8 +303,8 @@ ipcMain.handle('get-random-file', async (event, baseDir) => {
         if (!Array.isArray(state.randomizedBooks)) state.randomizedBooks = [];
         if (!Array.isArray(state.allAvailableBooks)) state.allAvailableBooks = [];
 
-        // 获取目录中的所有TXT文件
-        const txtFiles = await getAllTxtFiles(targetDir);
+        // 从书库索引获取目录中的所有TXT文件
+        const txtFiles = await LibraryIndex.getFiles(targetDir);
         if (txtFiles.length === 0) {
             return null;
         }
@@ -389,104 +373,90 @@ ipcMain.handle('select-directory', async () => {
     }
 });
 
-// 递归获取所有 TXT 文件（优化版：并行处理 + 忽略目录）
-async function getAllTxtFiles(dir) {
-    const files = [];
-    // 忽略列表
-    const IGNORED_DIRS = new Set([
-        'node_modules', '.git', '.vscode', '.idea', 'dist', 'build', 'coverage',
-        '$RECYCLE.BIN', 'System Volume Information', 'Windows', 'Program Files', 'Program Files (x86)'
-    ]);
-
-    // 最大递归深度，防止过深
-    const MAX_DEPTH = 20;
-
-    async function scan(directory, depth = 0) {
-        if (depth > MAX_DEPTH) return;
-
-        try {
-            const entries = await fsPromises.readdir(directory, { withFileTypes: true });
-
-            // 分离文件和目录，以便并行处理
-            const subDirs = [];
-
-            for (const entry of entries) {
-                const fullPath = path.join(directory, entry.name);
+// 书库相关的所有目录：书库目录、搜索路径和随机阅读目录（去重）
+async function getLibraryDirs() {
+    const configPath = path.join(path.dirname(app.getPath('exe')), 'config.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+        config = JSON.parse(await fsPromises.readFile(configPath, 'utf8'));
+    }
+    const dirs = [config.libraryDir, ...(config.searchDirs || []), config.baseDir].filter(Boolean);
+    return [...new Set(dirs.length > 0 ? dirs : [app.getPath('documents')])];
+}
 
-                if (entry.isDirectory()) {
-                    if (!IGNORED_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
-                        subDirs.push(fullPath);
-                    }
-                } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.txt')) {
-                    files.push(fullPath);
-                }
-            }
+// 在后台为书库目录建立 / 核对索引，第一次打开书库时不必等待扫描
+function startLibraryIndex() {
+    getLibraryDirs()
+        .then(dirs => Promise.all(dirs.filter(dir => fs.existsSync(dir)).map(dir => LibraryIndex.getEntries(dir))))
+        .catch(error => console.error('建立书库索引失败:', error));
+}
 
-            // 并行扫描子目录
-            if (subDirs.length > 0) {
-                await Promise.all(subDirs.map(subDir => scan(subDir, depth + 1).catch(err => {
-                    // 忽略访问权限等错误，继续扫描其他目录
-                    // console.warn(`无法扫描目录 ${subDir}:`, err.message);
-                })));
-            }
-        } catch (error) {
-            // 忽略读取目录错误（如权限不足）
-            // console.warn(`读取目录 ${directory} 失败:`, error.message);
-        }
+// 更新全文索引：收集书库中所有书，交给索引模块增量处理
+async function refreshFulltextIndex() {
+    const files = new Set();
+    for (const dir of await getLibraryDirs()) {
+        if (!fs.existsSync(dir)) continue;
+        for (const filePath of await LibraryIndex.getFiles(dir)) files.add(filePath);
     }
+    await FulltextIndex.updateIndex([...files]);
+}
 
-    await scan(dir);
-    return files;
-}// 辅助函数：获取目录树结构
-async function getDirectoryTree(dir, relativePath = '') {
-    const items = [];
+// 启动后台全文索引，索引库保存在用户数据目录；sqlite 依赖不可用时只记录日志，书名搜索不受影响
+async function startFulltextIndexer() {
     try {
-        const entries = await fsPromises.readdir(dir, { withFileTypes: true });
-        for (const entry of entries) {
-            const fullPath = path.join(dir, entry.name);
-            const entryRelativePath = path.join(relativePath, entry.name);
-
-            if (entry.isDirectory()) {
-                // 忽略隐藏目录和系统目录
-                if (entry.name.startsWith('.') || entry.name === '$RECYCLE.BIN' || entry.name === 'System Volume Information') continue;
-
-                // 递归获取子目录
-                const children = await getDirectoryTree(fullPath, entryRelativePath);
-                // 只有当目录不为空时才添加
-                if (children.length > 0) {
-                    items.push({
-                        name: entry.name,
-                        path: fullPath,
-                        relativePath: entryRelativePath,
-                        type: 'directory',
-                        children: children
-                    });
-                }
-            } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.txt')) {
-                const stats = fs.statSync(fullPath);
-                items.push({
-                    name: entry.name,
-                    path: fullPath,
-                    relativePath: entryRelativePath,
-                    type: 'file',
-                    size: stats.size,
-                    mtime: stats.mtime.getTime()
-                });
-            }
-        }
+        await FulltextIndex.openIndex(path.join(app.getPath('userData'), 'fulltext_index.db'));
+    } catch (error) {
+        console.error('全文索引不可用:', error.message);
+        return;
+    }
+    refreshFulltextIndex().catch(error => console.error('全文索引失败:', error));
+    setInterval(() => {
+        refreshFulltextIndex().catch(error => console.error('全文索引失败:', error));
+    }, FULLTEXT_REFRESH_INTERVAL);
+}
 
-        // 排序：文件夹在前，文件在后
-        items.sort((a, b) => {
-            if (a.type === b.type) return a.name.localeCompare(b.name);
-            return a.type === 'directory' ? -1 : 1;
-        });
+// 全文搜索：返回包含关键字的书、章节和上下文片段
+ipcMain.handle('search-fulltext', async (event, keyword, limit = 100) => {
+    keyword = (keyword || '').trim();
+    const status = FulltextIndex.getStatus();
+    if (!keyword) return { status, results: [] };
+    if (!status.enabled) return { status, error: '全文索引未启用（缺少 sqlite 依赖？）' };
+    try {
+        return { status, results: await FulltextIndex.search(keyword, limit) };
+    } catch (error) {
+        console.error('全文搜索失败:', error);
+        return { status, error: error.message };
+    }
+});
 
-    } catch (e) {
-        console.error(`无法扫描目录 ${dir}:`, e);
+// 建立书库索引的目录：在书库相关目录之外，还包括隐私模式的书库目录、搜索路径和随机阅读目录
+async function getIndexedDirs() {
+    const configPath = path.join(path.dirname(app.getPath('exe')), 'config.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+        config = JSON.parse(await fsPromises.readFile(configPath, 'utf8'));
     }
-    return items;
+    const hiddenDirs = [config.hiddenLibraryDir, ...(config.hiddenSearchDirs || []), config.hiddenBaseDir];
+    return [...new Set([...await getLibraryDirs(), ...hiddenDirs].filter(Boolean))];
 }
 
+// 查重：书库中内容相同或相近的书（不同文件名、编码的副本）
+ipcMain.handle('find-duplicates', async () => {
+    try {
+        const entries = new Map();
+        for (const dir of await getLibraryDirs()) {
+            if (!fs.existsSync(dir)) continue;
+            for (const entry of await LibraryIndex.getEntries(dir)) entries.set(entry.path, entry);
+        }
+        // 指纹要读完整本书，第一次查重时才开始在后台计算，没算完的书计入 pending
+        LibraryIndex.queueFingerprints([...entries.keys()]);
+        return BookFingerprint.buildDuplicateReport([...entries.values()]);
+    } catch (error) {
+        console.error('查找重复书籍失败:', error);
+        return { error: error.message };
+    }
+});
+
 // 添加获取文件列表的 IPC 处理
 ipcMain.handle('get-file-list', async (event, libraryDir) => {
     try {
@@ -510,7 +480,7 @@ ipcMain.handle('get-file-list', async (event, libraryDir) => {
         }
 
         console.log('正在获取书库列表，路径:', libraryDir);
-        return await getDirectoryTree(libraryDir);
+        return await LibraryIndex.getTree(libraryDir);
     } catch (error) {
         console.error('获取文件列表失败:', error);
         return [];
@@ -598,6 +568,13 @@ ipcMain.handle('save-config', async (event, newSettings) => {
 
         // 保存配置
         await fsPromises.writeFile(configPath, JSON.stringify(config, null, 4));
+        // 书库目录变化后更新建立索引的目录，并重新检查全文索引
+        if (['libraryDir', 'baseDir', 'searchDirs'].some(key => key in newSettings || `hidden${key[0].toUpperCase()}${key.slice(1)}` in newSettings)) {
+            LibraryIndex.setLibraryDirs(await getIndexedDirs());
+            if (FulltextIndex.getStatus().enabled) {
+                refreshFulltextIndex().catch(error => console.error('全文索引失败:', error));
+            }
+        }
         return true;
     } catch (error) {
         console.error('保存配置失败:', error);
@@ -608,7 +585,7 @@ ipcMain.handle('save-config', async (event, newSettings) => {
 // 获取文件大小
 ipcMain.handle('get-file-size', async (event, filePath) => {
     try {
-        const stats = await fsPromises.stat(filePath);
+        const stats = await ArchiveReader.stat(filePath);
         return stats.size;
     } catch (error) {
         console.error('获取文件大小失败:', error);
@@ -618,17 +595,11 @@ ipcMain.handle('get-file-size', async (event, filePath) => {
 
 // 读取文件分片
 ipcMain.handle('read-file-chunk', async (event, filePath, start, length) => {
-    let fd = null;
     try {
-        fd = await fsPromises.open(filePath, 'r');
-        const buffer = Buffer.alloc(length);
-        const { bytesRead } = await fd.read(buffer, 0, length, start);
-        return buffer.subarray(0, bytesRead);
+        return await ArchiveReader.readChunk(filePath, start, length);
     } catch (error) {
         console.error('读取文件分片失败:', error);
         return null;
-    } finally {
-        if (fd) await fd.close();
     }
 });
 
@@ -638,10 +609,11 @@ ipcMain.handle('find-and-open-file-location', async (event, searchPaths, fileNam
         // 在多个路径中查找文件
         for (const dir of searchPaths) {
             try {
-                const filePath = await findFileInDirectory(dir, fileName);
+                const filePath = await LibraryIndex.findFile(dir, fileName);
                 if (filePath) {
                     // 使用系统默认文件管理器打开文件所在目录并选中文件
-                    shell.showItemInFolder(filePath);
+                    // 压缩包中的书定位到压缩包
+                    shell.showItemInFolder(ArchiveReader.getContainerPath(filePath));
                     return { success: true, filePath };
                 }
             } catch (error) {
@@ -658,35 +630,6 @@ ipcMain.handle('find-and-open-file-location', async (event, searchPaths, fileNam
     }
 });
 
-// 在目录中查找文件的辅助函数
-async function findFileInDirectory(dir, fileName) {
-    async function searchInDir(directory) {
-        try {
-            const entries = await fsPromises.readdir(directory, { withFileTypes: true });
-
-            for (const entry of entries) {
-                const fullPath = path.join(directory, entry.name);
-                if (entry.isDirectory()) {
-                    try {
-                        const result = await searchInDir(fullPath);
-                        if (result) return result;
-                    } catch (error) {
-                        console.error(`搜索子目录 ${fullPath} 时出错:`, error);
-                        continue;
-                    }
-                } else if (entry.name.toLowerCase() === fileName.toLowerCase()) {
-                    return fullPath;
-                }
-            }
-        } catch (error) {
-            console.error(`读取目录 ${directory} 时出错:`, error);
-        }
-        return null;
-    }
-
-    return await searchInDir(dir);
-}
-
 // 保存历史记录到文件
 ipcMain.handle('save-history', async (event, history, profile = 'default') => {
     try {
@@ -830,10 +773,128 @@ ipcMain.handle('load-deleted-history', async (event, profile = 'default') => {
     }
 });
 
+// 书签、标注等需要多端同步的数据和历史记录放在同一目录
+async function getSyncDataDir() {
+    const configPath = path.join(BASE_DIR, 'config.json');
+    let libraryDir = '';
+
+    if (fs.existsSync(configPath)) {
+        const configData = await fsPromises.readFile(configPath, 'utf8');
+        const config = JSON.parse(configData);
+        libraryDir = config.libraryDir || config.baseDir;
+    }
+
+    // 如果没有配置路径，使用文档目录
+    return libraryDir || app.getPath('documents');
+}
+
+// 读取按书名分组的同步数据文件，只有文件不存在时返回空对象；读不出或格式不对时抛出，
+// 调用方据此跳过「拉取后修改再保存」，避免用空数据覆盖服务端文件
+async function loadSyncData(filename) {
+    const dataPath = path.join(await getSyncDataDir(), filename);
+    if (!fs.existsSync(dataPath)) return {};
+    const parsed = JSON.parse(await fsPromises.readFile(dataPath, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error(`${filename} 格式不正确`);
+    return parsed;
+}
+
+async function saveSyncData(filename, data) {
+    const dataPath = path.join(await getSyncDataDir(), filename);
+    await fsPromises.writeFile(dataPath, JSON.stringify(data, null, 4));
+}
+
+// 保存书签
+ipcMain.handle('save-bookmarks', async (event, bookmarks, profile = 'default') => {
+    try {
+        await saveSyncData(profile === 'hidden' ? 'bookmarks_hidden.json' : 'bookmarks.json', bookmarks);
+        return true;
+    } catch (error) {
+        console.error('保存书签失败:', error);
+        return false;
+    }
+});
+
+// 加载书签
+ipcMain.handle('load-bookmarks', async (event, profile = 'default') => {
+    try {
+        return await loadSyncData(profile === 'hidden' ? 'bookmarks_hidden.json' : 'bookmarks.json');
+    } catch (error) {
+        console.error('加载书签失败:', error);
+        return null;
+    }
+});
+
+// 保存书架和标签
+ipcMain.handle('save-bookshelf', async (event, bookshelf, profile = 'default') => {
+    try {
+        await saveSyncData(profile === 'hidden' ? 'bookshelf_hidden.json' : 'bookshelf.json', bookshelf);
+        return true;
+    } catch (error) {
+        console.error('保存书架失败:', error);
+        return false;
+    }
+});
+
+// 加载书架和标签
+ipcMain.handle('load-bookshelf', async (event, profile = 'default') => {
+    try {
+        return await loadSyncData(profile === 'hidden' ? 'bookshelf_hidden.json' : 'bookshelf.json');
+    } catch (error) {
+        console.error('加载书架失败:', error);
+        return null;
+    }
+});
+
+// 保存高亮和笔记
+ipcMain.handle('save-annotations', async (event, annotations, profile = 'default') => {
+    try {
+        await saveSyncData(profile === 'hidden' ? 'annotations_hidden.json' : 'annotations.json', annotations);
+        return true;
+    } catch (error) {
+        console.error('保存标注失败:', error);
+        return false;
+    }
+});
+
+// 加载高亮和笔记
+ipcMain.handle('load-annotations', async (event, profile = 'default') => {
+    try {
+        return await loadSyncData(profile === 'hidden' ? 'annotations_hidden.json' : 'annotations.json');
+    } catch (error) {
+        console.error('加载标注失败:', error);
+        return null;
+    }
+});
+
+// 导出高亮、笔记和书签：每本书一个 Markdown 文件，外加一份可导入的 JSON
+ipcMain.handle('export-annotations', async (event, profile = 'default') => {
+    try {
+        const annotations = await loadSyncData(profile === 'hidden' ? 'annotations_hidden.json' : 'annotations.json');
+        const bookmarks = await loadSyncData(profile === 'hidden' ? 'bookmarks_hidden.json' : 'bookmarks.json');
+        // 写到用户数据目录而不是书库目录，导出的 .md 文件不会被书库索引当成书
+        const exportDir = path.join(app.getPath('userData'), profile === 'hidden' ? 'annotation_exports_hidden' : 'annotation_exports');
+        await fsPromises.mkdir(exportDir, { recursive: true });
+
+        const files = AnnotationExport.buildMarkdownFiles(annotations, bookmarks);
+        for (const file of files) {
+            await fsPromises.writeFile(path.join(exportDir, file.name), file.content, 'utf8');
+        }
+        const jsonName = 'annotations.json';
+        await fsPromises.writeFile(path.join(exportDir, jsonName),
+            JSON.stringify(AnnotationExport.buildExportJson(annotations, bookmarks), null, 4), 'utf8');
+
+        return { dir: exportDir, files: files.map(file => file.name).concat(jsonName) };
+    } catch (error) {
+        console.error('导出标注失败:', error);
+        return { error: error.message };
+    }
+});
+
 // 生成书籍缓存键
 async function getBookKey(filePath) {
     try {
-        const stats = await fsPromises.stat(filePath);
+        // 压缩包中的书按虚拟路径和包内文件的大小、修改时间生成，压缩包里其他文件变化不影响
+        const stats = await ArchiveReader.stat(filePath);
         const key = `${filePath}-${stats.size}-${stats.mtime.getTime()}`;
         return crypto.createHash('md5').update(key).digest('hex');
     } catch (error) {
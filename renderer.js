@@ -348,10 +348,37 @@ let fontSize = 18; // 阅读内容的字体大小
 let homePageFontSize = 16; // 主页字体大小
 let baseDir = ''; // 随机阅读的路径
 let searchDirs = []; // 历史记录搜索路径列表
-let wordsPerPage = 4000;
+let wordsPerPage = 4000; // 旧版按固定字数分页，现仅用于迁移旧进度和内容区不可见时的兜底
+let currentBookText = ''; // 当前书籍解码后的全文，各章正文都从这里按偏移截取
+let currentBookEncoding = ''; // 当前书籍解码所用的编码，写入缓存供下次直接解码
+let currentBookBuffer = null; // 当前书籍的原始内容，切换编码时重新解码（EPUB 等由后端转换的格式为 null）
+let currentEncodingCandidates = []; // 自动检测编码时各候选编码的置信度 [{encoding, confidence}]
+let currentBookMetadata = null; // 当前书籍的元数据（书名、作者、状态、字数、简介），随历史记录保存
+let rejectedHeadings = []; // 分章时被判定为误判的候选标题，可在目录中手动恢复
+let readingOffset = 0; // 当前阅读位置在全文中的字符偏移，与每页字数和翻页方式无关
+let volumes = []; // 卷结构 [{title, position, chapterIndex}]，chapterIndex 为该卷第一章在 chapters 中的下标
 // 全局预览模式标志
 window.isPreviewMode = false;
 
+// 内置章节识别规则（用户未自定义时使用）
+// pattern 为正则源码字符串，会在 Worker 中编译；level 为 volume 的规则识别卷标题，其余识别章节标题
+const DEFAULT_CHAPTER_RULES = [
+    { name: '卷/部', pattern: '^(第[一二三四五六七八九十百千万0-9０-９\\d]+[卷部]|卷[一二三四五六七八九十百千万0-9０-９\\d]+)(?![章节回集])(?!.*第[一二三四五六七八九十百千万0-9０-９\\d]+[章节回])', flags: '', enabled: true, level: 'volume' },
+    { name: '标准章节', pattern: '^第[一二三四五六七八九十百千万0-9０-９\\d]+[章节回集卷]', flags: '', enabled: true },
+    { name: '数字章节', pattern: '^[第]?[0-9０-９]{1,4}[章节回集卷]', flags: '', enabled: true },
+    { name: '英文章节', pattern: '^Chapter\\s+[0-9０-９]+', flags: 'i', enabled: true },
+    { name: '带括号章节', pattern: '^[（(【「『]?第?[一二三四五六七八九十百千万0-9０-９\\d]+[章节回集卷][)）】」』]?', flags: '', enabled: true },
+    { name: '特殊章节', pattern: '^(序章|序幕|前言|引子|楔子|尾声|后记|番外|番外篇|终章|完本感言|附录|附件)', flags: '', enabled: true }
+];
+
+// 分章的最长时间（每百万字另加同样的时间），超时后终止 Worker：回溯严重的自定义正则可能一直算不完
+const CHAPTER_DETECTION_TIMEOUT = 10000;
+const CHAPTER_RULE_TEST_TIMEOUT = 1000; // 测试单行标题的最长时间
+
+function getChapterDetectionTimeout(text) {
+    return CHAPTER_DETECTION_TIMEOUT * (1 + text.length / 1000000);
+}
+
 // 设备区分（移动/桌面）用于独立保存字体设置
 function isMobileView() {
     return window.innerWidth <= 768 || /Mobile|Android|iP(ad|hone)/i.test(navigator.userAgent);
@@ -370,6 +397,13 @@ function getStorageKey(key) {
     return `${key}_${currentProfile}`;
 }
 
+// 按书名记录的配置（本书的分章规则、编码）也按配置文件分开，与 hiddenBaseDir 一样加前缀，
+// 隐私阅读的书名不会出现在普通模式的配置里
+function getProfileConfigKey(key) {
+    if (currentProfile === 'default') return key;
+    return currentProfile + key[0].toUpperCase() + key.slice(1);
+}
+
 function applyProfileConfig() {
     if (currentProfile === 'hidden') {
         baseDir = globalConfig.hiddenBaseDir || '';
@@ -402,7 +436,18 @@ function toggleProfile() {
     if (mobileTitle) mobileTitle.textContent = '优雅阅读器';
     currentFileName = '';
     chapters = [];
+    newChapterIndex = -1;
     currentContent = [];
+    currentBookText = '';
+    currentBookEncoding = '';
+    currentBookBuffer = null;
+    currentEncodingCandidates = [];
+    currentBookMetadata = null;
+    rejectedHeadings = [];
+    annotationRanges = [];
+    volumes = [];
+    readingOffset = 0;
+    resetFindState();
 
     // 2. 重新加载历史记录
     updateHistoryDisplay();
@@ -410,8 +455,14 @@ function toggleProfile() {
     // 3. 尝试加载上次阅读的书籍
     loadLastRead();
 
-    // 4. 重新同步云端历史
+    // 4. 重新同步云端历史、书签、笔记和书架
     syncCloudHistory();
+    bookmarks = JSON.parse(localStorage.getItem(getStorageKey('bookmarks'))) || {};
+    syncBookmarks();
+    annotations = JSON.parse(localStorage.getItem(getStorageKey('annotations'))) || {};
+    syncAnnotations();
+    bookshelf = normalizeBookshelf(JSON.parse(localStorage.getItem(getStorageKey('bookshelf'))));
+    syncBookshelf().then(updateHistoryDisplay);
 }
 
 function loadLastRead() {
@@ -521,6 +572,26 @@ document.getElementById('file-input').addEventListener('change', async function
         }
     }
 
+    // EPUB 等格式交给后端转换：桌面端直接按路径打开，Web 端上传文件内容
+    if (isConvertedBook(file.name)) {
+        e.target.value = '';
+        if (file.path) {
+            await loadAndRenderBook(file.path, file.name);
+            return;
+        }
+        try {
+            window.currentFilePath = null;
+            const book = await ipcRenderer.invoke('parse-book', file.name, arrayBufferToBase64(await file.arrayBuffer()));
+            window.isPreviewMode = false;
+            processParsedBook(book, file.name);
+        } catch (err) {
+            console.error('加载失败:', err);
+            showNotification('加载失败: ' + err.message);
+            document.getElementById('loading-overlay').style.display = 'none';
+        }
+        return;
+    }
+
     currentFileName = file.name;
     window.isPreviewMode = false;
 
@@ -540,17 +611,33 @@ document.getElementById('file-input').addEventListener('change', async function
     e.target.value = '';
 });
 
-function detectChapters(text, options = {}) {
+function detectChapters(text, options = {}, chapterRules = getChapterRules()) {
     // 只有在显示遮罩时才更新文本
     if (document.getElementById('loading-overlay').style.display !== 'none') {
         document.querySelector('.loading-message').textContent = '正在分析章节结构...';
     }
 
+    currentBookText = text;
+
     // 使用 Web Worker 进行章节检测，避免阻塞主线程
     const chapterWorker = createChapterWorker();
 
+    // 自定义规则超时时终止 Worker，改用内置规则重新分章
+    const timer = setTimeout(() => {
+        chapterWorker.terminate();
+        if (chapterRules === DEFAULT_CHAPTER_RULES) {
+            console.error('章节分析超时');
+            document.getElementById('loading-overlay').style.display = 'none';
+            return;
+        }
+        showNotification('章节规则匹配超时，已改用默认规则');
+        detectChapters(text, options, DEFAULT_CHAPTER_RULES);
+    }, getChapterDetectionTimeout(text));
+
     chapterWorker.onmessage = function (e) {
         const result = e.data;
+        clearTimeout(timer);
+        chapterWorker.terminate();
 
         if (result.error) {
             console.error("章节分析错误:", result.error);
@@ -558,200 +645,514 @@ function detectChapters(text, options = {}) {
             return;
         }
 
-        chapters = result.chapters;
+        applyChapterStructure(text, result, options, chapterRules);
+    };
 
-        // 如果没有检测到章节，或者章节列表为空，将整个文本作为一个章节
-        if (result.noChapters || !chapters || chapters.length === 0) {
-            chapters = [{
-                title: "全文",
-                content: text,
-                index: 0
-            }];
-        }
+    // 发送文本到 Worker 进行处理
+    chapterWorker.postMessage({
+        text: text,
+        wordsPerPage: wordsPerPage,
+        rules: getEnabledChapterRules(chapterRules),
+        forcedPositions: getRestoredHeadings()
+    });
+}
 
-        if (chapters.length > 0) {
-            // 保存到缓存
-            if (window.currentFilePath) {
-                ipcRenderer.invoke('save-book-cache', window.currentFilePath, { chapters: chapters })
-                    .then(success => {
-                        if (success) console.log('书籍缓存已保存');
-                    })
-                    .catch(err => console.error('保存缓存失败:', err));
-            }
+// 应用分章结果（来自 Worker 或缓存），恢复阅读位置并刷新界面
+// chapterRules 不为空表示这是新检测的结果，需要写入缓存
+function applyChapterStructure(text, result, options = {}, chapterRules = null) {
+    // 换了书（或重新解码）时，旧的查找结果不再适用
+    if (text !== currentBookText || text !== findState.text) resetFindState();
+    currentBookText = text;
+    // 章节下标已变，之前测量的分页不再适用
+    resetPagination();
+    chapters = result.chapters;
+    volumes = result.volumes || [];
+    rejectedHeadings = result.rejected || [];
+    resolveAnnotationRanges();
+
+    // 如果没有检测到章节，或者章节列表为空，将整个文本作为一个章节
+    if (result.noChapters || !chapters || chapters.length === 0) {
+        chapters = [{
+            title: "全文",
+            position: 0,
+            end: text.length
+        }];
+        volumes = [];
+    }
+
+    // 重新分章时是同一份文本，不用检查更新；带锚点的目标位置来自书外（如全文搜索结果），仍要检查
+    if (!options.isPreview && (typeof options.targetPosition !== 'number' || options.anchor)) {
+        detectBookUpdate();
+    }
 
-            isChapterListDirty = true; // 标记目录需要更新
-            // updateChapterList(); // 延迟渲染
-            // 显示翻页按钮
+    if (chapters.length > 0) {
+        // 新检测的结果保存到缓存（来自缓存的结果无需再存）
+        if (chapterRules && window.currentFilePath) {
+            ipcRenderer.invoke('save-book-cache', window.currentFilePath, buildBookCacheData(chapterRules))
+                .then(success => {
+                    if (success) console.log('书籍缓存已保存');
+                })
+                .catch(err => console.error('保存缓存失败:', err));
+        }
+
+        // 重新分章（例如修改了识别规则）时，按原来的全文位置定位，而不是旧的章节号
+        // 从全文搜索结果打开时同样直接定位，并按锚点就近校正
+        if (typeof options.targetPosition === 'number') {
+            document.getElementById('loading-overlay').style.display = 'none';
             document.querySelector('.navigation-buttons').style.display = 'flex';
             document.querySelector('.progress-indicator').style.display = 'block';
+            isChapterListDirty = true;
+            showPosition(options.anchor
+                ? resolveRecordOffset({ offset: options.targetPosition, anchor: options.anchor })
+                : options.targetPosition);
+            saveProgress();
+            updateProgressBar();
+            return;
+        }
 
-            // 如果遮罩层是显示的，说明用户正在等待加载，此时不应视为后台更新（需要强制刷新/滚动）
-            const isOverlayVisible = document.getElementById('loading-overlay').style.display !== 'none';
-            const effectiveIsBackground = options.isBackground && !isOverlayVisible;
-
-            // 检查是否有保存的进度，从多书籍进度存储中获取
-            const progressKey = getStorageKey('allBookProgress');
-            const allBookProgress = JSON.parse(localStorage.getItem(progressKey)) || {};
-            if (allBookProgress[currentFileName]) {
-                let targetChapter = allBookProgress[currentFileName].chapter || 0;
-                let targetPage = allBookProgress[currentFileName].page || 0;
-                let waitingForContent = false;
-
-                // 如果是预览模式，且目标章节不存在，则显示第一章，但不覆盖进度
-                if (options.isPreview && targetChapter >= chapters.length) {
-                    console.log('预览模式：目标章节超出范围，暂时显示第一章');
-                    targetChapter = 0;
-                    targetPage = 0;
-                    waitingForContent = true;
-                    window.waitingForHistory = true; // 标记正在等待历史记录
-                }
+        isChapterListDirty = true; // 标记目录需要更新
+        // updateChapterList(); // 延迟渲染
+        // 显示翻页按钮
+        document.querySelector('.navigation-buttons').style.display = 'flex';
+        document.querySelector('.progress-indicator').style.display = 'block';
+
+        // 如果遮罩层是显示的，说明用户正在等待加载，此时不应视为后台更新（需要强制刷新/滚动）
+        const isOverlayVisible = document.getElementById('loading-overlay').style.display !== 'none';
+        const effectiveIsBackground = options.isBackground && !isOverlayVisible;
+
+        // 检查是否有保存的进度，从多书籍进度存储中获取
+        const progressKey = getStorageKey('allBookProgress');
+        const allBookProgress = JSON.parse(localStorage.getItem(progressKey)) || {};
+        const savedProgress = allBookProgress[currentFileName];
+        if (savedProgress) {
+            let targetOffset = resolveRecordOffset(savedProgress);
+            let waitingForContent = false;
+
+            // 如果是预览模式，且目标位置还没加载到，则显示第一章，但不覆盖进度
+            const isBeyondLoaded = typeof savedProgress.offset === 'number'
+                ? savedProgress.offset >= getBookLength()
+                : (savedProgress.chapter || 0) >= chapters.length;
+            if (options.isPreview && isBeyondLoaded) {
+                console.log('预览模式：目标位置超出范围，暂时显示第一章');
+                targetOffset = 0;
+                waitingForContent = true;
+                window.waitingForHistory = true; // 标记正在等待历史记录
+            }
 
-                // 如果是后台更新，且之前没有在等待历史记录（说明用户可能已经开始阅读了），则优先保持当前位置
-                // 除非当前位置是0（可能是刚打开），而历史记录不是0
-                if (effectiveIsBackground && !window.waitingForHistory) {
-                    // 使用当前内存中的位置，而不是历史记录
-                    // 注意：如果用户在预览期间翻页了，currentPage/currentChapter 应该已经更新
-                    // 如果是滚动模式，showAllContent 会处理滚动位置恢复
-                    console.log('后台更新：用户已在阅读，保持当前位置');
+            // 如果是后台更新，且之前没有在等待历史记录（说明用户可能已经开始阅读了），则优先保持当前位置
+            // 除非当前位置是0（可能是刚打开），而历史记录不是0
+            if (effectiveIsBackground && !window.waitingForHistory) {
+                // 使用当前内存中的位置，而不是历史记录
+                // 注意：如果用户在预览期间翻页了，currentPage/currentChapter 应该已经更新
+                // 如果是滚动模式，showAllContent 会处理滚动位置恢复
+                console.log('后台更新：用户已在阅读，保持当前位置');
+
+                showPosition(readingOffset, {
+                    ...options,
+                    isBackground: true
+                });
+            } else {
+                // 正常加载历史记录，或者正在等待历史记录加载
+                showPosition(targetOffset, {
+                    ...options,
+                    isBackground: effectiveIsBackground
+                });
+            }
 
-                    if (pageMode === 'scroll') {
-                        showAllContent({ isBackground: true });
-                    } else {
-                        showPage(currentPage, currentChapter, {
-                            ...options,
-                            isBackground: true
-                        });
-                    }
+            // 处理遮罩层逻辑
+            if (isOverlayVisible) {
+                if (waitingForContent) {
+                    // 如果还在等待内容（目标章节未加载），保持遮罩层显示
+                    document.querySelector('.loading-message').textContent = '正在跳转到历史位置...';
                 } else {
-                    // 正常加载历史记录，或者正在等待历史记录加载
-                    if (pageMode === 'scroll') {
-                        showAllContent({ isBackground: effectiveIsBackground });
-                    } else {
-                        showPage(targetPage, targetChapter, {
-                            ...options,
-                            isBackground: effectiveIsBackground
-                        });
-                    }
-                }
-
-                // 处理遮罩层逻辑
-                if (isOverlayVisible) {
-                    if (waitingForContent) {
-                        // 如果还在等待内容（目标章节未加载），保持遮罩层显示
-                        document.querySelector('.loading-message').textContent = '正在跳转到历史位置...';
-                    } else {
-                        // 内容已就绪，隐藏遮罩层
-                        document.querySelector('.loading-message').textContent = '加载完成';
-                        document.getElementById('loading-overlay').style.display = 'none';
-                    }
+                    // 内容已就绪，隐藏遮罩层
+                    document.querySelector('.loading-message').textContent = '加载完成';
+                    document.getElementById('loading-overlay').style.display = 'none';
                 }
+            }
 
-                // 如果是后台更新且完成了等待，重置标志
-                if (effectiveIsBackground) {
-                    window.waitingForHistory = false;
-                }
+            // 如果是后台更新且完成了等待，重置标志
+            if (effectiveIsBackground) {
+                window.waitingForHistory = false;
+            }
+        } else {
+            // 没有历史记录
+            if (effectiveIsBackground) {
+                // 如果是后台更新（例如从预览模式升级），保持当前位置
+                showPosition(readingOffset, {
+                    ...options,
+                    isBackground: true
+                });
             } else {
-                // 没有历史记录
-                if (effectiveIsBackground) {
-                    // 如果是后台更新（例如从预览模式升级），保持当前位置
-                    if (pageMode === 'scroll') {
-                        showAllContent({ isBackground: true });
-                    } else {
-                        showPage(currentPage, currentChapter, {
-                            ...options,
-                            isBackground: true
-                        });
-                    }
+                // 首次加载，跳转到第一章
+                readingOffset = 0;
+                if (pageMode === 'scroll') {
+                    showAllContent();
                 } else {
-                    // 首次加载，跳转到第一章
-                    if (pageMode === 'scroll') {
-                        showAllContent();
-                    } else {
-                        jumpToChapter(0);
-                    }
+                    jumpToChapter(0);
                 }
+            }
 
-                // 直接隐藏遮罩
-                if (document.getElementById('loading-overlay').style.display !== 'none') {
-                    document.querySelector('.loading-message').textContent = '加载完成';
-                    document.getElementById('loading-overlay').style.display = 'none';
-                }
+            // 直接隐藏遮罩
+            if (document.getElementById('loading-overlay').style.display !== 'none') {
+                document.querySelector('.loading-message').textContent = '加载完成';
+                document.getElementById('loading-overlay').style.display = 'none';
             }
         }
+    }
 
-        // 保存当前文件的进度（预览模式和后台加载时不保存）
-        if (!options.isPreview && !options.isBackground) {
-            saveProgress();
+    // 保存当前文件的进度（预览模式和后台加载时不保存）
+    if (!options.isPreview && !options.isBackground) {
+        saveProgress();
+    }
+
+    // 更新进度条
+    updateProgressBar();
+
+    // 应用存储的字体设置
+    applyStoredSettings();
+}
+
+// 书籍缓存只保存编码、全文长度和章节偏移，不保存正文
+// 命中缓存时按记录的编码重新解码文件，即可还原各章内容
+function buildBookCacheData(chapterRules) {
+    return {
+        encoding: currentBookEncoding,
+        textLength: currentBookText.length,
+        chapters: chapters.map(chapter => ({ title: chapter.title, position: chapter.position, end: chapter.end })),
+        volumes: volumes,
+        rejectedHeadings: rejectedHeadings,
+        rulesSignature: getChapterRulesSignature(chapterRules)
+    };
+}
+
+// 获取当前生效的章节识别规则：本书规则 > 全局规则 > 内置规则
+function getChapterRules(fileName = currentFileName) {
+    const bookRules = globalConfig[getProfileConfigKey('bookChapterRules')] || {};
+    if (fileName && Array.isArray(bookRules[fileName]) && bookRules[fileName].length > 0) {
+        return bookRules[fileName];
+    }
+    if (Array.isArray(globalConfig.chapterRules) && globalConfig.chapterRules.length > 0) {
+        return globalConfig.chapterRules;
+    }
+    return DEFAULT_CHAPTER_RULES;
+}
+
+function getEnabledChapterRules(rules) {
+    return rules
+        .filter(rule => rule.enabled !== false && rule.pattern)
+        .map(rule => ({ pattern: rule.pattern, flags: rule.flags || '', level: rule.level === 'volume' ? 'volume' : 'chapter' }));
+}
+
+// 分章算法版本，打分逻辑变化时递增，使旧缓存失效
+const CHAPTER_DETECTION_VERSION = 4;
+
+// 规则签名，用于判断缓存的分章结果是否仍然有效
+// 除规则本身外，还包含算法版本和本书手动恢复的标题
+function getChapterRulesSignature(rules, fileName = currentFileName) {
+    return JSON.stringify({
+        v: CHAPTER_DETECTION_VERSION,
+        rules: getEnabledChapterRules(rules),
+        restored: getRestoredHeadings(fileName)
+    });
+}
+
+// 获取本书手动恢复的标题位置（被打分判定为误判、但用户确认是章节的行）
+function getRestoredHeadings(fileName = currentFileName) {
+    if (!fileName) return [];
+    const allRestored = JSON.parse(localStorage.getItem(getStorageKey('restoredHeadings'))) || {};
+    return allRestored[fileName] || [];
+}
+
+// 把被误判的标题恢复为章节，并重新分章
+function restoreRejectedHeading(index) {
+    const heading = rejectedHeadings[index];
+    if (!heading || !currentFileName) return;
+
+    const storageKey = getStorageKey('restoredHeadings');
+    const allRestored = JSON.parse(localStorage.getItem(storageKey)) || {};
+    const restored = allRestored[currentFileName] || [];
+    if (!restored.includes(heading.position)) {
+        restored.push(heading.position);
+        restored.sort((a, b) => a - b);
+    }
+    allRestored[currentFileName] = restored;
+    localStorage.setItem(storageKey, JSON.stringify(allRestored));
+
+    document.getElementById('loading-overlay').style.display = 'flex';
+    detectChapters(getCurrentBookText(), { targetPosition: readingOffset });
+    showNotification(`已恢复章节：${heading.title}`);
+}
+
+// 获取章节所属的卷下标，第一卷之前的章节返回 -1
+function getVolumeIndex(chapterIndex) {
+    let volumeIndex = -1;
+    for (let i = 0; i < volumes.length; i++) {
+        if (volumes[i].chapterIndex <= chapterIndex) {
+            volumeIndex = i;
+        } else {
+            break;
         }
+    }
+    return volumeIndex;
+}
 
-        // 更新进度条
-        updateProgressBar();
+// 分卷书籍的进度描述，如"卷 2 / 第 35 章"（章号为卷内序号）；无分卷时返回空字符串
+function getVolumeProgressLabel(chapterIndex) {
+    const volumeIndex = getVolumeIndex(chapterIndex);
+    if (volumeIndex < 0) return '';
+    return `卷 ${volumeIndex + 1} / 第 ${chapterIndex - volumes[volumeIndex].chapterIndex + 1} 章`;
+}
+
+// 根据全文字符位置找到所在章节
+function findChapterByPosition(position) {
+    let chapterIndex = 0;
+    for (let i = 0; i < chapters.length; i++) {
+        if ((chapters[i].position || 0) <= position) {
+            chapterIndex = i;
+        } else {
+            break;
+        }
+    }
+    return chapterIndex;
+}
 
-        // 应用存储的字体设置
-        applyStoredSettings();
+// 根据全文字符位置找到所在章节和页码
+function locateChapterByPosition(position) {
+    const chapterIndex = findChapterByPosition(position);
+    const offsetInChapter = Math.max(0, position - (chapters[chapterIndex].position || 0));
+    return {
+        chapter: chapterIndex,
+        page: getChapterPageByOffset(chapterIndex, offsetInChapter)
     };
+}
 
-    // 发送文本到 Worker 进行处理
-    chapterWorker.postMessage({
-        text: text,
-        wordsPerPage: wordsPerPage
+// 章节正文：按起止偏移从全文截取，不单独保存每章的副本
+function getChapterText(chapterIndex) {
+    const chapter = chapters[chapterIndex];
+    return currentBookText.slice(chapter.position || 0, chapter.end);
+}
+
+function getChapterLength(chapterIndex) {
+    const chapter = chapters[chapterIndex];
+    return chapter.end - (chapter.position || 0);
+}
+
+// 全书字符数（各章内容首尾相接）
+function getBookLength() {
+    if (chapters.length === 0) return 0;
+    return chapters[chapters.length - 1].end;
+}
+
+// 跳转到全文偏移所在位置：分页模式显示对应页，滚动模式滚动到对应位置
+// 滚动模式不需要页码，不测量分页排版
+function showPosition(offset, options = {}) {
+    readingOffset = offset;
+    if (pageMode === 'scroll') {
+        currentChapter = findChapterByPosition(offset);
+        showAllContent(options);
+    } else {
+        const location = locateChapterByPosition(offset);
+        showPage(location.page, location.chapter, options);
+    }
+}
+
+// 取偏移处的一小段原文作为锚点，文本有变化（如换了编码、改了文件）时用来校正偏移
+const POSITION_ANCHOR_LENGTH = 24;
+
+function getTextAnchor(offset) {
+    return currentBookText.slice(offset, offset + POSITION_ANCHOR_LENGTH);
+}
+
+// 把进度记录解析为全文偏移
+// 新记录保存了 offset 和 anchor；旧记录只有章节号和页码，按当前每页字数换算（保存进度时即完成迁移）
+function resolveRecordOffset(record) {
+    if (!record || chapters.length === 0) return 0;
+
+    let offset;
+    if (typeof record.offset === 'number') {
+        offset = record.offset;
+    } else {
+        const chapterIndex = Math.min(record.chapter || 0, chapters.length - 1);
+        const page = record.page !== undefined ? record.page : (record.lastPosition || 0);
+        offset = (chapters[chapterIndex].position || 0) + page * wordsPerPage;
+    }
+    offset = Math.max(0, Math.min(offset, getBookLength() - 1));
+
+    // 书换成了新版本（前面插入或改名了章节）时，偏移会落到别的章节：按保存的章节标题找回所在章，再在章内按锚点校正
+    if (record.chapterTitle && typeof record.chapterOffset === 'number' &&
+        normalizeChapterTitle(chapters[findChapterByPosition(offset)].title) !== normalizeChapterTitle(record.chapterTitle)) {
+        const index = findChapterByTitle(record.chapterTitle, record.chapter || 0);
+        if (index !== -1) {
+            offset = Math.min(chapters[index].position + record.chapterOffset, Math.max(chapters[index].position, chapters[index].end - 1));
+        }
+    }
+
+    if (record.anchor && getTextAnchor(offset) !== record.anchor) {
+        const found = findAnchorNear(record.anchor, offset);
+        if (found !== -1) offset = found;
+    }
+    return offset;
+}
+
+function normalizeChapterTitle(title) {
+    return String(title || '').replace(/\s+/g, '');
+}
+
+// 按标题查找章节，同名章节（如各卷都有「第一章」）取离 nearIndex 最近的一个；找不到返回 -1
+function findChapterByTitle(title, nearIndex = 0) {
+    const target = normalizeChapterTitle(title);
+    let best = -1;
+    chapters.forEach((chapter, index) => {
+        if (normalizeChapterTitle(chapter.title) !== target) return;
+        if (best === -1 || Math.abs(index - nearIndex) < Math.abs(best - nearIndex)) best = index;
+    });
+    return best;
+}
+
+// 本书新增章节的起始下标，-1 表示没有新章节
+let newChapterIndex = -1;
+
+// 连载的书换成了更长的新版本：上次读时的最后一章还在，后面又多了章节
+// 历史记录中记下第一个新章节的标题，最近阅读卡片和目录据此显示「新增 N 章」，读到新章节后清除
+function detectBookUpdate() {
+    newChapterIndex = -1;
+    const historyKey = getStorageKey('readingHistory');
+    const history = JSON.parse(localStorage.getItem(historyKey)) || [];
+    const record = history.find(item => item.fileName === currentFileName);
+    if (!record || chapters.length === 0) return;
+
+    const previousCount = record.newChapters;
+    if (!record.firstNewChapter && record.lastChapterTitle) {
+        const lastIndex = findChapterByTitle(record.lastChapterTitle, (record.totalChapters || chapters.length) - 1);
+        if (lastIndex !== -1 && lastIndex < chapters.length - 1) {
+            record.firstNewChapter = chapters[lastIndex + 1].title;
+        }
+    }
+    if (record.firstNewChapter) {
+        newChapterIndex = findChapterByTitle(record.firstNewChapter, chapters.length - 1);
+        if (newChapterIndex === -1) {
+            delete record.firstNewChapter;
+            delete record.newChapters;
+        } else {
+            record.newChapters = chapters.length - newChapterIndex;
+        }
+    }
+    if (record.newChapters === previousCount) return;
+
+    localStorage.setItem(historyKey, JSON.stringify(history));
+    ipcRenderer.invoke('save-history', history, currentProfile).catch(err => console.error('同步历史记录失败:', err));
+    if (record.newChapters > (previousCount || 0)) {
+        showNotification(`《${getBookDisplayTitle()}》有更新：新增 ${record.newChapters} 章`);
+    }
+}
+
+// 在偏移附近查找锚点，找不到再全文查找，返回离原偏移最近的位置
+function findAnchorNear(anchor, offset) {
+    const text = getCurrentBookText();
+    const windowSize = 20000;
+    let best = -1;
+    let index = text.indexOf(anchor, Math.max(0, offset - windowSize));
+    while (index !== -1 && index <= offset + windowSize) {
+        if (best === -1 || Math.abs(index - offset) < Math.abs(best - offset)) best = index;
+        if (index > offset) break;
+        index = text.indexOf(anchor, index + 1);
+    }
+    return best !== -1 ? best : text.indexOf(anchor);
+}
+
+// 历史记录中该书的偏移和锚点（历史记录可能来自其他设备，比本地进度更新）
+function getHistoryOffset(fileName) {
+    const history = JSON.parse(localStorage.getItem(getStorageKey('readingHistory'))) || [];
+    const record = history.find(item => item.fileName === fileName);
+    if (!record || typeof record.offset !== 'number') return {};
+    return { offset: record.offset, anchor: record.anchor || '', chapterTitle: record.chapterTitle, chapterOffset: record.chapterOffset };
+}
+
+// 获取当前书籍全文
+function getCurrentBookText() {
+    return currentBookText;
+}
+
+// 单独运行一次章节检测（用于规则预览，不影响当前阅读状态）
+function runChapterDetection(text, rules) {
+    return new Promise((resolve, reject) => {
+        const worker = createChapterWorker();
+        const timer = setTimeout(() => {
+            worker.terminate();
+            reject(new Error('规则匹配超时，请检查正则是否有大量回溯'));
+        }, getChapterDetectionTimeout(text));
+        worker.onmessage = function (e) {
+            clearTimeout(timer);
+            worker.terminate();
+            if (e.data.error) {
+                reject(new Error(e.data.error));
+            } else {
+                resolve(e.data);
+            }
+        };
+        worker.postMessage({
+            text: text,
+            wordsPerPage: wordsPerPage,
+            rules: getEnabledChapterRules(rules),
+            forcedPositions: getRestoredHeadings()
+        });
     });
 }
 
-// 修改 createFileWorker 函数以支持更多编码格式
+// 创建解码文件的 Web Worker：对候选编码逐一打分，用得分最高的编码解码全文
 function createFileWorker() {
+    // GB18030 解码库随应用分发（gb18030.js），离线也能用；页面已经加载过它，直接把源码拼进 Worker 代码
     const workerCode = `
-                // 引入外部的 GBK 解码库
-                importScripts('https://cdn.jsdelivr.net/npm/gbk.js@0.3.0/dist/gbk.min.js');
+                const GB18030 = ${GB18030.source};
+                
+                // 候选编码及评分所用的语言模型
+                const CANDIDATES = [
+                    { encoding: 'utf-8', model: 'unicode' },
+                    { encoding: 'gb18030', model: 'zh' },
+                    { encoding: 'big5', model: 'zh' },
+                    { encoding: 'shift_jis', model: 'ja' },
+                    { encoding: 'euc-jp', model: 'ja' },
+                    { encoding: 'euc-kr', model: 'ko' },
+                    { encoding: 'utf-16le', model: 'any' },
+                    { encoding: 'utf-16be', model: 'any' },
+                    { encoding: 'windows-1251', model: 'ru' },
+                    { encoding: 'koi8-r', model: 'ru' },
+                    { encoding: 'windows-1252', model: 'latin' }
+                ];
+                // 旧缓存中可能记录为 gbk、gb2312 或 hz-gb-2312，都按 GB18030 解码
+                const GB_ENCODINGS = ['gbk', 'gb2312', 'gb18030', 'hz-gb-2312'];
+                
+                // 常用汉字（简繁体），正常中文里占大多数，按错误编码解出的字很少落在其中
+                const COMMON_HAN = new Set(Array.from(
+                    '的一是不了在人有我他这个们中来上大为和国地到以说时要就出会可也你对生能而子那得于着下自之年过发后作里用道行所然家种事成方多经么去法学如都同现当没动面起看定天分还进好小部其些主样理心她本前开但因只从想实日军者意无力它与长把机十民第公此已工使情明性知全三又关点正业外将两高间由问很最重并物手应战向头文体政美相见被利什二等产或新己制身果加西斯月话合回特代内信表化老给世位次度门任常先海通教儿原东声提立及比员解水名真论处走义各入几口认条平系气题活尔更别打女变四神总何电数安少报才结反受目太量再感建务做接必场件计管期市直德资命山金指克许统区保至队形社便空决治展马科司五基眼书非则听白却界达光放强即像难且权思王象完设式色路记南品住告类求据程北边死张该交规万取拉格望觉术领共确传师观清今切院让识候带导争运笑飞风步改收根干造言联持组每车亲极林服快办议往元英士证近失转夫令准布始怎呢存未远叫台单影具罗字爱击流备兵连调深商算质团集百需价花党华城石级整府离况请技际约示复病息究线似官火断精满支视消越器容照须九增研写称' +
+                    '這個們來為說國時會對沒過後裡還點動開長問學發現當種經麼從實軍與機業將兩間應戰頭體見產則話東聲員義條氣題爾別變總電數報結務場計管區隊聽卻達難權覺術領確傳師觀讓識帶導爭運風聯組車親極辦議轉準遠單愛擊備連調質團價華級離況請際約復線斷滿視須寫稱吧啊呀嗎',
+                    ch => ch.charCodeAt(0)));
+                // 常用韩文音节
+                const COMMON_HANGUL = new Set(Array.from(
+                    '이다는의에가을하고지한서기로도리자사어게나수를으니그요대아인들있시해것과라만적내우주제일보여정부없상전화면장터동진원성관방운무러구안실계위문경거모개중당소저신물였었까트연속비할결말드습야히더았던면서른',
+                    ch => ch.charCodeAt(0)));
+                // 俄文中最常见的小写字母
+                const COMMON_CYRILLIC = new Set(Array.from('оеаинтсрвлкмдпу', ch => ch.charCodeAt(0)));
                 
                 self.onmessage = function(e) {
                     const arrayBuffer = e.data.buffer;
                     const fileName = e.data.fileName;
+                    // 调用方指定编码时（用户为本书选择的编码，或命中书籍缓存）跳过检测
+                    const forcedEncoding = e.data.encoding || null;
                     let text = null;
                     let successEncoding = '';
+                    let candidates = [];
                     
                     try {
-                        // 1. 提取样本进行编码检测 (前 64KB)
-                        // 只对样本进行多重编码测试，避免对大文件重复全量解码
-                        const sampleSize = Math.min(arrayBuffer.byteLength, 64 * 1024);
-                        const sampleBuffer = arrayBuffer.slice(0, sampleSize);
-
-                        // 尝试不同的编码 - 优先次序很重要
-                        const encodings = [
-                            'utf-8', 
-                            'gbk',    // 中文简体
-                            'big5',   // 中文繁体
-                            'shift_jis', // 日文
-                            'euc-kr',    // 韩文
-                            'windows-1252', // 西欧
-                            'iso-8859-1',   // 拉丁文1
-                            'iso-8859-2',   // 中欧
-                            'iso-8859-5',   // 西里尔文
-                            'iso-8859-7',   // 希腊文
-                            'utf-16le',
-                            'utf-16be',
-                            'iso-8859-9',   // 土耳其语
-                            'windows-1256', // 阿拉伯语
-                            'windows-1251', // 西里尔文
-                            'windows-1254', // 土耳其语
-                            'koi8-r',      // 俄语
-                            'euc-jp',      // 日语
-                            'gb18030',     // 中文扩展
-                            'hz-gb-2312',  // 中文简体
-                            'iso-2022-jp', // 日语
-                            'iso-2022-kr', // 韩语
-                            'iso-8859-6',  // 阿拉伯语
-                            'iso-8859-8',  // 希伯来语
-                            'windows-874', // 泰语
-                            'windows-1255', // 希伯来语
-                            'windows-1258'  // 越南语
-                        ];
-                        
-                        let detectedEncoding = null;
+                        let detectedEncoding = forcedEncoding;
+                        if (forcedEncoding) successEncoding = forcedEncoding;
 
                         // 尝试自动检测BOM标记 (直接检查原始 buffer)
                         const byteArray = new Uint8Array(arrayBuffer.slice(0, 4));
-                        if (byteArray[0] === 0xEF && byteArray[1] === 0xBB && byteArray[2] === 0xBF) {
+                        if (detectedEncoding) {
+                            // 已指定编码，无需检测
+                        } else if (byteArray[0] === 0xEF && byteArray[1] === 0xBB && byteArray[2] === 0xBF) {
                             detectedEncoding = 'utf-8';
                             successEncoding = 'utf-8 (BOM)';
                         } else if (byteArray[0] === 0xFE && byteArray[1] === 0xFF) {
@@ -768,110 +1169,154 @@ function createFileWorker() {
                             successEncoding = 'utf-32le (BOM)';
                         } 
                         
-                        // 如果没有BOM，使用样本检测编码
-                        if (!detectedEncoding) {
-                            for (let encoding of encodings) {
-                                try {
-                                    let sampleText;
-                                    if (encoding === 'gbk' || encoding === 'gb18030' || encoding === 'hz-gb-2312') {
-                                        // 使用GBK.js库处理中文编码
-                                        const gbkBytes = new Uint8Array(sampleBuffer);
-                                        try {
-                                            sampleText = GBK.decode(gbkBytes);
-                                        } catch (err) { continue; }
-                                    } else {
-                                        const decoder = new TextDecoder(encoding);
-                                        sampleText = decoder.decode(sampleBuffer);
-                                    }
-                                    
-                                    if (sampleText && !containsUnreadableChars(sampleText)) {
-                                        detectedEncoding = encoding;
-                                        break;
-                                    }
-                                } catch (error) {
-                                    continue;
-                                }
-                            }
-                        }
-                        
-                        // 如果所有编码都失败，使用系统默认编码
+                        // 没有 BOM 时，用前 64KB 样本为每个候选编码打分，取置信度最高的
                         if (!detectedEncoding) {
-                            detectedEncoding = 'utf-8'; // 默认回退到 utf-8
-                            successEncoding = 'default (utf-8)';
-                        } else if (!successEncoding) {
+                            const sampleSize = Math.min(arrayBuffer.byteLength, 64 * 1024);
+                            candidates = rankEncodings(arrayBuffer.slice(0, sampleSize), fileName);
+                            detectedEncoding = candidates[0].encoding;
                             successEncoding = detectedEncoding;
                         }
                         
-                        // 2. 使用检测到的最佳编码解码完整文件
-                        // 这样只进行一次全量解码，大大提高大文件加载速度
+                        // 只对选中的编码做一次全量解码，大文件也只解码一遍
+                        let decoderEncoding = detectedEncoding; // 实际用于解码的编码
                         try {
-                            if (detectedEncoding === 'gbk' || detectedEncoding === 'gb18030' || detectedEncoding === 'hz-gb-2312') {
-                                const gbkBytes = new Uint8Array(arrayBuffer);
-                                text = GBK.decode(gbkBytes);
-                            } else {
-                                const decoder = new TextDecoder(detectedEncoding);
-                                text = decoder.decode(arrayBuffer);
-                            }
+                            text = decodeBuffer(arrayBuffer, detectedEncoding);
                         } catch (err) {
                             // 如果全量解码失败，尝试回退到 UTF-8
                             console.error('全量解码失败，回退到 UTF-8', err);
                             const decoder = new TextDecoder('utf-8');
                             text = decoder.decode(arrayBuffer);
                             successEncoding = 'fallback (utf-8)';
+                            decoderEncoding = 'utf-8';
                         }
                         
-                        // 检查最终解码结果是否有效 (如果样本检测误判)
-                        if (text && containsUnreadableChars(text)) {
-                            // 如果包含太多无法读取的字符，尝试使用文件名提示的编码再次解码
-                            const fileName_lower = fileName.toLowerCase();
-                            let hintEncoding = null;
-                            
-                            if (fileName_lower.includes('gbk') || fileName_lower.includes('gb2312')) hintEncoding = 'gbk';
-                            else if (fileName_lower.includes('big5')) hintEncoding = 'big5';
-                            else if (fileName_lower.includes('shift-jis') || fileName_lower.includes('sjis')) hintEncoding = 'shift-jis';
-                            
-                            if (hintEncoding && hintEncoding !== detectedEncoding) {
-                                try {
-                                    if (hintEncoding === 'gbk') {
-                                        const gbkBytes = new Uint8Array(arrayBuffer);
-                                        text = GBK.decode(gbkBytes);
-                                    } else {
-                                        const decoder = new TextDecoder(hintEncoding);
-                                        text = decoder.decode(arrayBuffer);
-                                    }
-                                    successEncoding = hintEncoding + ' (filename hint)';
-                                } catch (e) {}
-                            }
-                        }
-                        
-                        // 发送解码结果和使用的编码信息
+                        // 发送解码结果、使用的编码和各候选编码的置信度
                         self.postMessage({ 
                             text: text, 
-                            encoding: successEncoding 
+                            encoding: successEncoding,
+                            decoderEncoding: decoderEncoding,
+                            candidates: candidates
                         });
                     } catch (error) {
                         self.postMessage({ error: error.message });
                     }
                 };
                 
-                // 检查文本中是否包含过多无法读取的字符
-                function containsUnreadableChars(text) {
-                    // 检查替换字符的比例
-                    const replacementChar = '\\uFFFD'; // Unicode 替换字符
-                    const replacementCount = (text.match(new RegExp(replacementChar, 'g')) || []).length;
-                    
-                    // 检查问号字符的比例（可能是替换字符）
-                    const questionMarkCount = (text.match(/\\?/g) || []).length;
-                    
-                    // 检查乱码字符的比例
-                    const gibberishRegex = /[\\x00-\\x08\\x0E-\\x1F\\x7F-\\x9F\\uFFFD]/g;
-                    const gibberishCount = (text.match(gibberishRegex) || []).length;
-                    
-                    // 计算总的可疑字符比例
-                    const suspiciousChars = replacementCount + questionMarkCount + gibberishCount;
-                    const threshold = 0.1; // 如果超过10%的字符是可疑字符，认为编码可能不正确
-                    
-                    return suspiciousChars > text.length * threshold;
+                function decodeBuffer(buffer, encoding) {
+                    if (GB_ENCODINGS.includes(encoding)) return GB18030.decode(new Uint8Array(buffer));
+                    return new TextDecoder(encoding).decode(buffer);
+                }
+                
+                // 文件名中注明的编码（如「xxx(big5).txt」）略微加分
+                function getFileNameHint(fileName) {
+                    const name = (fileName || '').toLowerCase();
+                    if (/gbk|gb2312|gb18030/.test(name)) return 'gb18030';
+                    if (name.includes('big5')) return 'big5';
+                    if (/sjis|shift[-_]?jis/.test(name)) return 'shift_jis';
+                    if (name.includes('euc-kr')) return 'euc-kr';
+                    return null;
+                }
+                
+                // 为每个候选编码打分：[{ encoding, confidence }]，按置信度从高到低排列
+                function rankEncodings(sampleBuffer, fileName) {
+                    const hint = getFileNameHint(fileName);
+                    const results = [];
+                    for (const candidate of CANDIDATES) {
+                        let sampleText;
+                        try {
+                            // 样本末尾可能截断了一个多字节字符，UTF-8 按流式解码忽略不完整的结尾
+                            sampleText = candidate.encoding === 'utf-8'
+                                ? new TextDecoder('utf-8').decode(sampleBuffer, { stream: true })
+                                : decodeBuffer(sampleBuffer, candidate.encoding);
+                        } catch (error) {
+                            continue;
+                        }
+                        let confidence = scoreText(sampleText, candidate.model);
+                        if (candidate.encoding === hint) confidence = Math.min(1, confidence + 0.1);
+                        results.push({ encoding: candidate.encoding, confidence: Math.round(confidence * 100) / 100 });
+                    }
+                    // 分数相同时保持候选顺序（UTF-8 优先）
+                    return results.sort((a, b) => b.confidence - a.confidence);
+                }
+                
+                // 统计解码结果中各类字符的数量
+                function analyzeText(text) {
+                    const stats = {
+                        total: text.length, nonAscii: 0, controls: 0, bad: 0, cjkPunct: 0,
+                        commonHan: 0, kana: 0, commonHangul: 0, cyrillic: 0, commonCyrillic: 0, latin: 0
+                    };
+                    for (let i = 0; i < text.length; i++) {
+                        const code = text.charCodeAt(i);
+                        if (code < 0x80) {
+                            // 除换行、制表等以外的控制字符，多见于把 UTF-16 当成单字节编码解码
+                            if ((code < 0x20 && code !== 0x09 && code !== 0x0A && code !== 0x0C && code !== 0x0D) || code === 0x7F) {
+                                stats.controls++;
+                                stats.bad++;
+                            }
+                            continue;
+                        }
+                        stats.nonAscii++;
+                        // 替换字符（无法解码的字节）、C1 控制字符和私用区字符都说明编码不对
+                        if (code === 0xFFFD || code <= 0x9F || (code >= 0xE000 && code <= 0xF8FF)) {
+                            stats.bad++;
+                        } else if (code >= 0x4E00 && code <= 0x9FFF) {
+                            if (COMMON_HAN.has(code)) stats.commonHan++;
+                        } else if ((code >= 0x3000 && code <= 0x303F) || (code >= 0xFF01 && code <= 0xFF20) ||
+                            (code >= 0x2018 && code <= 0x201D) || code === 0x2026 || code === 0x2014) {
+                            stats.cjkPunct++;
+                        } else if (code >= 0x3040 && code <= 0x30FF) {
+                            stats.kana++;
+                        } else if (code >= 0xAC00 && code <= 0xD7A3) {
+                            if (COMMON_HANGUL.has(code)) stats.commonHangul++;
+                        } else if ((code >= 0x0410 && code <= 0x044F) || code === 0x0401 || code === 0x0451) {
+                            stats.cyrillic++;
+                            if (COMMON_CYRILLIC.has(code)) stats.commonCyrillic++;
+                        } else if ((code >= 0xA0 && code <= 0xFF && code !== 0xD7 && code !== 0xF7) ||
+                            (code >= 0x0152 && code <= 0x017E) || code === 0x2013 || code === 0x20AC) {
+                            stats.latin++;
+                        }
+                    }
+                    return stats;
+                }
+                
+                // 置信度 = 解码干净程度 × 文字像不像该语言的正常文本，范围 0–1
+                function scoreText(text, model) {
+                    const stats = analyzeText(text);
+                    const checked = stats.nonAscii + stats.controls;
+                    // 纯 ASCII：所有兼容 ASCII 的编码结果相同，UTF-8 优先
+                    if (checked === 0) return model === 'unicode' ? 1 : 0.9;
+                    const clean = Math.max(0, 1 - stats.bad / checked * 4);
+                    if (stats.nonAscii === 0) return model === 'unicode' || model === 'any' ? clean : clean * 0.9;
+                    return clean * getLanguageScore(stats, model);
+                }
+                
+                function getLanguageScore(stats, model) {
+                    const nonAscii = stats.nonAscii;
+                    switch (model) {
+                        case 'unicode':
+                            // UTF-8 的多字节序列本身就有严格的格式，能无错解码即可信
+                            return 1;
+                        case 'zh':
+                            // 正常中文里常用字和标点约占六成以上，按错误编码解出的多是生僻字
+                            return Math.min(1, (stats.commonHan + stats.cjkPunct) / nonAscii / 0.6);
+                        case 'ja':
+                            // 日文必然夹杂大量假名
+                            return Math.min(1, (stats.kana + stats.commonHan + stats.cjkPunct) / nonAscii / 0.6) *
+                                Math.min(1, stats.kana / nonAscii / 0.1);
+                        case 'ko':
+                            return Math.min(1, (stats.commonHangul + stats.cjkPunct) / nonAscii / 0.35);
+                        case 'ru':
+                            // 常见小写字母在正常俄文中约占八成；编码选错时大小写错乱，只剩两成左右
+                            return stats.cyrillic / nonAscii *
+                                Math.max(0, Math.min(1, (stats.commonCyrillic / Math.max(1, stats.cyrillic) - 0.25) / 0.45));
+                        case 'latin': {
+                            // 西文里非 ASCII 字符很少；大量重音字母和符号连在一起，多半是东亚文字被当成单字节解码
+                            const density = nonAscii / stats.total;
+                            return 0.9 * stats.latin / nonAscii * Math.min(1, 0.1 / density);
+                        }
+                        default:
+                            return Math.max(...['zh', 'ja', 'ko', 'ru', 'latin'].map(name => getLanguageScore(stats, name)));
+                    }
                 }
             `;
 
@@ -885,48 +1330,183 @@ function createFileWorker() {
     return worker;
 }
 
-// 创建处理章节的 Web Worker
-function createChapterWorker() {
-    const workerCode = `
-                self.onmessage = function(e) {
-                    const text = e.data.text;
-                    const wordsPerPage = e.data.wordsPerPage;
-                    
-                    try {
-                        let chapters = [];
-                        let position = 0;
-                        let lastChapterStart = 0;
-                        
-                        // 改进章节匹配模式，支持更多格式
-                        const chapterPatterns = [
-                            /^第[一二三四五六七八九十百千万0-9０-９\\d]+[章节回集卷]/,  // 标准章节格式
-                            /^[第]?[0-9０-９]{1,4}[章节回集卷]/,  // 数字章节
-                            /^Chapter\\s+[0-9０-９]+/i,  // 英文章节
-                            /^[（(【「『]?第?[一二三四五六七八九十百千万0-9０-９\\d]+[章节回集卷][)）】」』]?/,  // 带括号的章节
-                            /^(序章|序幕|前言|引子|楔子|尾声|后记|番外|番外篇|终章|完本感言|附录|附件)/  // 特殊章节
-                        ];
-                        
-                        // 预扫描检查是否有章节 (只检查前 2000 行)
-                        // 避免对无章节的大文件进行全量扫描
-                        let hasChapters = false;
-                        let scanIndex = 0;
-                        let lineCount = 0;
-                        
-                        while (lineCount < 2000 && scanIndex < text.length) {
-                            let nextNewLine = text.indexOf('\\n', scanIndex);
-                            if (nextNewLine === -1) nextNewLine = text.length;
-                            
-                            const line = text.slice(scanIndex, nextNewLine).trim();
-                            if (line.length > 0 && line.length < 50) {
-                                for (const pattern of chapterPatterns) {
-                                    if (pattern.test(line)) {
-                                        hasChapters = true;
-                                        break;
-                                    }
-                                }
-                            }
-                            if (hasChapters) break;
-                            
+// 「编码」面板中可选的编码，与解码 Worker 的候选编码一致
+const ENCODING_CHOICES = [
+    { encoding: 'utf-8', label: 'UTF-8' },
+    { encoding: 'gb18030', label: 'GBK / GB18030（简体中文）' },
+    { encoding: 'big5', label: 'Big5（繁体中文）' },
+    { encoding: 'shift_jis', label: 'Shift-JIS（日文）' },
+    { encoding: 'euc-jp', label: 'EUC-JP（日文）' },
+    { encoding: 'euc-kr', label: 'EUC-KR（韩文）' },
+    { encoding: 'utf-16le', label: 'UTF-16 LE' },
+    { encoding: 'utf-16be', label: 'UTF-16 BE' },
+    { encoding: 'windows-1251', label: 'Windows-1251（西里尔文）' },
+    { encoding: 'koi8-r', label: 'KOI8-R（俄文）' },
+    { encoding: 'windows-1252', label: 'Windows-1252（西欧）' }
+];
+
+function getEncodingLabel(encoding) {
+    // 旧缓存中的 gbk、gb2312 与 GB18030 按同一种编码解码
+    const normalized = ['gbk', 'gb2312', 'hz-gb-2312'].includes(encoding) ? 'gb18030' : encoding;
+    const choice = ENCODING_CHOICES.find(item => item.encoding === normalized);
+    return choice ? choice.label : (encoding || '未知');
+}
+
+// 用户为某本书手动选择的编码，没有选择时返回空字符串
+function getBookEncoding(fileName) {
+    return (globalConfig[getProfileConfigKey('bookEncodings')] || {})[fileName] || '';
+}
+
+function describeDecodedEncoding(result, chosenEncoding) {
+    if (chosenEncoding) return `已按 ${getEncodingLabel(chosenEncoding)} 解码（本书手动选择）`;
+    const best = (result.candidates || [])[0];
+    // 有 BOM 时不打分，直接显示 BOM 标明的编码
+    if (!best) return `检测到文件编码: ${result.encoding || '未知'}`;
+    const message = `检测到文件编码: ${getEncodingLabel(best.encoding)}（置信度 ${Math.round(best.confidence * 100)}%）`;
+    return best.confidence < 0.6 ? `${message}，如有乱码可在「编码」中手动选择` : message;
+}
+
+// 「编码」面板：列出可选编码和自动检测的置信度，选择后按该编码重新解码本书并记住选择
+function showEncodingPicker() {
+    if (!currentFileName) {
+        showNotification('请先打开一本书');
+        return;
+    }
+    if (!currentBookBuffer) {
+        showNotification('这本书的格式自带编码信息，无需手动选择');
+        return;
+    }
+
+    const chosen = getBookEncoding(currentFileName);
+    const confidences = new Map(currentEncodingCandidates.map(item => [item.encoding, item.confidence]));
+    const items = [{ encoding: '', label: '自动检测' }, ...ENCODING_CHOICES];
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+                <div class="modal-content encoding-picker">
+                    <div class="modal-header">
+                        <h3>文本编码</h3>
+                        <span class="modal-close">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div class="encoding-current">当前：${escapeHtml(getEncodingLabel(currentBookEncoding))}</div>
+                        <div class="encoding-list">
+                            ${items.map(item => `
+                            <div class="encoding-item${item.encoding === chosen ? ' selected' : ''}" data-encoding="${item.encoding}">
+                                <span class="encoding-name">${escapeHtml(item.label)}</span>
+                                <span class="encoding-confidence">${confidences.has(item.encoding) ? `${Math.round(confidences.get(item.encoding) * 100)}%` : ''}</span>
+                            </div>`).join('')}
+                        </div>
+                        <div class="encoding-note">出现乱码时选择正确的编码，本书以后都按所选编码打开；百分比为自动检测的置信度</div>
+                    </div>
+                </div>
+            `;
+    document.body.appendChild(modal);
+
+    const close = () => document.body.removeChild(modal);
+    modal.querySelector('.modal-close').addEventListener('click', close);
+    modal.addEventListener('click', e => {
+        if (e.target === modal) close();
+    });
+    modal.querySelectorAll('.encoding-item').forEach(item => {
+        item.addEventListener('click', () => {
+            close();
+            applyBookEncoding(item.dataset.encoding);
+        });
+    });
+}
+
+// 保存本书的编码选择（空字符串表示恢复自动检测），并按新编码重新解码，保持阅读位置
+async function applyBookEncoding(encoding) {
+    const fileName = currentFileName;
+    const configKey = getProfileConfigKey('bookEncodings');
+    const bookEncodings = { ...(globalConfig[configKey] || {}) };
+    if (encoding) {
+        bookEncodings[fileName] = encoding;
+    } else {
+        delete bookEncodings[fileName];
+    }
+    try {
+        await ipcRenderer.invoke('save-config', { [configKey]: bookEncodings });
+        globalConfig[configKey] = bookEncodings;
+    } catch (error) {
+        console.error('保存编码设置失败:', error);
+        showNotification('保存编码设置失败: ' + error.message);
+        return;
+    }
+
+    const bookLength = getBookLength();
+    try {
+        await processFileContent(currentBookBuffer, fileName, {
+            encoding: encoding || null,
+            targetRatio: bookLength > 0 ? readingOffset / bookLength : 0
+        });
+    } catch (error) {
+        console.error('重新解码失败:', error);
+    }
+}
+
+// 创建处理章节的 Web Worker
+function createChapterWorker() {
+    const workerCode = `
+                self.onmessage = function(e) {
+                    const text = e.data.text;
+                    const wordsPerPage = e.data.wordsPerPage;
+                    
+                    // 规则编辑器测试单行标题：返回第一条命中的规则下标，没有命中为 -1
+                    if (typeof e.data.testLine === 'string') {
+                        const rules = e.data.rules || [];
+                        for (let i = 0; i < rules.length; i++) {
+                            if (!rules[i]) continue;
+                            try {
+                                if (new RegExp(rules[i].pattern, (rules[i].flags || '').replace(/[gy]/g, '')).test(e.data.testLine)) {
+                                    self.postMessage({ matchedRule: i });
+                                    return;
+                                }
+                            } catch (err) { }
+                        }
+                        self.postMessage({ matchedRule: -1 });
+                        return;
+                    }
+                    
+                    try {
+                        let chapters = [];
+                        
+                        // 章节匹配规则由主线程传入（用户自定义或内置规则）
+                        // 去掉 g/y 标志，避免 test() 携带 lastIndex 状态
+                        const chapterPatterns = [];
+                        for (const rule of (e.data.rules || [])) {
+                            try {
+                                chapterPatterns.push({
+                                    regex: new RegExp(rule.pattern, (rule.flags || '').replace(/[gy]/g, '')),
+                                    level: rule.level === 'volume' ? 'volume' : 'chapter'
+                                });
+                            } catch (err) {
+                                // 无效的正则直接跳过
+                            }
+                        }
+                        
+                        // 预扫描检查是否有章节 (只检查前 2000 行)
+                        // 避免对无章节的大文件进行全量扫描
+                        let hasChapters = false;
+                        let scanIndex = 0;
+                        let lineCount = 0;
+                        
+                        while (lineCount < 2000 && scanIndex < text.length) {
+                            let nextNewLine = text.indexOf('\\n', scanIndex);
+                            if (nextNewLine === -1) nextNewLine = text.length;
+                            
+                            const line = text.slice(scanIndex, nextNewLine).trim();
+                            if (line.length > 0 && line.length < 50) {
+                                for (const pattern of chapterPatterns) {
+                                    if (pattern.regex.test(line)) {
+                                        hasChapters = true;
+                                        break;
+                                    }
+                                }
+                            }
+                            if (hasChapters) break;
+                            
                             scanIndex = nextNewLine + 1;
                             lineCount++;
                         }
@@ -942,83 +1522,280 @@ function createChapterWorker() {
                         
                         // 如果有章节，按章节处理
                         // 完整扫描，避免使用 split('\\n') 创建巨大数组
+                        // 第一遍只收集候选标题及其特征，随后统一打分，剔除误判
                         let currentIndex = 0;
                         let textLength = text.length;
+                        let lineIndex = 0;
+                        let previousLineBlank = true;
+                        const candidates = [];
+                        const forcedPositions = new Set(e.data.forcedPositions || []);
                         
-                        // 检查第一行是否为章节
-                        let firstLineEnd = text.indexOf('\\n');
-                        if (firstLineEnd === -1) firstLineEnd = textLength;
-                        const firstLine = text.slice(0, firstLineEnd).trim();
-                        
-                        let firstChapterFound = false;
-                        for (const pattern of chapterPatterns) {
-                            if (pattern.test(firstLine)) {
-                                firstChapterFound = true;
-                                break;
-                            }
-                        }
-                        
-                        if (!firstChapterFound) {
-                            chapters.push({
-                                title: '开始',
-                                position: 0,
-                                content: ''
-                            });
-                        }
-                        
-                        // 遍历全文查找章节
+                        // 遍历全文查找候选章节
                         while (currentIndex < textLength) {
                             let nextNewLine = text.indexOf('\\n', currentIndex);
                             if (nextNewLine === -1) nextNewLine = textLength;
                             
                             // 优化：先检查行长度，如果太长肯定不是章节标题，直接跳过
                             const rawLineLength = nextNewLine - currentIndex;
+                            let isBlank = false;
                             
                             if (rawLineLength < 100) {
                                 // 获取当前行内容 (不包含换行符)
                                 const line = text.slice(currentIndex, nextNewLine);
                                 const trimmedLine = line.trim();
+                                isBlank = trimmedLine.length === 0;
                                 
-                                let isChapter = false;
+                                // 按规则顺序匹配，第一条命中的规则决定是卷还是章
+                                let level = null;
                                 // 章节名通常比较短，忽略过长的行
                                 if (trimmedLine.length > 0 && trimmedLine.length < 50) {
                                     for (const pattern of chapterPatterns) {
-                                        if (pattern.test(trimmedLine)) {
-                                            isChapter = true;
+                                        if (pattern.regex.test(trimmedLine)) {
+                                            level = pattern.level;
                                             break;
                                         }
                                     }
                                 }
                                 
-                                if (isChapter) {
-                                    if (chapters.length > 0) {
-                                        // 设置上一章的内容
-                                        chapters[chapters.length - 1].content = text.slice(lastChapterStart, currentIndex);
-                                    }
-                                    chapters.push({
+                                if (level) {
+                                    const number = parseHeadingNumber(trimmedLine);
+                                    // 卷编号单独成组，不与章节编号混在一起判断连续性
+                                    if (number && level === 'volume') number.unit = '卷';
+                                    candidates.push({
                                         title: trimmedLine,
                                         position: currentIndex,
-                                        content: ''
+                                        level: level,
+                                        lineIndex: lineIndex,
+                                        blankBefore: previousLineBlank,
+                                        blankAfter: false,
+                                        number: number
                                     });
-                                    lastChapterStart = currentIndex;
                                 }
                             }
                             
+                            // 回填上一个候选标题后面是否为空行
+                            const lastCandidate = candidates[candidates.length - 1];
+                            if (lastCandidate && lastCandidate.lineIndex === lineIndex - 1) {
+                                lastCandidate.blankAfter = isBlank;
+                            }
+                            
+                            previousLineBlank = isBlank;
+                            lineIndex++;
                             // 移动到下一行
                             currentIndex = nextNewLine + 1;
                         }
                         
-                        if (chapters.length > 0) {
-                            chapters[chapters.length - 1].content = text.slice(lastChapterStart);
+                        scoreCandidates(candidates, textLength);
+                        
+                        const accepted = [];
+                        const rejected = [];
+                        for (const candidate of candidates) {
+                            if (candidate.score >= 0 || forcedPositions.has(candidate.position)) {
+                                accepted.push(candidate);
+                            } else {
+                                rejected.push({
+                                    title: candidate.title,
+                                    position: candidate.position,
+                                    score: Math.round(candidate.score * 10) / 10,
+                                    reasons: candidate.reasons
+                                });
+                            }
+                        }
+                        
+                        if (accepted.length === 0) {
                             self.postMessage({
-                                chapters: chapters,
-                                noChapters: false
+                                noChapters: true,
+                                chapters: [],
+                                rejected: rejected
                             });
+                            return;
+                        }
+                        
+                        // 卷标题不单独成章：卷标题到第一章之间只有空白时，并入该卷第一章；
+                        // 有卷首语等正文时，以卷名作为一个章节；卷下没有任何章节时也按章节处理
+                        // volumes 中的 chapterIndex 指向该卷第一个章节
+                        const volumes = [];
+                        let pendingVolume = null;
+                        for (const candidate of accepted) {
+                            if (candidate.level === 'volume') {
+                                if (pendingVolume) {
+                                    chapters.push({ title: pendingVolume.title, position: pendingVolume.position });
+                                }
+                                volumes.push({ title: candidate.title, position: candidate.position, chapterIndex: chapters.length });
+                                pendingVolume = candidate;
+                                continue;
+                            }
+                            let position = candidate.position;
+                            if (pendingVolume) {
+                                const headingEnd = text.indexOf('\\n', pendingVolume.position);
+                                const intro = text.slice(headingEnd === -1 ? position : headingEnd, position);
+                                if (intro.trim()) {
+                                    chapters.push({ title: pendingVolume.title, position: pendingVolume.position });
+                                } else {
+                                    position = pendingVolume.position;
+                                }
+                                pendingVolume = null;
+                            }
+                            chapters.push({ title: candidate.title, position: position });
                         }
+                        if (pendingVolume) {
+                            chapters.push({ title: pendingVolume.title, position: pendingVolume.position });
+                        }
+                        
+                        // 第一个标题之前如果还有正文，单独作为"开始"章节；
+                        // 否则让第一章从 0 开始，保证各章内容首尾相接
+                        if (chapters[0].position > 0) {
+                            if (text.slice(0, chapters[0].position).trim()) {
+                                chapters.unshift({ title: '开始', position: 0 });
+                                volumes.forEach(volume => volume.chapterIndex++);
+                            } else {
+                                chapters[0].position = 0;
+                            }
+                        }
+                        // 章节只记录起止偏移，不复制正文，正文由主线程按需从全文中截取
+                        for (let i = 0; i < chapters.length; i++) {
+                            chapters[i].end = i + 1 < chapters.length ? chapters[i + 1].position : textLength;
+                        }
+                        
+                        self.postMessage({
+                            chapters: chapters,
+                            volumes: volumes,
+                            rejected: rejected,
+                            noChapters: false
+                        });
                     } catch (error) {
                         self.postMessage({ error: error.message });
                     }
                 };
+                
+                // 特殊章节没有编号，不参与编号连续性判断
+                const SPECIAL_HEADING = /^(序章|序幕|前言|引子|楔子|尾声|后记|番外|终章|完本感言|附录|附件)/;
+                const CN_DIGITS = { '零': 0, '〇': 0, '一': 1, '二': 2, '两': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+                const CN_UNITS = { '十': 10, '百': 100, '千': 1000 };
+                
+                function parseChineseNumber(str) {
+                    let total = 0;
+                    let section = 0;
+                    let number = 0;
+                    for (const ch of str) {
+                        if (ch in CN_DIGITS) {
+                            number = CN_DIGITS[ch];
+                        } else if (ch in CN_UNITS) {
+                            section += (number || 1) * CN_UNITS[ch];
+                            number = 0;
+                        } else if (ch === '万') {
+                            total += (section + number) * 10000;
+                            section = 0;
+                            number = 0;
+                        }
+                    }
+                    return total + section + number;
+                }
+                
+                // 提取标题中的编号及单位（章/节/回……），单位用于区分"第三章"和"第三节"两套编号
+                function parseHeadingNumber(title) {
+                    if (SPECIAL_HEADING.test(title)) return null;
+                    const match = title.slice(0, 16).match(/([0-9０-９]+|[零〇一二两三四五六七八九十百千万]+)\\s*([章节回集卷部篇])?/);
+                    if (!match) return null;
+                    let value;
+                    if (/^[0-9０-９]+$/.test(match[1])) {
+                        value = parseInt(match[1].replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0)), 10);
+                    } else {
+                        value = parseChineseNumber(match[1]);
+                    }
+                    return { value: value, unit: match[2] || '' };
+                }
+                
+                // 综合编号连续性、前后空行、行长度、与上一标题的间距给候选标题打分
+                // 分数小于 0 视为误判（例如正文中的"第三节课下课了"）
+                function scoreCandidates(candidates, textLength) {
+                    if (candidates.length === 0) return;
+                    
+                    // 卷标题后通常紧跟第一章，这类间距不参与统计和扣分
+                    const isVolumeGap = i => candidates[i].level === 'volume' || candidates[i - 1].level === 'volume';
+                    const gaps = [];
+                    for (let i = 1; i < candidates.length; i++) {
+                        if (!isVolumeGap(i)) gaps.push(candidates[i].position - candidates[i - 1].position);
+                    }
+                    const sortedGaps = gaps.slice().sort((a, b) => a - b);
+                    const medianGap = sortedGaps.length > 0 ? sortedGaps[Math.floor(sortedGaps.length / 2)] : textLength;
+                    
+                    // 只有当大多数标题周围有空行时，缺少空行才算扣分项
+                    const withBlank = candidates.filter(c => c.blankBefore || c.blankAfter).length;
+                    const usesBlankLines = withBlank / candidates.length >= 0.6;
+                    
+                    // 按编号单位分组，分别判断连续性
+                    const groups = {};
+                    candidates.forEach((c, index) => {
+                        if (!c.number) return;
+                        const key = c.number.unit || '#';
+                        (groups[key] = groups[key] || []).push(index);
+                    });
+                    // 与前一个或后一个同组标题编号相邻，视为处在连续编号中
+                    Object.values(groups).forEach(group => {
+                        group.forEach((candidateIndex, pos) => {
+                            const value = candidates[candidateIndex].number.value;
+                            const prev = pos > 0 ? candidates[group[pos - 1]].number.value : null;
+                            const next = pos < group.length - 1 ? candidates[group[pos + 1]].number.value : null;
+                            candidates[candidateIndex].sequenced = (prev !== null && value === prev + 1) ||
+                                (next !== null && next === value + 1);
+                        });
+                    });
+                    
+                    candidates.forEach((c, index) => {
+                        let score = 0;
+                        const reasons = [];
+                        const length = c.title.length;
+                        
+                        if (length <= 20) {
+                            score += 1;
+                        } else if (length > 35) {
+                            score -= 1;
+                            reasons.push('标题过长');
+                        }
+                        
+                        if (/[。，；！？,;!?…]/.test(c.title.slice(2))) {
+                            score -= 1;
+                            reasons.push('含句读标点');
+                        }
+                        
+                        if (usesBlankLines) {
+                            if (c.blankBefore || c.blankAfter) {
+                                score += 0.5;
+                            } else {
+                                score -= 1;
+                                reasons.push('前后无空行');
+                            }
+                        }
+                        
+                        if (index > 0 && medianGap > 0 && !isVolumeGap(index)) {
+                            const gap = c.position - candidates[index - 1].position;
+                            if (gap < medianGap * 0.15 && gap < 500) {
+                                score -= 1;
+                                reasons.push('与上一标题距离过近');
+                            }
+                        }
+                        
+                        if (c.number) {
+                            const group = groups[c.number.unit || '#'];
+                            if (group.length >= 3) {
+                                const pos = group.indexOf(index);
+                                if (c.sequenced) {
+                                    score += 2;
+                                } else if (pos > 0 && candidates[group[pos - 1]].sequenced &&
+                                    candidates[group[pos - 1]].number.value === c.number.value) {
+                                    // 同号分上下篇，不加不减
+                                } else {
+                                    score -= 1.5;
+                                    reasons.push('编号不连续');
+                                }
+                            }
+                        }
+                        
+                        c.score = score;
+                        c.reasons = reasons;
+                    });
+                }
             `;
 
     const blob = new Blob([workerCode], { type: 'application/javascript' });
@@ -1031,6 +1808,13 @@ function createChapterWorker() {
     return worker;
 }
 
+// 无章节分页时，第 pageIndex 页开头在全文中的偏移
+function getTextPageOffset(pageIndex) {
+    let offset = 0;
+    for (let i = 0; i < pageIndex; i++) offset += (currentContent[i] || '').length;
+    return offset;
+}
+
 // 修复无章节文件的分页问题
 function showTextPage(pageNum, totalPages, options = {}) {
     if (pageNum >= 0 && pageNum < totalPages) {
@@ -1051,10 +1835,10 @@ function showTextPage(pageNum, totalPages, options = {}) {
         let htmlContent = '';
         if (pageText) {
             const lines = pageText.split('\n');
+            let lineOffset = getTextPageOffset(currentPage);
             for (let line of lines) {
-                htmlContent += line.trim()
-                    ? `<p>${line}</p>`
-                    : '<p><br></p>';
+                htmlContent += renderParagraphHtml(line, lineOffset);
+                lineOffset += line.length + 1;
             }
         } else {
             htmlContent = '<p>此页内容为空</p>';
@@ -1112,23 +1896,235 @@ function showTextPage(pageNum, totalPages, options = {}) {
     }
 }
 
+// ===== 按可视区域测量分页 =====
+// 每页的内容恰好填满一屏：在与 #content 样式相同的隐藏容器里逐段排版，放不下时在段内二分查找断点
+// 每章的分页结果是各页在章节内的起始偏移，按排版签名（宽高、字体、行高、间距）缓存，签名变化后重新测量
+// 测量是增量进行的，只排到当前需要的页，长章节（如无章节时的"全文"）不会一次性测完
+const MIN_PAGE_HEIGHT = 200;
+let pageLayout = { signature: '', chapterPages: {} };
+
+// 页面可用高度：窗口高度减去内容区上方和下方控制栏占用的空间
+function getPageContentHeight(content) {
+    const style = getComputedStyle(content);
+    const verticalPadding = parseFloat(style.paddingTop) + parseFloat(style.paddingBottom);
+    const contentTop = content.getBoundingClientRect().top + window.scrollY;
+    const controls = document.querySelector('.reader-controls');
+    const controlsHeight = controls ? controls.offsetHeight : 0;
+    return Math.max(MIN_PAGE_HEIGHT, Math.floor(window.innerHeight - contentTop - controlsHeight - verticalPadding));
+}
+
+function getParagraphSpacing() {
+    const settings = JSON.parse(localStorage.getItem('readerSettings') || '{}');
+    return settings.paragraphSpacing || '';
+}
+
+function resetPagination() {
+    pageLayout = { signature: '', chapterPages: {} };
+}
+
+// 排版签名变化时清空已测量的分页
+function syncPageLayout() {
+    const content = document.getElementById('content');
+    if (!content || content.offsetWidth === 0) return null;
+
+    const style = getComputedStyle(content);
+    const height = getPageContentHeight(content);
+    const signature = JSON.stringify([
+        content.clientWidth, height, style.fontSize, style.fontFamily,
+        style.lineHeight, style.letterSpacing, getParagraphSpacing()
+    ]);
+    if (signature !== pageLayout.signature) {
+        pageLayout = { signature, height, chapterPages: {} };
+    }
+    return pageLayout;
+}
+
+// 创建与 #content 排版一致的隐藏测量容器
+// 去掉上下内边距并用 flow-root 防止段落外边距溢出，scrollHeight 即为内容实际高度
+function createMeasureBox(content) {
+    const box = document.createElement('div');
+    box.className = content.className;
+    box.style.cssText = content.style.cssText;
+    Object.assign(box.style, {
+        position: 'absolute',
+        visibility: 'hidden',
+        left: '-99999px',
+        top: '0',
+        width: `${content.offsetWidth}px`,
+        height: 'auto',
+        minHeight: '0',
+        maxHeight: 'none',
+        overflow: 'visible',
+        paddingTop: '0',
+        paddingBottom: '0',
+        display: 'flow-root'
+    });
+    box.setAttribute('aria-hidden', 'true');
+    content.parentNode.appendChild(box);
+    return box;
+}
+
+function createPageParagraph(line, continued, paragraphSpacing) {
+    const p = document.createElement('p');
+    if (line.trim()) {
+        p.textContent = line;
+    } else {
+        p.innerHTML = '<br>';
+    }
+    // 跨页的段落在下一页接续时不再缩进
+    if (continued) p.className = 'continued';
+    if (paragraphSpacing) p.style.marginBottom = `${paragraphSpacing}em`;
+    return p;
+}
+
+// 获取章节的分页状态，并保证至少测量到包含 untilOffset 的页、以及第 untilPage 页之后一页
+function ensureChapterPages(chapterIndex, untilOffset = 0, untilPage = 0) {
+    const text = getChapterText(chapterIndex);
+    const layout = syncPageLayout();
+
+    // 内容区不可见时无法测量，退回按固定字数分页
+    if (!layout) {
+        const starts = [];
+        for (let start = 0; start < Math.max(1, text.length); start += wordsPerPage) starts.push(start);
+        return { starts, next: text.length, done: true };
+    }
+
+    let state = layout.chapterPages[chapterIndex];
+    if (!state) {
+        state = layout.chapterPages[chapterIndex] = { starts: [0], next: 0, done: text.length === 0 };
+    }
+
+    const isEnough = () => state.done ||
+        (state.starts[state.starts.length - 1] > untilOffset && state.starts.length > untilPage + 1);
+    if (isEnough()) return state;
+
+    const content = document.getElementById('content');
+    const box = createMeasureBox(content);
+    const paragraphSpacing = getParagraphSpacing();
+    let pos = state.next;
+
+    while (!isEnough()) {
+        if (pos >= text.length) {
+            state.done = true;
+            break;
+        }
+
+        let lineEnd = text.indexOf('\n', pos);
+        if (lineEnd === -1) lineEnd = text.length;
+        const line = text.slice(pos, lineEnd);
+        const continued = pos > 0 && text[pos - 1] !== '\n';
+        const p = createPageParagraph(line, continued, paragraphSpacing);
+        box.appendChild(p);
+
+        if (box.scrollHeight <= layout.height) {
+            pos = lineEnd + 1;
+            continue;
+        }
+
+        // 本段放不下：二分查找本页还能容纳的字数，剩余部分移到下一页
+        let low = 0;
+        let high = line.length;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            p.textContent = line.slice(0, mid);
+            if (box.scrollHeight <= layout.height) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        if (low === 0 && box.childElementCount === 1) {
+            // 页面过小，一个字都放不下时至少放一个字（或跳过空行），避免死循环
+            if (line.length === 0) {
+                pos = lineEnd + 1;
+                continue;
+            }
+            low = 1;
+        }
+
+        pos += low;
+        if (pos >= lineEnd) pos = lineEnd + 1;
+        if (pos < text.length) {
+            state.starts.push(pos);
+        }
+        box.innerHTML = '';
+    }
+
+    state.next = pos;
+    box.remove();
+    return state;
+}
+
+// 章节总页数；尚未测量完时按已测页的平均字数估算
+function getChapterPageCount(chapterIndex) {
+    const state = ensureChapterPages(chapterIndex);
+    if (state.done) return state.starts.length;
+    const measuredChars = Math.max(1, state.starts[state.starts.length - 1]);
+    const charsPerPage = measuredChars / (state.starts.length - 1);
+    return Math.max(state.starts.length, Math.ceil(getChapterLength(chapterIndex) / charsPerPage));
+}
+
+// 章节是否存在第 page 页
+function hasChapterPage(chapterIndex, page) {
+    if (page < 0) return false;
+    return page < ensureChapterPages(chapterIndex, 0, page).starts.length;
+}
+
+// 第 page 页在章节内的起止偏移
+function getChapterPageRange(chapterIndex, page) {
+    const state = ensureChapterPages(chapterIndex, 0, page);
+    const start = state.starts[page];
+    const end = page + 1 < state.starts.length ? state.starts[page + 1] : getChapterLength(chapterIndex);
+    return { start, end };
+}
+
+// 章节的最后一页（需要测量完整章）
+function getChapterLastPage(chapterIndex) {
+    return ensureChapterPages(chapterIndex, Infinity).starts.length - 1;
+}
+
+// 章节内偏移所在的页码
+function getChapterPageByOffset(chapterIndex, offsetInChapter) {
+    const starts = ensureChapterPages(chapterIndex, offsetInChapter).starts;
+    let page = 0;
+    for (let i = 1; i < starts.length && starts[i] <= offsetInChapter; i++) {
+        page = i;
+    }
+    return page;
+}
+
+// 排版可能改变后（窗口大小、字体、行高、间距）按原阅读位置重新分页
+function refreshPagination() {
+    if (!currentFileName || chapters.length === 0 || pageMode !== 'page') return;
+    const previousSignature = pageLayout.signature;
+    const layout = syncPageLayout();
+    if (!layout || layout.signature === previousSignature) return;
+    showPosition(readingOffset, { isBackground: true });
+}
+
 function showPage(pageNum, chapterNum = currentChapter, options = {}) {
     if (!chapters[chapterNum]) {
         console.error('无效的章节:', chapterNum);
         return;
     }
 
-    const chapterContent = chapters[chapterNum].content;
-    const totalPages = Math.ceil(chapterContent.length / wordsPerPage);
+    const chapterContent = getChapterText(chapterNum);
 
-    if (pageNum >= 0 && pageNum < totalPages) {
+    if (hasChapterPage(chapterNum, pageNum)) {
         currentPage = pageNum;
         currentChapter = chapterNum;
 
-        const start = currentPage * wordsPerPage;
-        const end = start + wordsPerPage;
+        const { start, end } = getChapterPageRange(chapterNum, pageNum);
+        const totalPages = getChapterPageCount(chapterNum);
         const content = document.getElementById('content');
 
+        // 阅读位置不在本页范围内时（翻页、跳章），以本页开头作为新的阅读位置
+        const pageStartOffset = (chapters[chapterNum].position || 0) + start;
+        if (readingOffset < pageStartOffset || readingOffset >= pageStartOffset + (end - start)) {
+            readingOffset = pageStartOffset;
+        }
+
         // 保存当前的滚动位置
         const savedScrollTop = content.scrollTop;
         const savedWindowScrollY = window.scrollY;
@@ -1138,10 +2134,19 @@ function showPage(pageNum, chapterNum = currentChapter, options = {}) {
         // 但为了保险起见，我们只在 isBackground 为 true 时尝试优化
         // 实际上，最简单的防闪烁是保持滚动位置
 
+        // 页尾的换行属于本页最后一段，不再多渲染一个空段落
+        // 本页从段落中间开始时（上一页放不下的后半段），首段不缩进
+        const isContinued = start > 0 && chapterContent[start - 1] !== '\n';
+        let lineOffset = pageStartOffset;
         const newHTML = chapterContent
             .slice(start, end)
+            .replace(/\n$/, '')
             .split('\n')
-            .map(line => line.trim() ? `<p>${line}</p>` : '<p><br></p>')
+            .map((line, index) => {
+                const html = renderParagraphHtml(line, lineOffset, index === 0 && isContinued ? 'continued' : '');
+                lineOffset += line.length + 1;
+                return html;
+            })
             .join('');
 
         // 如果内容完全一样，直接返回，不操作DOM
@@ -1172,7 +2177,8 @@ function showPage(pageNum, chapterNum = currentChapter, options = {}) {
             });
         }
 
-        document.getElementById('page-info').textContent = `第 ${currentPage + 1}/${totalPages} 页`;
+        const pageCountText = ensureChapterPages(chapterNum).done ? totalPages : `约${totalPages}`;
+        document.getElementById('page-info').textContent = `第 ${currentPage + 1}/${pageCountText} 页`;
 
         // 保存进度（预览模式下不保存，后台更新也不保存）
         if (!options.isPreview && !options.isBackground) {
@@ -1190,7 +2196,7 @@ function showPage(pageNum, chapterNum = currentChapter, options = {}) {
             window.scrollTo(0, savedWindowScrollY);
         }
     } else {
-        console.error('无效的页码:', pageNum, '总页数:', totalPages);
+        console.error('无效的页码:', pageNum, '总页数:', getChapterPageCount(chapterNum));
     }
 }
 
@@ -1203,21 +2209,20 @@ function nextPage() {
         if (currentPage < totalPages - 1) {
             showTextPage(currentPage + 1, totalPages);
         } else {
-            // 已是最后一页，显示提示
+            // 已是最后一页，显示提示并标记为读完
             showNotification('已经是最后一页了');
+            markBookFinished();
         }
     } else {
         // 有章节的情况，使用原有逻辑
-        const currentChapterContent = chapters[currentChapter].content;
-        const totalPagesInChapter = Math.ceil(currentChapterContent.length / wordsPerPage);
-
-        if (currentPage < totalPagesInChapter - 1) {
+        if (hasChapterPage(currentChapter, currentPage + 1)) {
             showPage(currentPage + 1);
         } else if (currentChapter < chapters.length - 1) {
             jumpToChapter(currentChapter + 1);
         } else {
-            // 已是最后一章最后一页，显示提示
+            // 已是最后一章最后一页，显示提示并标记为读完
             showNotification('已经是最后一页了');
+            markBookFinished();
         }
     }
     saveProgress();
@@ -1239,8 +2244,7 @@ function previousPage() {
         if (currentPage > 0) {
             showPage(currentPage - 1);
         } else if (currentChapter > 0) {
-            const prevChapterContent = chapters[currentChapter - 1].content;
-            const lastPage = Math.ceil(prevChapterContent.length / wordsPerPage) - 1;
+            const lastPage = getChapterLastPage(currentChapter - 1);
             showPage(lastPage, currentChapter - 1);
         } else {
             // 已是第一章第一页，显示提示
@@ -1267,9 +2271,12 @@ function toggleChapterList() {
             const oldActive = chapterList.querySelector('.chapter-item.active');
             if (oldActive) oldActive.classList.remove('active');
 
-            const content = chapterList.querySelector('.chapter-list-content');
-            if (content && content.children[currentChapter]) {
-                content.children[currentChapter].classList.add('active');
+            const newActive = chapterList.querySelector(`.chapter-item[data-index="${currentChapter}"]`);
+            if (newActive) {
+                newActive.classList.add('active');
+                // 当前章节所在的卷如果被折叠了，展开它
+                const group = newActive.closest('.volume-group');
+                if (group) group.classList.remove('collapsed');
             }
         }
         chapterList.classList.remove('hidden');
@@ -1288,6 +2295,11 @@ function toggleChapterList() {
 }
 
 function jumpToChapter(index) {
+    if (chapters[index] && pageMode === 'scroll') {
+        // 滚动模式下定位到章节开头，而不是切换成单页显示
+        showPosition(chapters[index].position || 0);
+        return;
+    }
     if (chapters[index]) {
         showPage(0, index);
         // 确保滚动到顶部
@@ -1307,44 +2319,336 @@ function toggleTheme() {
 function toggleFontSettings() {
     const panel = document.getElementById('font-settings-panel');
     panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) {
+        loadChapterRulesDraft();
+    }
 }
 
-// 手动缓存按钮事件
-document.getElementById('manual-cache-btn').addEventListener('click', async () => {
-    if (!window.currentFilePath || !chapters || chapters.length === 0) {
-        showNotification('当前没有打开的书籍或章节未加载');
+// ===== 章节识别规则编辑器 =====
+// 草稿状态：编辑过程中不影响当前阅读，点击保存后才生效
+let chapterRulesDraft = { scope: 'global', rules: [] };
+
+function loadChapterRulesDraft() {
+    const bookRules = (globalConfig[getProfileConfigKey('bookChapterRules')] || {})[currentFileName];
+    const scope = currentFileName && Array.isArray(bookRules) && bookRules.length > 0 ? 'book' : 'global';
+    const source = scope === 'book'
+        ? bookRules
+        : (Array.isArray(globalConfig.chapterRules) && globalConfig.chapterRules.length > 0 ? globalConfig.chapterRules : DEFAULT_CHAPTER_RULES);
+
+    chapterRulesDraft = {
+        scope,
+        rules: source.map(rule => ({ ...rule }))
+    };
+    document.getElementById('chapter-rules-scope').value = scope;
+    renderChapterRulesEditor();
+}
+
+function changeChapterRulesScope() {
+    const scope = document.getElementById('chapter-rules-scope').value;
+    if (scope === 'book' && !currentFileName) {
+        showNotification('请先打开一本书');
+        document.getElementById('chapter-rules-scope').value = 'global';
         return;
     }
+    // 切换范围时以当前生效的规则为起点
+    chapterRulesDraft = {
+        scope,
+        rules: getChapterRules(scope === 'book' ? currentFileName : '').map(rule => ({ ...rule }))
+    };
+    renderChapterRulesEditor();
+}
 
-    const btn = document.getElementById('manual-cache-btn');
-    const originalText = btn.textContent;
-    btn.textContent = '正在缓存...';
-    btn.disabled = true;
+function renderChapterRulesEditor() {
+    const list = document.getElementById('chapter-rules-list');
+    if (!list) return;
 
-    try {
-        const success = await ipcRenderer.invoke('save-book-cache', window.currentFilePath, { chapters: chapters });
-        if (success) {
-            showNotification('书籍缓存已成功保存');
-        } else {
-            showNotification('缓存保存失败');
+    list.innerHTML = '';
+    chapterRulesDraft.rules.forEach((rule, index) => {
+        const row = document.createElement('div');
+        row.className = 'chapter-rule-item';
+
+        let isValid = true;
+        try {
+            new RegExp(rule.pattern, (rule.flags || '').replace(/[gy]/g, ''));
+        } catch (e) {
+            isValid = false;
         }
-    } catch (error) {
-        console.error('手动缓存失败:', error);
-        showNotification('缓存失败: ' + error.message);
-    } finally {
-        btn.textContent = originalText;
-        btn.disabled = false;
-    }
-});
+        if (!isValid) row.classList.add('invalid');
+
+        row.innerHTML = `
+            <input type="checkbox" class="rule-enabled" ${rule.enabled !== false ? 'checked' : ''} title="启用">
+            <input type="text" class="rule-pattern" spellcheck="false" placeholder="正则表达式，如 ^【\\d+】">
+            <input type="text" class="rule-flags" spellcheck="false" placeholder="标志" title="正则标志，如 i">
+            <select class="rule-level" title="识别为卷标题还是章节标题">
+                <option value="chapter">章</option>
+                <option value="volume">卷</option>
+            </select>
+            <span class="rule-actions">
+                <button class="rule-up" title="上移" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="rule-down" title="下移" ${index === chapterRulesDraft.rules.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="rule-delete" title="删除">×</button>
+            </span>
+        `;
+        // 用 value 赋值，避免正则中的引号等字符破坏 HTML
+        row.querySelector('.rule-pattern').value = rule.pattern || '';
+        row.querySelector('.rule-pattern').title = rule.name || '';
+        row.querySelector('.rule-flags').value = rule.flags || '';
+        row.querySelector('.rule-level').value = rule.level === 'volume' ? 'volume' : 'chapter';
+        // 输入时不触发翻页、切换主题等全局快捷键
+        row.querySelectorAll('input, select').forEach(input => input.addEventListener('keydown', e => e.stopPropagation()));
+
+        row.querySelector('.rule-enabled').addEventListener('change', (e) => {
+            rule.enabled = e.target.checked;
+            scheduleChapterRulesPreview();
+        });
+        row.querySelector('.rule-pattern').addEventListener('input', (e) => {
+            rule.pattern = e.target.value;
+            updateChapterRuleValidity(row, rule);
+            scheduleChapterRulesPreview();
+        });
+        row.querySelector('.rule-flags').addEventListener('input', (e) => {
+            rule.flags = e.target.value.replace(/[^imsu]/g, '');
+            updateChapterRuleValidity(row, rule);
+            scheduleChapterRulesPreview();
+        });
+        row.querySelector('.rule-level').addEventListener('change', (e) => {
+            rule.level = e.target.value;
+            testChapterRules();
+            scheduleChapterRulesPreview();
+        });
+        row.querySelector('.rule-up').addEventListener('click', () => moveChapterRule(index, -1));
+        row.querySelector('.rule-down').addEventListener('click', () => moveChapterRule(index, 1));
+        row.querySelector('.rule-delete').addEventListener('click', () => {
+            chapterRulesDraft.rules.splice(index, 1);
+            renderChapterRulesEditor();
+        });
 
-function changeFontFamily() {
-    const fontFamily = document.getElementById('font-family-selector').value;
-    document.getElementById('content').style.fontFamily = fontFamily;
+        list.appendChild(row);
+    });
 
-    // 保存到localStorage
+    testChapterRules();
+    scheduleChapterRulesPreview();
+}
+
+function updateChapterRuleValidity(row, rule) {
+    try {
+        new RegExp(rule.pattern, (rule.flags || '').replace(/[gy]/g, ''));
+        row.classList.remove('invalid');
+    } catch (e) {
+        row.classList.add('invalid');
+    }
+    testChapterRules();
+}
+
+function addChapterRule() {
+    chapterRulesDraft.rules.push({ name: '自定义规则', pattern: '', flags: '', enabled: true, level: 'chapter' });
+    renderChapterRulesEditor();
+    const inputs = document.querySelectorAll('#chapter-rules-list .rule-pattern');
+    if (inputs.length > 0) inputs[inputs.length - 1].focus();
+}
+
+function moveChapterRule(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= chapterRulesDraft.rules.length) return;
+    const [rule] = chapterRulesDraft.rules.splice(index, 1);
+    chapterRulesDraft.rules.splice(target, 0, rule);
+    renderChapterRulesEditor();
+}
+
+function resetChapterRules() {
+    chapterRulesDraft.rules = DEFAULT_CHAPTER_RULES.map(rule => ({ ...rule }));
+    renderChapterRulesEditor();
+}
+
+// 正在进行的单行测试，规则或测试行变化时终止上一次测试
+let chapterRuleTest = { worker: null, timer: null };
+
+function stopChapterRuleTest() {
+    clearTimeout(chapterRuleTest.timer);
+    if (chapterRuleTest.worker) chapterRuleTest.worker.terminate();
+    chapterRuleTest = { worker: null, timer: null };
+}
+
+// 用测试行逐条匹配规则，显示命中的是哪一条
+// 在 Worker 中匹配并限制时间，回溯严重的正则不会卡住界面
+function testChapterRules() {
+    const input = document.getElementById('chapter-rule-test-input');
+    const result = document.getElementById('chapter-rule-test-result');
+    if (!input || !result) return;
+
+    stopChapterRuleTest();
+    const line = input.value.trim();
+    if (!line) {
+        result.textContent = '';
+        return;
+    }
+
+    const rules = chapterRulesDraft.rules.map(rule => (rule.enabled !== false && rule.pattern
+        ? { pattern: rule.pattern, flags: rule.flags || '', level: rule.level }
+        : null));
+    const worker = createChapterWorker();
+    worker.onmessage = function (e) {
+        stopChapterRuleTest();
+        const index = e.data.matchedRule;
+        if (index >= 0) {
+            result.textContent = `✔ 命中第 ${index + 1} 条规则（${rules[index].level === 'volume' ? '卷标题' : '章节标题'}）`;
+            result.className = 'chapter-rule-hint matched';
+        } else {
+            result.textContent = '✘ 没有规则命中，将被视为正文';
+            result.className = 'chapter-rule-hint';
+        }
+    };
+    worker.postMessage({ testLine: line, rules: rules });
+    chapterRuleTest = {
+        worker,
+        timer: setTimeout(() => {
+            stopChapterRuleTest();
+            result.textContent = '✘ 匹配超时，请检查正则是否有大量回溯';
+            result.className = 'chapter-rule-hint';
+        }, CHAPTER_RULE_TEST_TIMEOUT)
+    };
+}
+
+// 对当前打开的书实时预览分章结果
+const scheduleChapterRulesPreview = debounce(async function () {
+    const preview = document.getElementById('chapter-rules-preview');
+    if (!preview) return;
+
+    if (!currentFileName || chapters.length === 0) {
+        preview.textContent = '打开书籍后可预览分章效果';
+        return;
+    }
+
+    preview.textContent = '正在预览...';
+    try {
+        const result = await runChapterDetection(getCurrentBookText(), chapterRulesDraft.rules);
+        const detected = result.noChapters ? [] : (result.chapters || []);
+        if (detected.length === 0) {
+            preview.textContent = '未识别到任何章节，全书将作为一个章节';
+            return;
+        }
+        const sample = detected.slice(0, 8).map(chapter => chapter.title);
+        const rejectedCount = (result.rejected || []).length;
+        const volumeCount = (result.volumes || []).length;
+        preview.innerHTML = `<div>共识别 ${volumeCount > 0 ? `${volumeCount} 卷 ` : ''}${detected.length} 章（当前 ${chapters.length} 章）${rejectedCount > 0 ? `，另有 ${rejectedCount} 处疑似误判已排除` : ''}</div>`;
+        const ul = document.createElement('ul');
+        sample.forEach(title => {
+            const li = document.createElement('li');
+            li.textContent = title;
+            ul.appendChild(li);
+        });
+        if (detected.length > sample.length) {
+            const li = document.createElement('li');
+            li.textContent = '……';
+            ul.appendChild(li);
+        }
+        preview.appendChild(ul);
+    } catch (error) {
+        preview.textContent = '预览失败: ' + error.message;
+    }
+}, 400);
+
+async function applyChapterRules() {
+    const rules = chapterRulesDraft.rules
+        .filter(rule => rule.pattern && rule.pattern.trim())
+        .map(rule => ({
+            name: rule.name || '自定义规则',
+            pattern: rule.pattern,
+            flags: rule.flags || '',
+            enabled: rule.enabled !== false,
+            level: rule.level === 'volume' ? 'volume' : 'chapter'
+        }));
+
+    const updates = {};
+    if (chapterRulesDraft.scope === 'book') {
+        if (!currentFileName) {
+            showNotification('请先打开一本书');
+            return;
+        }
+        const configKey = getProfileConfigKey('bookChapterRules');
+        const bookChapterRules = { ...(globalConfig[configKey] || {}) };
+        bookChapterRules[currentFileName] = rules;
+        updates[configKey] = bookChapterRules;
+    } else {
+        updates.chapterRules = rules;
+    }
+
+    try {
+        await ipcRenderer.invoke('save-config', updates);
+        Object.assign(globalConfig, updates);
+        showNotification('章节规则已保存');
+    } catch (error) {
+        console.error('保存章节规则失败:', error);
+        showNotification('保存章节规则失败: ' + error.message);
+        return;
+    }
+
+    // 用新规则重新分章，并保持当前阅读位置
+    if (currentFileName && chapters.length > 0) {
+        document.getElementById('loading-overlay').style.display = 'flex';
+        detectChapters(getCurrentBookText(), { targetPosition: readingOffset });
+    }
+}
+
+// 清除本书的专属规则，恢复使用全局规则
+async function clearBookChapterRules() {
+    if (!currentFileName) return;
+    const configKey = getProfileConfigKey('bookChapterRules');
+    const bookChapterRules = { ...(globalConfig[configKey] || {}) };
+    if (!bookChapterRules[currentFileName]) {
+        showNotification('本书没有专属规则');
+        return;
+    }
+    delete bookChapterRules[currentFileName];
+    await ipcRenderer.invoke('save-config', { [configKey]: bookChapterRules });
+    globalConfig[configKey] = bookChapterRules;
+    loadChapterRulesDraft();
+    showNotification('已恢复使用全局规则');
+
+    if (chapters.length > 0) {
+        document.getElementById('loading-overlay').style.display = 'flex';
+        detectChapters(getCurrentBookText(), { targetPosition: readingOffset });
+    }
+}
+
+// 手动缓存按钮事件
+document.getElementById('manual-cache-btn').addEventListener('click', async () => {
+    if (!window.currentFilePath || !chapters || chapters.length === 0) {
+        showNotification('当前没有打开的书籍或章节未加载');
+        return;
+    }
+
+    const btn = document.getElementById('manual-cache-btn');
+    const originalText = btn.textContent;
+    btn.textContent = '正在缓存...';
+    btn.disabled = true;
+
+    try {
+        const success = await ipcRenderer.invoke('save-book-cache', window.currentFilePath, buildBookCacheData(getChapterRules()));
+        if (success) {
+            showNotification('书籍缓存已成功保存');
+        } else {
+            showNotification('缓存保存失败');
+        }
+    } catch (error) {
+        console.error('手动缓存失败:', error);
+        showNotification('缓存失败: ' + error.message);
+    } finally {
+        btn.textContent = originalText;
+        btn.disabled = false;
+    }
+});
+
+function changeFontFamily() {
+    const fontFamily = document.getElementById('font-family-selector').value;
+    document.getElementById('content').style.fontFamily = fontFamily;
+
+    // 保存到localStorage
     const settings = JSON.parse(localStorage.getItem('readerSettings') || '{}');
     settings.fontFamily = fontFamily;
     localStorage.setItem('readerSettings', JSON.stringify(settings));
+
+    refreshPagination();
 }
 
 function changeLineHeight() {
@@ -1356,6 +2660,8 @@ function changeLineHeight() {
     const settings = JSON.parse(localStorage.getItem('readerSettings') || '{}');
     settings.lineHeight = lineHeight;
     localStorage.setItem('readerSettings', JSON.stringify(settings));
+
+    refreshPagination();
 }
 
 function changeLetterSpacing() {
@@ -1367,6 +2673,8 @@ function changeLetterSpacing() {
     const settings = JSON.parse(localStorage.getItem('readerSettings') || '{}');
     settings.letterSpacing = letterSpacing;
     localStorage.setItem('readerSettings', JSON.stringify(settings));
+
+    refreshPagination();
 }
 
 function changeParagraphSpacing() {
@@ -1383,6 +2691,8 @@ function changeParagraphSpacing() {
     const settings = JSON.parse(localStorage.getItem('readerSettings') || '{}');
     settings.paragraphSpacing = paragraphSpacing;
     localStorage.setItem('readerSettings', JSON.stringify(settings));
+
+    refreshPagination();
 }
 
 function applyStoredSettings() {
@@ -1421,6 +2731,8 @@ function applyStoredSettings() {
         homePageFontSize = parseInt(settings.homePageFontSize);
         if (!currentFileName) applyHomePageFontSize();
     }
+
+    refreshPagination();
 }
 
 function applyHomePageFontSize() {
@@ -1451,6 +2763,8 @@ function changeFontSize(delta) {
         const settings = JSON.parse(localStorage.getItem(getSettingsKey()) || '{}');
         settings.fontSize = fontSize;
         localStorage.setItem(getSettingsKey(), JSON.stringify(settings));
+
+        refreshPagination();
     } else {
         // 主页模式下，调整主页字体大小
         homePageFontSize += delta * 2;
@@ -1476,6 +2790,8 @@ function setFontSize(size) {
         const settings = JSON.parse(localStorage.getItem(getSettingsKey()) || '{}');
         settings.fontSize = fontSize;
         localStorage.setItem(getSettingsKey(), JSON.stringify(settings));
+
+        refreshPagination();
     } else {
         // 主页模式下设置字体大小
         homePageFontSize = size;
@@ -1490,8 +2806,13 @@ function setFontSize(size) {
 
 // 修改键盘事件处理，删除数字键调节字体大小和沉浸式阅读模式切换
 document.addEventListener('keydown', function (e) {
+    // Ctrl+F - 书内查找
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'f' || e.key === 'F')) {
+        openFindBar();
+        e.preventDefault();
+    }
     // 左箭头或PageUp - 上一页
-    if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+    else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
         previousPage();
         e.preventDefault();
     }
@@ -1500,45 +2821,926 @@ document.addEventListener('keydown', function (e) {
         nextPage();
         e.preventDefault();
     }
-    // Home键 - 返回首页
-    else if (e.key === 'Home') {
-        backToHome();
+    // Home键 - 返回首页
+    else if (e.key === 'Home') {
+        backToHome();
+        e.preventDefault();
+    }
+    // T键 - 切换主题
+    else if (e.key === 't' || e.key === 'T') {
+        toggleTheme();
+        e.preventDefault();
+    }
+    // B键 - 在当前位置添加书签（输入框中不响应）
+    else if ((e.key === 'b' || e.key === 'B') && !e.target.closest('input, textarea, select')) {
+        addBookmark();
+        e.preventDefault();
+    }
+    // ESC键 - 返回主页 (已在全局监听器中处理)
+    // else if (e.key === 'Escape') {
+    //     backToHome();
+    //     e.preventDefault();
+    // }
+});
+
+let isChapterListDirty = true;
+
+function updateChapterList() {
+    if (!isChapterListDirty) return;
+
+    const chapterList = document.getElementById('chapter-list');
+    const headerHtml = `
+                <div class="chapter-list-header">
+                    <div class="chapter-list-tabs">
+                        <h3 class="chapter-list-tab" data-tab="chapters" onclick="switchChapterPanelTab('chapters')">目录</h3>
+                        <h3 class="chapter-list-tab" data-tab="bookmarks" onclick="switchChapterPanelTab('bookmarks')">书签</h3>
+                        <h3 class="chapter-list-tab" data-tab="notes" onclick="switchChapterPanelTab('notes')">笔记</h3>
+                    </div>
+                    <button class="close-btn" onclick="toggleChapterList()">×</button>
+                </div>
+            `;
+
+    // 优化：如果章节太多，分批渲染或者简化渲染
+    // 这里暂时保持原样，但标记为已更新
+    const isNewChapter = index => newChapterIndex !== -1 && index >= newChapterIndex;
+    const renderChapterItem = (chapter, index) =>
+        `<div class="chapter-item ${index === currentChapter ? 'active' : ''}${isNewChapter(index) ? ' new-chapter' : ''}" data-index="${index}"
+                      onclick="jumpToChapter(${index}); toggleChapterList();">${escapeHtml(chapter.title)}</div>`;
+
+    // 书更新后在目录顶部提示新增章节，点击跳到第一个新章节
+    let listHtml = newChapterIndex === -1 ? '' : `
+                <div class="new-chapters-notice" onclick="jumpToChapter(${newChapterIndex}); toggleChapterList();">
+                    <span class="new-chapters-badge">新增 ${chapters.length - newChapterIndex} 章</span>从「${escapeHtml(chapters[newChapterIndex].title)}」开始
+                </div>`;
+    if (volumes.length === 0) {
+        listHtml += chapters.map(renderChapterItem).join('');
+    } else {
+        // 有分卷时按卷分组，第一卷之前的章节（如"开始"）不归入任何卷
+        // 默认只展开当前所在的卷
+        const currentVolume = getVolumeIndex(currentChapter);
+        const firstVolumeStart = volumes[0].chapterIndex;
+        listHtml += chapters.slice(0, firstVolumeStart).map(renderChapterItem).join('');
+        listHtml += volumes.map((volume, volumeIndex) => {
+            const end = volumeIndex + 1 < volumes.length ? volumes[volumeIndex + 1].chapterIndex : chapters.length;
+            const itemsHtml = chapters.slice(volume.chapterIndex, end)
+                .map((chapter, offset) => renderChapterItem(chapter, volume.chapterIndex + offset))
+                .join('');
+            return `
+                <div class="volume-group ${volumeIndex === currentVolume ? '' : 'collapsed'}" data-volume="${volumeIndex}">
+                    <div class="volume-header" onclick="this.parentElement.classList.toggle('collapsed')">
+                        <span class="volume-toggle">▾</span>${escapeHtml(volume.title)}<span class="volume-count">${end - volume.chapterIndex} 章</span>
+                    </div>
+                    <div class="volume-chapters">${itemsHtml}</div>
+                </div>`;
+        }).join('');
+    }
+
+    chapterList.innerHTML = headerHtml +
+        '<div class="chapter-list-content" data-panel="chapters">' + listHtml + renderRejectedHeadings() + '</div>' +
+        '<div class="chapter-list-content" data-panel="bookmarks" id="bookmark-list"></div>' +
+        '<div class="chapter-list-content" data-panel="notes" id="notebook-list"></div>';
+    isChapterListDirty = false;
+    switchChapterPanelTab(chapterPanelTab);
+}
+
+// 目录面板当前显示的标签页：chapters（目录）、bookmarks（书签）或 notes（笔记）
+let chapterPanelTab = 'chapters';
+
+function switchChapterPanelTab(tab) {
+    chapterPanelTab = tab;
+    const chapterList = document.getElementById('chapter-list');
+    chapterList.querySelectorAll('.chapter-list-tab').forEach(item => {
+        item.classList.toggle('active', item.dataset.tab === tab);
+    });
+    chapterList.querySelectorAll('.chapter-list-content').forEach(panel => {
+        panel.style.display = panel.dataset.panel === tab ? '' : 'none';
+    });
+    if (tab === 'bookmarks') renderBookmarkList();
+    if (tab === 'notes') renderNotebook();
+}
+
+// 书签按书名分组：{ 书名: [{ id, label, offset, anchor, chapterTitle, createdAt }] }
+// 保存在服务端（与阅读历史同目录），本地 localStorage 只作离线副本
+let bookmarks = JSON.parse(localStorage.getItem(getStorageKey('bookmarks'))) || {};
+
+function getBookBookmarks(fileName = currentFileName) {
+    return bookmarks[fileName] || [];
+}
+
+// 从服务端加载书签，返回是否加载成功（服务端读取失败时返回 null）
+function syncBookmarks() {
+    return ipcRenderer.invoke('load-bookmarks', currentProfile).then(cloudBookmarks => {
+        if (!cloudBookmarks || typeof cloudBookmarks !== 'object') return false;
+        bookmarks = cloudBookmarks;
+        localStorage.setItem(getStorageKey('bookmarks'), JSON.stringify(bookmarks));
+        if (chapterPanelTab === 'bookmarks') renderBookmarkList();
+        return true;
+    }).catch(err => {
+        console.error('加载书签失败:', err);
+        return false;
+    });
+}
+
+// 修改当前书的书签：先拉取服务端最新数据再修改，避免覆盖其他设备新增的书签
+// 拉取失败时不修改也不保存，否则会用本机的旧数据覆盖服务端；返回是否已修改
+async function updateBookBookmarks(fileName, mutate) {
+    if (!await syncBookmarks()) {
+        showNotification('书签同步失败，请稍后重试');
+        return false;
+    }
+    const list = getBookBookmarks(fileName).slice();
+    mutate(list);
+    if (list.length > 0) {
+        bookmarks[fileName] = list;
+    } else {
+        delete bookmarks[fileName];
+    }
+    localStorage.setItem(getStorageKey('bookmarks'), JSON.stringify(bookmarks));
+    renderBookmarkList();
+    const success = await ipcRenderer.invoke('save-bookmarks', bookmarks, currentProfile)
+        .catch(err => console.error('同步书签失败:', err));
+    if (!success) showNotification('书签同步失败，仅保存在本机');
+    return true;
+}
+
+// 在当前阅读位置添加书签，默认以章节名和位置附近的文字命名
+async function addBookmark() {
+    if (!currentFileName || chapters.length === 0) {
+        showNotification('请先打开一本书');
+        return;
+    }
+
+    const fileName = currentFileName;
+    const offset = readingOffset;
+    const anchor = getTextAnchor(offset);
+    const chapterTitle = chapters[findChapterByPosition(offset)].title;
+    const snippet = anchor.replace(/\s+/g, ' ').trim().slice(0, 12);
+    const bookmark = {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        label: snippet ? `${chapterTitle} · ${snippet}` : chapterTitle,
+        offset: offset,
+        anchor: anchor,
+        chapterTitle: chapterTitle,
+        createdAt: new Date().toISOString()
+    };
+
+    const added = await updateBookBookmarks(fileName, list => {
+        list.push(bookmark);
+        list.sort((a, b) => a.offset - b.offset);
+    });
+    if (added) showNotification('已添加书签');
+}
+
+async function renameBookmark(id, label) {
+    label = label.trim();
+    if (!label) {
+        renderBookmarkList();
+        return;
+    }
+    const renamed = await updateBookBookmarks(currentFileName, list => {
+        const bookmark = list.find(item => item.id === id);
+        if (bookmark) bookmark.label = label;
+    });
+    // 没保存时恢复输入框里的原名
+    if (!renamed) renderBookmarkList();
+}
+
+async function removeBookmark(id) {
+    await updateBookBookmarks(currentFileName, list => {
+        const index = list.findIndex(item => item.id === id);
+        if (index !== -1) list.splice(index, 1);
+    });
+}
+
+function jumpToBookmark(id) {
+    const bookmark = getBookBookmarks().find(item => item.id === id);
+    if (!bookmark) return;
+    showPosition(resolveRecordOffset(bookmark));
+    saveProgress();
+    updateProgressBar();
+    document.getElementById('chapter-list').classList.add('hidden');
+}
+
+function renderBookmarkList() {
+    const container = document.getElementById('bookmark-list');
+    if (!container) return;
+
+    const list = getBookBookmarks();
+    if (list.length === 0) {
+        container.innerHTML = '<div class="bookmark-empty">还没有书签，按 B 键或点击侧栏「书签」添加</div>';
+        return;
+    }
+
+    container.innerHTML = list.map(bookmark => `
+                <div class="bookmark-item" onclick="jumpToBookmark('${bookmark.id}')">
+                    <input class="bookmark-label" value="${escapeHtml(bookmark.label)}" title="点击修改书签名"
+                        onclick="event.stopPropagation()"
+                        onkeydown="if (event.key === 'Enter') this.blur(); event.stopPropagation();"
+                        onchange="renameBookmark('${bookmark.id}', this.value)">
+                    <div class="bookmark-meta">${escapeHtml(bookmark.chapterTitle || '')} · ${new Date(bookmark.createdAt).toLocaleString()}</div>
+                    <button class="bookmark-remove" title="删除书签" onclick="event.stopPropagation(); removeBookmark('${bookmark.id}');">×</button>
+                </div>`
+    ).join('');
+}
+
+// ===== 高亮与笔记 =====
+// 标注按书名分组：{ 书名: [{ id, start, end, text, color, note, chapterTitle, createdAt, updatedAt }] }
+// start/end 为全书字符偏移，text 为原文引用；重新分页或分章后偏移不变，
+// 文本有改动时再按引用在附近查找，因此标注不依赖页码
+const ANNOTATION_COLORS = { yellow: '黄色', green: '绿色', blue: '蓝色', pink: '粉色' };
+let annotations = JSON.parse(localStorage.getItem(getStorageKey('annotations'))) || {};
+let annotationRanges = []; // 当前书中能定位到原文的标注，渲染段落时使用
+
+function getBookAnnotations(fileName = currentFileName) {
+    return annotations[fileName] || [];
+}
+
+// 按原文引用校正当前书各标注的位置，找不到原文的标注不再显示高亮
+function resolveAnnotationRanges() {
+    annotationRanges = [];
+    if (!currentBookText) return;
+    getBookAnnotations().forEach(annotation => {
+        let start = annotation.start;
+        if (currentBookText.slice(start, annotation.end) !== annotation.text) {
+            start = findAnchorNear(annotation.text, start);
+            if (start === -1) return;
+        }
+        annotationRanges.push({
+            id: annotation.id,
+            start: start,
+            end: start + annotation.text.length,
+            color: annotation.color,
+            note: annotation.note
+        });
+    });
+}
+
+// 把一行文字转成 HTML，落在标注范围内的部分包上 <mark>
+// 多个标注重叠时，较晚添加的标注显示在上面；查找的当前匹配显示在最上面
+function renderAnnotatedText(line, offset) {
+    const lineEnd = offset + line.length;
+    // 书内查找的当前匹配放在最后，显示在所有标注之上
+    const ranges = annotationRanges.concat(activeSearchMatch ? [{ ...activeSearchMatch, search: true }] : [])
+        .filter(range => range.start < lineEnd && range.end > offset);
+    if (ranges.length === 0) return escapeHtml(line);
+
+    const points = new Set([0, line.length]);
+    ranges.forEach(range => {
+        points.add(Math.max(0, range.start - offset));
+        points.add(Math.min(line.length, range.end - offset));
+    });
+    const sortedPoints = [...points].sort((a, b) => a - b);
+
+    // 相邻片段属于同一标注时合并，避免一个标注被拆成多个 <mark>
+    const pieces = [];
+    for (let i = 0; i < sortedPoints.length - 1; i++) {
+        const from = sortedPoints[i];
+        const to = sortedPoints[i + 1];
+        let cover = null;
+        ranges.forEach(range => {
+            if (range.start <= offset + from && range.end >= offset + to) cover = range;
+        });
+        const last = pieces[pieces.length - 1];
+        if (last && last.cover === cover) {
+            last.to = to;
+        } else {
+            pieces.push({ from, to, cover });
+        }
+    }
+
+    return pieces.map(({ from, to, cover }) => {
+        const piece = escapeHtml(line.slice(from, to));
+        if (cover && cover.search) return `<mark class="search-match">${piece}</mark>`;
+        return cover
+            ? `<mark class="annotation annotation-${cover.color}${cover.note ? ' has-note' : ''}" data-annotation="${cover.id}">${piece}</mark>`
+            : piece;
+    }).join('');
+}
+
+// 生成正文段落，data-offset 记录段首在全书中的偏移，用于把选区换算成字符偏移
+function renderParagraphHtml(line, offset, className = '') {
+    const classAttr = className ? ` class="${className}"` : '';
+    return line.trim()
+        ? `<p${classAttr} data-offset="${offset}">${renderAnnotatedText(line, offset)}</p>`
+        : `<p data-offset="${offset}"><br></p>`;
+}
+
+// 标注变化后就地重绘当前显示的段落，不重新分页也不改变滚动位置
+function refreshAnnotationMarks() {
+    document.querySelectorAll('#content p[data-offset]').forEach(p => {
+        const text = p.textContent;
+        if (!text) return;
+        p.innerHTML = renderAnnotatedText(text, Number(p.dataset.offset));
+    });
+}
+
+// 从服务端加载标注，返回是否加载成功（服务端读取失败时返回 null）
+function syncAnnotations() {
+    return ipcRenderer.invoke('load-annotations', currentProfile).then(cloudAnnotations => {
+        if (!cloudAnnotations || typeof cloudAnnotations !== 'object') return false;
+        annotations = cloudAnnotations;
+        localStorage.setItem(getStorageKey('annotations'), JSON.stringify(annotations));
+        resolveAnnotationRanges();
+        refreshAnnotationMarks();
+        if (chapterPanelTab === 'notes') renderNotebook();
+        return true;
+    }).catch(err => {
+        console.error('加载标注失败:', err);
+        return false;
+    });
+}
+
+// 修改当前书的标注：先拉取服务端最新数据再修改，避免覆盖其他设备新增的标注
+// 拉取失败时不修改也不保存，返回是否已修改
+async function updateBookAnnotations(fileName, mutate) {
+    if (!await syncAnnotations()) {
+        showNotification('标注同步失败，请稍后重试');
+        return false;
+    }
+    const list = getBookAnnotations(fileName).slice();
+    mutate(list);
+    if (list.length > 0) {
+        annotations[fileName] = list;
+    } else {
+        delete annotations[fileName];
+    }
+    localStorage.setItem(getStorageKey('annotations'), JSON.stringify(annotations));
+    resolveAnnotationRanges();
+    refreshAnnotationMarks();
+    renderNotebook();
+    const success = await ipcRenderer.invoke('save-annotations', annotations, currentProfile)
+        .catch(err => console.error('同步标注失败:', err));
+    if (!success) showNotification('标注同步失败，仅保存在本机');
+    return true;
+}
+
+// 选区边界在全书中的字符偏移；边界不在正文段落内时返回 null
+function getBoundaryOffset(node, offsetInNode) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    const paragraph = element && element.closest('#content p[data-offset]');
+    if (!paragraph) return null;
+    const range = document.createRange();
+    range.setStart(paragraph, 0);
+    range.setEnd(node, offsetInNode);
+    return Number(paragraph.dataset.offset) + range.toString().length;
+}
+
+// 当前选区对应的全书范围，去掉首尾空白
+function getSelectionRange() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+    const range = selection.getRangeAt(0);
+    let start = getBoundaryOffset(range.startContainer, range.startOffset);
+    let end = getBoundaryOffset(range.endContainer, range.endOffset);
+    if (start === null || end === null) return null;
+    while (start < end && /\s/.test(currentBookText[start])) start++;
+    while (end > start && /\s/.test(currentBookText[end - 1])) end--;
+    return end > start ? { start, end } : null;
+}
+
+function createAnnotation(range, color, note = '') {
+    const now = new Date().toISOString();
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        start: range.start,
+        end: range.end,
+        text: currentBookText.slice(range.start, range.end),
+        color: color,
+        note: note,
+        chapterTitle: chapters[findChapterByPosition(range.start)].title,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+async function addHighlight(range, color = 'yellow') {
+    if (!range) {
+        showNotification('请先在正文中选择文字');
+        return;
+    }
+    const annotation = createAnnotation(range, color);
+    if (await updateBookAnnotations(currentFileName, list => list.push(annotation))) {
+        window.getSelection().removeAllRanges();
+    }
+}
+
+async function removeAnnotation(id) {
+    await updateBookAnnotations(currentFileName, list => {
+        const index = list.findIndex(item => item.id === id);
+        if (index !== -1) list.splice(index, 1);
+    });
+}
+
+// 笔记编辑框：传入 id 编辑已有标注，传入 range 为选中文字新建笔记
+function openAnnotationEditor(id, range = null) {
+    const existing = id ? getBookAnnotations().find(item => item.id === id) : null;
+    if (!existing && !range) return;
+
+    const quote = existing ? existing.text : currentBookText.slice(range.start, range.end);
+    let color = existing ? existing.color : 'yellow';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+                <div class="modal-content annotation-editor">
+                    <div class="modal-header">
+                        <h3>${existing ? '编辑笔记' : '添加笔记'}</h3>
+                        <span class="modal-close">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <blockquote class="annotation-quote">${escapeHtml(quote)}</blockquote>
+                        <div class="annotation-colors">
+                            ${Object.keys(ANNOTATION_COLORS).map(key => `
+                                <span class="highlight-swatch annotation-${key}" data-color="${key}" title="${ANNOTATION_COLORS[key]}"></span>`).join('')}
+                        </div>
+                        <textarea class="annotation-note" rows="5" placeholder="写下你的想法..."></textarea>
+                    </div>
+                    <div class="annotation-editor-footer">
+                        ${existing ? '<button class="annotation-delete">删除</button>' : ''}
+                        <button class="annotation-cancel">取消</button>
+                        <button class="annotation-save">保存</button>
+                    </div>
+                </div>
+            `;
+    document.body.appendChild(modal);
+
+    const textarea = modal.querySelector('.annotation-note');
+    textarea.value = existing ? existing.note || '' : '';
+    // 输入框内的按键不触发翻页等快捷键
+    textarea.addEventListener('keydown', e => e.stopPropagation());
+
+    const updateSwatches = () => {
+        modal.querySelectorAll('.highlight-swatch').forEach(swatch => {
+            swatch.classList.toggle('selected', swatch.dataset.color === color);
+        });
+    };
+    modal.querySelectorAll('.highlight-swatch').forEach(swatch => {
+        swatch.addEventListener('click', () => {
+            color = swatch.dataset.color;
+            updateSwatches();
+        });
+    });
+    updateSwatches();
+
+    const close = () => document.body.removeChild(modal);
+    modal.querySelector('.modal-close').addEventListener('click', close);
+    modal.querySelector('.annotation-cancel').addEventListener('click', close);
+    if (existing) {
+        modal.querySelector('.annotation-delete').addEventListener('click', async () => {
+            close();
+            await removeAnnotation(existing.id);
+        });
+    }
+    modal.querySelector('.annotation-save').addEventListener('click', async () => {
+        const note = textarea.value.trim();
+        const saved = existing
+            ? await updateBookAnnotations(currentFileName, list => {
+                const annotation = list.find(item => item.id === existing.id);
+                if (!annotation) return;
+                annotation.color = color;
+                annotation.note = note;
+                annotation.updatedAt = new Date().toISOString();
+            })
+            : await updateBookAnnotations(currentFileName, list => list.push(createAnnotation(range, color, note)));
+        // 同步失败时保留编辑框，写好的笔记不会丢
+        if (!saved) return;
+        close();
+        if (!existing) window.getSelection().removeAllRanges();
+    });
+
+    textarea.focus();
+}
+
+function jumpToAnnotation(id) {
+    const range = annotationRanges.find(item => item.id === id);
+    if (!range) {
+        showNotification('原文已找不到这段文字');
+        return;
+    }
+    showPosition(range.start);
+    saveProgress();
+    updateProgressBar();
+    document.getElementById('chapter-list').classList.add('hidden');
+}
+
+// 本书笔记本：按在书中的位置列出所有高亮和笔记
+function renderNotebook() {
+    const container = document.getElementById('notebook-list');
+    if (!container) return;
+
+    const toolbarHtml = `
+                <div class="notebook-toolbar">
+                    <button onclick="exportBookMarkdown()" title="导出本书的笔记和书签">导出 MD</button>
+                    <button onclick="exportAnnotationsJson()" title="导出所有书的笔记和书签，可再导入">导出 JSON</button>
+                    <button onclick="importAnnotationsJson()">导入</button>
+                    <button onclick="exportAllAnnotations()" title="每本书一个 Markdown 文件，写入书库目录">全部导出</button>
+                </div>`;
+
+    const resolved = new Map(annotationRanges.map(range => [range.id, range]));
+    const list = getBookAnnotations().slice().sort((a, b) => {
+        const rangeA = resolved.get(a.id);
+        const rangeB = resolved.get(b.id);
+        return (rangeA ? rangeA.start : a.start) - (rangeB ? rangeB.start : b.start);
+    });
+    if (list.length === 0) {
+        container.innerHTML = toolbarHtml + '<div class="bookmark-empty">还没有笔记，选中文字后右键即可高亮或添加笔记</div>';
+        return;
+    }
+
+    container.innerHTML = toolbarHtml + list.map(annotation => `
+                <div class="notebook-item${resolved.has(annotation.id) ? '' : ' missing'}" onclick="jumpToAnnotation('${annotation.id}')">
+                    <div class="bookmark-meta">${escapeHtml(annotation.chapterTitle || '')} · ${new Date(annotation.updatedAt || annotation.createdAt).toLocaleString()}</div>
+                    <blockquote class="annotation-quote annotation-${annotation.color}">${escapeHtml(annotation.text)}</blockquote>
+                    ${annotation.note ? `<div class="notebook-note">${escapeHtml(annotation.note)}</div>` : ''}
+                    <button class="bookmark-remove" title="编辑" onclick="event.stopPropagation(); openAnnotationEditor('${annotation.id}');">✎</button>
+                </div>`
+    ).join('');
+}
+
+// 在浏览器中下载生成的文件
+function downloadTextFile(fileName, text, type) {
+    const blob = new Blob([text], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// 导出本书的笔记和书签为 Markdown
+function exportBookMarkdown() {
+    if (getBookAnnotations().length === 0 && getBookBookmarks().length === 0) {
+        showNotification('本书还没有笔记或书签');
+        return;
+    }
+    const markdown = AnnotationExport.buildBookMarkdown(currentFileName, getBookAnnotations(), getBookBookmarks());
+    downloadTextFile(AnnotationExport.getMarkdownFileName(currentFileName), markdown, 'text/markdown');
+}
+
+// 导出所有书的笔记和书签为 JSON（无损，可再导入）
+function exportAnnotationsJson() {
+    const data = AnnotationExport.buildExportJson(annotations, bookmarks);
+    downloadTextFile(`阅读笔记-${AnnotationExport.formatTime(data.exportedAt).slice(0, 10)}.json`,
+        JSON.stringify(data, null, 4), 'application/json');
+}
+
+// 在用户数据目录（网页版为服务端目录）为每本书生成 Markdown 文件
+async function exportAllAnnotations() {
+    try {
+        const result = await ipcRenderer.invoke('export-annotations', currentProfile);
+        if (result.error) throw new Error(result.error);
+        showNotification(`已导出 ${result.files.length} 个文件到 ${result.dir}`);
+    } catch (error) {
+        console.error('导出标注失败:', error);
+        showNotification('导出失败: ' + error.message);
+    }
+}
+
+// 导入 JSON 导出文件，按 id 与现有数据合并
+function importAnnotationsJson() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        if (!file) return;
+        try {
+            const imported = AnnotationExport.parseExportJson(await file.text());
+            // 先拉取服务端最新数据再合并；拉取失败时不导入，以免合并后覆盖服务端
+            const synced = await Promise.all([syncAnnotations(), syncBookmarks()]);
+            if (synced.includes(false)) throw new Error('无法读取服务端的笔记和书签，请稍后重试');
+
+            const annotationResult = AnnotationExport.mergeBookMaps(annotations, imported.annotations);
+            const bookmarkResult = AnnotationExport.mergeBookMaps(bookmarks, imported.bookmarks);
+            annotations = annotationResult.merged;
+            bookmarks = bookmarkResult.merged;
+            localStorage.setItem(getStorageKey('annotations'), JSON.stringify(annotations));
+            localStorage.setItem(getStorageKey('bookmarks'), JSON.stringify(bookmarks));
+
+            resolveAnnotationRanges();
+            refreshAnnotationMarks();
+            renderNotebook();
+            renderBookmarkList();
+
+            const results = await Promise.all([
+                ipcRenderer.invoke('save-annotations', annotations, currentProfile),
+                ipcRenderer.invoke('save-bookmarks', bookmarks, currentProfile)
+            ]);
+            if (results.includes(false)) showNotification('同步失败，导入的数据仅保存在本机');
+            showNotification(`已导入 ${annotationResult.added} 条笔记、${bookmarkResult.added} 个书签`);
+        } catch (error) {
+            console.error('导入标注失败:', error);
+            showNotification('导入失败: ' + error.message);
+        }
+    });
+    input.click();
+}
+
+// ===== 书内查找 =====
+// 在 Worker 中对整本书的全文做匹配，全文只在换书后发送一次；
+// 匹配结果保存为全书字符偏移，跳转后用 <mark class="search-match"> 标出当前匹配
+const FIND_RESULT_LIST_LIMIT = 500; // 结果列表最多显示的条数（上一个/下一个仍可遍历全部匹配）
+const FIND_TIMEOUT = 10000; // 单次查找的最长时间，超时后终止 Worker（回溯严重的正则可能一直算不完）
+let findState = {
+    worker: null,
+    text: null, // Worker 中已加载的全文
+    busy: false, // Worker 正在查找，还没有返回结果
+    timer: null, // 查找超时计时器
+    searchId: 0,
+    pattern: '', // 最近一次查找的正则，用于判断输入是否已变化
+    jumpWhenReady: false, // 结果返回后是否直接跳到当前匹配
+    matches: [],
+    current: -1,
+    truncated: false
+};
+let activeSearchMatch = null; // 当前高亮的匹配 { start, end }
+
+function createSearchWorker() {
+    const workerCode = `
+                let bookText = '';
+
+                self.onmessage = function(e) {
+                    const data = e.data;
+                    if (data.type === 'load') {
+                        bookText = data.text;
+                        return;
+                    }
+
+                    try {
+                        const regex = new RegExp(data.source, data.flags + 'g');
+                        const matches = [];
+                        let match;
+                        while ((match = regex.exec(bookText)) !== null) {
+                            if (match[0].length === 0) {
+                                // 空匹配时手动前进，避免死循环
+                                regex.lastIndex++;
+                                continue;
+                            }
+                            matches.push({ start: match.index, end: match.index + match[0].length });
+                            if (matches.length >= data.maxResults) break;
+                        }
+                        self.postMessage({
+                            searchId: data.searchId,
+                            matches: matches,
+                            truncated: matches.length >= data.maxResults
+                        });
+                    } catch (error) {
+                        self.postMessage({ searchId: data.searchId, error: error.message });
+                    }
+                };
+            `;
+
+    const blob = new Blob([workerCode], { type: 'application/javascript' });
+    const url = URL.createObjectURL(blob);
+    const worker = new Worker(url);
+
+    // 清理 URL 对象
+    URL.revokeObjectURL(url);
+
+    return worker;
+}
+
+function openFindBar() {
+    if (!currentFileName || !currentBookText) {
+        showNotification('请先打开一本书');
+        return;
+    }
+    const findBar = document.getElementById('find-bar');
+    findBar.classList.remove('hidden');
+    const input = document.getElementById('find-input');
+    input.focus();
+    input.select();
+}
+
+function closeFindBar() {
+    document.getElementById('find-bar').classList.add('hidden');
+    if (activeSearchMatch) {
+        activeSearchMatch = null;
+        refreshAnnotationMarks();
+    }
+}
+
+// 换书或退出阅读时清空查找结果，并释放 Worker 中的全文
+function resetFindState() {
+    if (findState.worker) findState.worker.terminate();
+    clearTimeout(findState.timer);
+    findState = { worker: null, text: null, busy: false, timer: null, searchId: 0, pattern: '', jumpWhenReady: false, matches: [], current: -1, truncated: false };
+    activeSearchMatch = null;
+    document.getElementById('find-bar').classList.add('hidden');
+    document.getElementById('find-results').innerHTML = '';
+    document.getElementById('find-count').textContent = '';
+}
+
+// 把输入框内容转成正则表达式源码；普通模式下转义特殊字符
+function getFindPattern() {
+    const query = document.getElementById('find-input').value;
+    if (!query) return null;
+    const useRegex = document.getElementById('find-regex').checked;
+    const ignoreCase = document.getElementById('find-ignore-case').checked;
+    const source = useRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return { source, flags: ignoreCase ? 'i' : '' };
+}
+
+// Worker 一次只能执行一个查找，上一个还没算完时新的查找只能排队，
+// 因此直接终止忙碌的 Worker，下次查找时重新创建并加载全文
+function stopBusySearchWorker() {
+    clearTimeout(findState.timer);
+    findState.timer = null;
+    if (!findState.busy) return;
+    findState.worker.terminate();
+    findState.worker = null;
+    findState.text = null;
+    findState.busy = false;
+}
+
+function runFind(jumpWhenReady = false) {
+    const pattern = getFindPattern();
+    const patternKey = pattern ? `${pattern.source}/${pattern.flags}` : '';
+    // 同一本书、同一个查找条件已经查过（例如回车后延迟查找才触发），无需重复查找
+    if (!jumpWhenReady && patternKey === findState.pattern && findState.text === currentBookText) return;
+    // 同一个条件还在查找中，等结果返回即可
+    if (findState.busy && patternKey === findState.pattern && findState.text === currentBookText) {
+        findState.jumpWhenReady = findState.jumpWhenReady || jumpWhenReady;
+        return;
+    }
+
+    const countLabel = document.getElementById('find-count');
+    stopBusySearchWorker();
+    findState.searchId++;
+    findState.pattern = patternKey;
+    findState.jumpWhenReady = jumpWhenReady;
+
+    if (!pattern) {
+        findState.matches = [];
+        findState.current = -1;
+        countLabel.textContent = '';
+        document.getElementById('find-results').innerHTML = '';
+        return;
+    }
+
+    try {
+        new RegExp(pattern.source, pattern.flags);
+    } catch (error) {
+        countLabel.textContent = '正则有误';
+        return;
+    }
+
+    if (!findState.worker || findState.text !== currentBookText) {
+        if (findState.worker) findState.worker.terminate();
+        findState.worker = createSearchWorker();
+        findState.worker.postMessage({ type: 'load', text: currentBookText });
+        findState.text = currentBookText;
+        findState.worker.onmessage = function (e) {
+            const result = e.data;
+            clearTimeout(findState.timer);
+            findState.busy = false;
+            // 只处理最近一次查找的结果
+            if (result.searchId !== findState.searchId) return;
+            if (result.error) {
+                countLabel.textContent = '查找失败';
+                console.error('查找失败:', result.error);
+                return;
+            }
+            findState.matches = result.matches;
+            findState.truncated = result.truncated;
+            // 默认选中阅读位置之后的第一个匹配
+            const nextIndex = result.matches.findIndex(match => match.start >= readingOffset);
+            findState.current = result.matches.length === 0 ? -1 : Math.max(0, nextIndex);
+            renderFindResults();
+            updateFindCount();
+            if (findState.jumpWhenReady && findState.current !== -1) goToFindMatch(findState.current);
+        };
+    }
+
+    countLabel.textContent = '查找中...';
+    findState.worker.postMessage({
+        type: 'search',
+        searchId: findState.searchId,
+        source: pattern.source,
+        flags: pattern.flags,
+        maxResults: 10000
+    });
+    findState.busy = true;
+    findState.timer = setTimeout(() => {
+        stopBusySearchWorker();
+        findState.matches = [];
+        findState.current = -1;
+        document.getElementById('find-results').innerHTML = '';
+        countLabel.textContent = '查找超时';
+    }, FIND_TIMEOUT);
+}
+
+function updateFindCount() {
+    const total = findState.matches.length;
+    document.getElementById('find-count').textContent = total === 0
+        ? '无结果'
+        : `${findState.current + 1}/${total}${findState.truncated ? '+' : ''}`;
+}
+
+// 结果列表：章节名和匹配处前后的文字
+function renderFindResults() {
+    const container = document.getElementById('find-results');
+    const contextLength = 20;
+    const shown = findState.matches.slice(0, FIND_RESULT_LIST_LIMIT);
+
+    container.innerHTML = shown.map((match, index) => {
+        const before = currentBookText.slice(Math.max(0, match.start - contextLength), match.start);
+        const after = currentBookText.slice(match.end, match.end + contextLength);
+        const chapter = chapters[findChapterByPosition(match.start)];
+        return `
+                <div class="find-result${index === findState.current ? ' active' : ''}" data-index="${index}" onclick="goToFindMatch(${index})">
+                    <div class="find-result-chapter">${escapeHtml(chapter ? chapter.title : '')}</div>
+                    <div class="find-result-context">${escapeHtml(before.replace(/\s+/g, ' '))}<mark>${escapeHtml(currentBookText.slice(match.start, match.end))}</mark>${escapeHtml(after.replace(/\s+/g, ' '))}</div>
+                </div>`;
+    }).join('') + (findState.matches.length > shown.length
+        ? `<div class="find-result-more">仅列出前 ${FIND_RESULT_LIST_LIMIT} 条，可用上一个 / 下一个继续查看</div>`
+        : '');
+}
+
+// 跳转到第 index 个匹配并高亮
+function goToFindMatch(index) {
+    const match = findState.matches[index];
+    if (!match) return;
+    findState.current = index;
+    activeSearchMatch = match;
+
+    showPosition(match.start);
+    refreshAnnotationMarks();
+    saveProgress();
+    updateProgressBar();
+    updateFindCount();
+
+    const container = document.getElementById('find-results');
+    const oldActive = container.querySelector('.find-result.active');
+    if (oldActive) oldActive.classList.remove('active');
+    const newActive = container.querySelector(`.find-result[data-index="${index}"]`);
+    if (newActive) {
+        newActive.classList.add('active');
+        newActive.scrollIntoView({ block: 'nearest' });
+    }
+
+    // 滚动模式下把匹配处滚到视口中间
+    const mark = document.querySelector('#content mark.search-match');
+    if (mark && pageMode === 'scroll') mark.scrollIntoView({ block: 'center' });
+}
+
+function findNext(step = 1) {
+    const total = findState.matches.length;
+    if (total === 0) return;
+    goToFindMatch((findState.current + step + total) % total);
+}
+
+// 输入时延迟查找，避免每输入一个字都扫描全书
+const debouncedFind = debounce(runFind, 300);
+
+// 查找框按键：回车下一个，Shift+回车上一个，Esc 关闭；不触发阅读区的快捷键
+function handleFindKeydown(e) {
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+        const pattern = getFindPattern();
+        if (!pattern || `${pattern.source}/${pattern.flags}` !== findState.pattern) {
+            // 输入还没查找过（延迟查找尚未执行），立即查找并跳到结果
+            runFind(true);
+        } else if (!activeSearchMatch) {
+            goToFindMatch(findState.current);
+        } else {
+            findNext(e.shiftKey ? -1 : 1);
+        }
         e.preventDefault();
-    }
-    // T键 - 切换主题
-    else if (e.key === 't' || e.key === 'T') {
-        toggleTheme();
+    } else if (e.key === 'Escape') {
+        closeFindBar();
         e.preventDefault();
     }
-    // ESC键 - 返回主页 (已在全局监听器中处理)
-    // else if (e.key === 'Escape') {
-    //     backToHome();
-    //     e.preventDefault();
-    // }
-});
-
-let isChapterListDirty = true;
-
-function updateChapterList() {
-    if (!isChapterListDirty) return;
+}
 
-    const chapterList = document.getElementById('chapter-list');
-    const headerHtml = `
-                <div class="chapter-list-header">
-                    <h3>目录</h3>
-                    <button class="close-btn" onclick="toggleChapterList()">×</button>
-                </div>
-            `;
+// 目录末尾的"疑似误判"区域，列出被过滤掉的候选标题，默认折叠
+function renderRejectedHeadings() {
+    if (!rejectedHeadings || rejectedHeadings.length === 0) return '';
 
-    // 优化：如果章节太多，分批渲染或者简化渲染
-    // 这里暂时保持原样，但标记为已更新
-    const listHtml = chapters.map((chapter, index) =>
-        `<div class="chapter-item ${index === currentChapter ? 'active' : ''}" 
-                      onclick="jumpToChapter(${index}); toggleChapterList();">${chapter.title}</div>`
+    const itemsHtml = rejectedHeadings.map((heading, index) => `
+                <div class="rejected-heading-item" title="${escapeHtml((heading.reasons || []).join('、'))}">
+                    <span class="rejected-heading-title">${escapeHtml(heading.title)}</span>
+                    <button class="rejected-heading-restore" onclick="event.stopPropagation(); restoreRejectedHeading(${index});">恢复</button>
+                </div>`
     ).join('');
 
-    chapterList.innerHTML = headerHtml + '<div class="chapter-list-content">' + listHtml + '</div>';
-    isChapterListDirty = false;
+    return `
+                <details class="rejected-headings">
+                    <summary>疑似误判的标题 (${rejectedHeadings.length})</summary>
+                    ${itemsHtml}
+                </details>`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // 修改 loadHistoryRecord 和 searchFile 函数，支持多本书的阅读进度
@@ -1563,18 +3765,122 @@ function loadHistoryRecord(fileName, lastPosition, lastChapter, filePath = null)
     window.pendingPosition = lastPosition;
     window.pendingChapter = lastChapter;
 
-    // 如果有完整路径，直接尝试加载，不再搜索
-    if (filePath) {
-        console.log('使用保存的路径直接加载:', filePath);
-        loadAndRenderBook(filePath, fileName, lastPosition, lastChapter).catch(err => {
-            console.warn('直接加载失败，尝试搜索:', err);
-            // 如果直接加载失败（可能文件移动了），回退到搜索逻辑
-            startSearch(fileName);
-        });
+    openHistoryBook(fileName, filePath, lastPosition, lastChapter);
+}
+
+// 打开历史记录中的书：保存的路径不存在时按文件指纹在书库中查找，改名或移动后也能找回并改绑记录；
+// 没有路径和指纹的旧记录才按文件名搜索
+async function openHistoryBook(fileName, filePath, lastPosition, lastChapter) {
+    const history = JSON.parse(localStorage.getItem(getStorageKey('readingHistory'))) || [];
+    const record = history.find(item => item.fileName === fileName);
+    const fingerprint = record && record.fingerprint;
+    if (!filePath && !fingerprint) {
+        startSearch(fileName);
+        return;
+    }
+
+    document.getElementById('loading-overlay').style.display = 'flex';
+    document.querySelector('.loading-message').textContent = `正在查找文件: ${fileName}...`;
+
+    // 原文件所在目录也要找，可能只是在原处改了名
+    const searchPaths = [filePath ? filePath.replace(/[\\/][^\\/]*$/, '') : '', baseDir].concat(searchDirs);
+    let foundPath = null;
+    try {
+        foundPath = await ipcRenderer.invoke('locate-book', filePath, fingerprint || null, searchPaths);
+    } catch (error) {
+        console.error('查找文件失败:', error);
+    }
+
+    if (!foundPath) {
+        startSearch(fileName);
         return;
     }
 
-    startSearch(fileName);
+    let bookName = fileName;
+    if (foundPath !== filePath) {
+        bookName = await rebindHistoryRecord(fileName, foundPath);
+        showNotification(bookName === fileName ? `已找到移动后的文件: ${foundPath}` : `已找到改名后的文件: ${bookName}`);
+    }
+    await loadAndRenderBook(foundPath, bookName, lastPosition, lastChapter);
+}
+
+// 把历史记录改绑到新位置的文件；文件名变了时，进度、书签、标注、书架和本书章节规则一并改到新文件名下
+// 新文件名下已有的数据保留不动。返回新的文件名
+async function rebindHistoryRecord(fileName, newPath) {
+    const newName = newPath.split(/[\\/]/).pop();
+    const historyKey = getStorageKey('readingHistory');
+    let history = JSON.parse(localStorage.getItem(historyKey)) || [];
+    const index = history.findIndex(item => item.fileName === fileName);
+    if (index !== -1) {
+        const record = { ...history[index], fileName: newName, filePath: newPath };
+        history = history.filter(item => item.fileName !== fileName && item.fileName !== newName);
+        history.splice(Math.min(index, history.length), 0, record);
+    }
+    localStorage.setItem(historyKey, JSON.stringify(history));
+    ipcRenderer.invoke('save-history', history, currentProfile).catch(err => console.error('同步历史记录失败:', err));
+    if (newName === fileName) return newName;
+
+    ipcRenderer.invoke('save-deleted-history', [fileName], currentProfile).catch(err => console.error('同步删除记录失败:', err));
+    ipcRenderer.invoke('remove-from-deleted-history', [newName], currentProfile).catch(err => console.error('移除删除记录失败:', err));
+
+    const moveKey = (map) => {
+        if (!map || !(fileName in map)) return false;
+        if (!(newName in map)) map[newName] = map[fileName];
+        delete map[fileName];
+        return true;
+    };
+
+    ['allBookProgress', 'restoredHeadings'].forEach(key => {
+        const storageKey = getStorageKey(key);
+        const map = JSON.parse(localStorage.getItem(storageKey)) || {};
+        if (moveKey(map)) localStorage.setItem(storageKey, JSON.stringify(map));
+    });
+
+    // 没能拉到服务端数据时不改，以免用本机的旧数据覆盖服务端
+    const [bookmarksSynced, annotationsSynced] = await Promise.all([syncBookmarks(), syncAnnotations()]);
+    if (bookmarksSynced && moveKey(bookmarks)) {
+        localStorage.setItem(getStorageKey('bookmarks'), JSON.stringify(bookmarks));
+        ipcRenderer.invoke('save-bookmarks', bookmarks, currentProfile).catch(err => console.error('同步书签失败:', err));
+    }
+    if (annotationsSynced && moveKey(annotations)) {
+        localStorage.setItem(getStorageKey('annotations'), JSON.stringify(annotations));
+        ipcRenderer.invoke('save-annotations', annotations, currentProfile).catch(err => console.error('同步标注失败:', err));
+    }
+
+    await updateBookshelf(data => moveKey(data.books));
+
+    const configUpdates = {};
+    ['bookChapterRules', 'bookEncodings'].map(getProfileConfigKey).forEach(key => {
+        const map = { ...(globalConfig[key] || {}) };
+        if (moveKey(map)) {
+            globalConfig[key] = map;
+            configUpdates[key] = map;
+        }
+    });
+    if (Object.keys(configUpdates).length > 0) {
+        ipcRenderer.invoke('save-config', configUpdates).catch(err => console.error('保存配置失败:', err));
+    }
+    return newName;
+}
+
+// 记录书的文件指纹（大小和首尾哈希）到历史记录，文件改名或移动后据此找回
+async function rememberFileFingerprint(fileName, filePath) {
+    let fingerprint = null;
+    try {
+        fingerprint = await ipcRenderer.invoke('get-file-fingerprint', filePath);
+    } catch (error) {
+        console.error('获取文件指纹失败:', error);
+    }
+    if (!fingerprint) return;
+
+    const historyKey = getStorageKey('readingHistory');
+    const history = JSON.parse(localStorage.getItem(historyKey)) || [];
+    const record = history.find(item => item.fileName === fileName);
+    if (!record || (record.fingerprint && record.fingerprint.size === fingerprint.size &&
+        record.fingerprint.hash === fingerprint.hash)) return;
+    record.fingerprint = fingerprint;
+    localStorage.setItem(historyKey, JSON.stringify(history));
+    ipcRenderer.invoke('save-history', history, currentProfile).catch(err => console.error('同步历史记录失败:', err));
 }
 
 function startSearch(fileName) {
@@ -1699,9 +4005,24 @@ function addToHistory(record) {
         record.timestamp = currentTimestamp;
     }
 
+    // 当前书的元数据随记录保存，主页卡片据此显示书名、作者和字数
+    if (record.fileName === currentFileName && currentBookMetadata) {
+        record.meta = currentBookMetadata;
+    }
+
     // 添加章节和页面总数信息，用于计算进度
     if (chapters.length > 0) {
         record.totalChapters = chapters.length;
+        // 最后一章的标题用于下次打开时判断书是否更新了
+        if (record.fileName === currentFileName) {
+            record.lastChapterTitle = chapters[chapters.length - 1].title;
+            if (newChapterIndex === -1) {
+                delete record.firstNewChapter;
+                delete record.newChapters;
+            } else {
+                record.newChapters = chapters.length - newChapterIndex;
+            }
+        }
     } else if (currentContent) {
         record.totalPages = Math.ceil(currentContent.length / wordsPerPage);
     }
@@ -1733,6 +4054,8 @@ function addToHistory(record) {
     allBookProgress[record.fileName] = {
         page: record.lastPosition,
         chapter: record.chapter || 0,
+        offset: record.offset,
+        anchor: record.anchor,
         lastRead: new Date().toISOString(),
         hasChapters: chapters.length > 0,
         totalChapters: chapters.length > 0 ? chapters.length : 0,
@@ -1741,6 +4064,52 @@ function addToHistory(record) {
     localStorage.setItem(progressKey, JSON.stringify(allBookProgress));
 }
 
+// 最近阅读的筛选和排序：status 为阅读状态（none 表示未标记），sort 为 recent / rating / title / status
+let historyStatusFilter = localStorage.getItem('historyStatusFilter') || '';
+let historySortMode = localStorage.getItem('historySortMode') || 'recent';
+
+function setHistoryStatusFilter(status) {
+    historyStatusFilter = status;
+    localStorage.setItem('historyStatusFilter', status);
+    updateHistoryDisplay();
+}
+
+function setHistorySortMode(mode) {
+    historySortMode = mode;
+    localStorage.setItem('historySortMode', mode);
+    updateHistoryDisplay();
+}
+
+function matchesStatusFilter(fileName, filter) {
+    if (!filter) return true;
+    const status = getBookOrganization(fileName).status;
+    return filter === 'none' ? !status : status === filter;
+}
+
+// 比较两本书（{ fileName, title }）的先后；recent 保持原有顺序，其他方式相同时也保持原有顺序
+function compareBooksBy(mode, a, b) {
+    const infoA = getBookOrganization(a.fileName);
+    const infoB = getBookOrganization(b.fileName);
+    if (mode === 'rating') return infoB.rating - infoA.rating;
+    if (mode === 'status') {
+        const order = Object.keys(READING_STATUSES);
+        const rank = status => status ? order.indexOf(status) : order.length;
+        return rank(infoA.status) - rank(infoB.status);
+    }
+    if (mode === 'title') return a.title.localeCompare(b.title, 'zh-CN');
+    return 0;
+}
+
+function renderStatusFilterOptions(selected) {
+    return [['', '全部状态'], ...Object.entries(READING_STATUSES), ['none', '未标记']]
+        .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`).join('');
+}
+
+function renderSortOptions(selected, defaultLabel) {
+    return [['recent', defaultLabel], ['rating', '按评分'], ['status', '按状态'], ['title', '按书名']]
+        .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`).join('');
+}
+
 // 修改历史记录显示
 function updateHistoryDisplay() {
     const historyKey = getStorageKey('readingHistory');
@@ -1765,15 +4134,27 @@ function updateHistoryDisplay() {
         historyHtml += '<div class="history-header">';
         historyHtml += `<h2>${currentProfile === 'hidden' ? '隐私阅读' : '最近阅读'}</h2>`;
         if (history.length > 0) {
-            historyHtml += '<button onclick="clearHistory()" class="clear-history-btn">清空历史</button>';
+            historyHtml += `<div class="history-controls">
+                        <select onchange="setHistoryStatusFilter(this.value)">${renderStatusFilterOptions(historyStatusFilter)}</select>
+                        <select onchange="setHistorySortMode(this.value)">${renderSortOptions(historySortMode, '最近阅读')}</select>
+                        <button onclick="clearHistory()" class="clear-history-btn">清空历史</button>
+                    </div>`;
         }
         historyHtml += '</div>';
 
+        const visibleHistory = history
+            .filter(record => record.fileName && matchesStatusFilter(record.fileName, historyStatusFilter))
+            .map(record => ({ record, fileName: record.fileName, title: BookMetadata.getDisplayTitle(record.fileName, record.meta) }))
+            .sort((a, b) => compareBooksBy(historySortMode, a, b))
+            .map(item => item.record);
+
         if (history.length === 0) {
             historyHtml += '<p class="no-history">暂无阅读记录</p>';
+        } else if (visibleHistory.length === 0) {
+            historyHtml += '<p class="no-history">没有符合条件的书</p>';
         } else {
             historyHtml += '<div class="history-items">';
-            history.forEach(record => {
+            visibleHistory.forEach(record => {
                 // 再次检查文件名，确保安全
                 if (!record.fileName) return;
 
@@ -1804,6 +4185,10 @@ function updateHistoryDisplay() {
                     }
                 }
 
+                const summary = BookMetadata.formatSummary(record.meta, record.fileName);
+                const bookTags = renderBookTags(record.fileName);
+                const review = getBookOrganization(record.fileName).review;
+
                 // 确保 filePath 被正确转义和传递
                 const filePathArg = record.filePath ? `'${record.filePath.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'` : 'null';
 
@@ -1812,8 +4197,11 @@ function updateHistoryDisplay() {
                                 data-filename="${record.fileName}"
                                 onclick="loadHistoryRecord('${record.fileName}', ${record.lastPosition}, ${record.chapter || 0}, ${filePathArg})"
                                 oncontextmenu="showHistoryContextMenu(event, '${record.fileName}'); return false;">
-                                <div class="history-info">
-                                    <div class="history-title">${record.fileName}</div>
+                                <div class="history-info"${record.meta && record.meta.synopsis ? ` title="${escapeHtml(record.meta.synopsis)}"` : ''}>
+                                    <div class="history-title">${escapeHtml(BookMetadata.getDisplayTitle(record.fileName, record.meta))}${record.newChapters > 0 ? `<span class="new-chapters-badge">新增 ${record.newChapters} 章</span>` : ''}</div>
+                                    ${summary ? `<div class="history-meta">${escapeHtml(summary)}</div>` : ''}
+                                    ${bookTags ? `<div class="book-tags">${bookTags}</div>` : ''}
+                                    ${review ? `<div class="history-review">“${escapeHtml(review)}”</div>` : ''}
                                     <div class="history-date">最后阅读: ${lastReadDate}</div>
                                     <div class="history-progress">${progressDisplay}</div>
                                 </div>
@@ -1884,6 +4272,9 @@ function showHistoryContextMenu(event, fileName) {
                 <div class="context-menu-item" onclick="deleteHistoryRecord('${fileName}')">
                     删除记录
                 </div>
+                <div class="context-menu-item" onclick="openBookOrganizer('${fileName}', updateHistoryDisplay)">
+                    状态、评分与书架
+                </div>
                 <div class="context-menu-item" onclick="openFileLocation('${fileName}')">
                     打开文件所在位置
                 </div>
@@ -1924,6 +4315,292 @@ function showHistoryContextMenu(event, fileName) {
     });
 }
 
+// 书架和标签：独立于文件夹的整理方式，一本书可以放进多个书架、打任意标签；同时记录阅读状态、评分和短评
+// { shelves: [书架名, ...], books: { 书名: { shelves, tags, status, rating, review, statusUpdatedAt } } }，按 profile 保存在服务端
+const READING_STATUSES = { want: '想读', reading: '在读', finished: '读完', dropped: '弃坑' };
+
+let bookshelf = normalizeBookshelf(JSON.parse(localStorage.getItem(getStorageKey('bookshelf'))));
+
+function normalizeBookshelf(data) {
+    return {
+        shelves: data && Array.isArray(data.shelves) ? data.shelves : [],
+        books: data && data.books && typeof data.books === 'object' ? data.books : {}
+    };
+}
+
+function getBookOrganization(fileName) {
+    const entry = bookshelf.books[fileName] || {};
+    return {
+        shelves: entry.shelves || [],
+        tags: entry.tags || [],
+        status: READING_STATUSES[entry.status] ? entry.status : '',
+        rating: entry.rating || 0,
+        review: entry.review || ''
+    };
+}
+
+// 所有书用过的标签，常用的排在前面
+function getAllTags() {
+    const counts = {};
+    Object.values(bookshelf.books).forEach(entry => {
+        (entry.tags || []).forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        });
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+}
+
+// 从服务端加载书架，返回是否加载成功（服务端读取失败时返回 null）
+function syncBookshelf() {
+    return ipcRenderer.invoke('load-bookshelf', currentProfile).then(cloudBookshelf => {
+        if (!cloudBookshelf || typeof cloudBookshelf !== 'object') return false;
+        bookshelf = normalizeBookshelf(cloudBookshelf);
+        localStorage.setItem(getStorageKey('bookshelf'), JSON.stringify(bookshelf));
+        return true;
+    }).catch(err => {
+        console.error('加载书架失败:', err);
+        return false;
+    });
+}
+
+// 修改书架：先拉取服务端最新数据再修改，避免覆盖其他设备的改动
+// 拉取失败时不修改也不保存，返回是否已修改
+async function updateBookshelf(mutate) {
+    if (!await syncBookshelf()) {
+        showNotification('书架同步失败，请稍后重试');
+        return false;
+    }
+    mutate(bookshelf);
+    Object.keys(bookshelf.books).forEach(fileName => {
+        const entry = bookshelf.books[fileName];
+        if ((entry.shelves || []).length === 0 && (entry.tags || []).length === 0 &&
+            !entry.status && !entry.rating && !entry.review) delete bookshelf.books[fileName];
+    });
+    localStorage.setItem(getStorageKey('bookshelf'), JSON.stringify(bookshelf));
+    const success = await ipcRenderer.invoke('save-bookshelf', bookshelf, currentProfile)
+        .catch(err => console.error('同步书架失败:', err));
+    if (!success) showNotification('书架同步失败，仅保存在本机');
+    return true;
+}
+
+// 标签输入：逗号、顿号或空格分隔，去掉重复
+function parseTags(text) {
+    return [...new Set(text.split(/[,，、\s]+/).map(tag => tag.trim()).filter(Boolean))];
+}
+
+// 修改一本书的状态；状态没变时不保存
+async function setBookStatus(fileName, status) {
+    if (getBookOrganization(fileName).status === status) return false;
+    return updateBookshelf(data => {
+        const entry = data.books[fileName] || (data.books[fileName] = {});
+        entry.status = status;
+        entry.statusUpdatedAt = new Date().toISOString();
+    });
+}
+
+// 打开一本书时，没有状态或「想读」的书改为「在读」
+function markBookReading(fileName) {
+    const status = getBookOrganization(fileName).status;
+    if (!status || status === 'want') {
+        setBookStatus(fileName, 'reading').catch(err => console.error('更新阅读状态失败:', err));
+    }
+}
+
+// 翻到全书最后一页时标记为「读完」
+function markBookFinished() {
+    if (!currentFileName || getBookOrganization(currentFileName).status === 'finished') return;
+    const title = getBookDisplayTitle();
+    setBookStatus(currentFileName, 'finished')
+        .then(updated => {
+            if (updated) showNotification(`《${title}》已标记为读完`);
+        })
+        .catch(err => console.error('更新阅读状态失败:', err));
+}
+
+function renderRatingStars(rating) {
+    return rating ? '★'.repeat(rating) + '☆'.repeat(5 - rating) : '';
+}
+
+// 书的状态、评分、书架和标签，显示在历史卡片和书库列表中
+function renderBookTags(fileName) {
+    const info = getBookOrganization(fileName);
+    return (info.status ? `<span class="book-tag book-status-tag status-${info.status}">${READING_STATUSES[info.status]}</span>` : '') +
+        (info.rating ? `<span class="book-rating">${renderRatingStars(info.rating)}</span>` : '') +
+        info.shelves.map(shelf => `<span class="book-tag book-shelf-tag">${escapeHtml(shelf)}</span>`).join('') +
+        info.tags.map(tag => `<span class="book-tag">#${escapeHtml(tag)}</span>`).join('');
+}
+
+// 设置一本书的阅读状态、评分、短评、书架和标签；保存后调用 onSaved 刷新所在的列表
+function openBookOrganizer(fileName, onSaved) {
+    const current = getBookOrganization(fileName);
+    const shelves = bookshelf.shelves.slice();
+    const selected = new Set(current.shelves);
+    const removed = new Set();
+    let status = current.status;
+    let rating = current.rating;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+                <div class="modal-content book-organizer">
+                    <div class="modal-header">
+                        <h3>状态、评分与书架</h3>
+                        <span class="modal-close">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div class="organizer-book">${escapeHtml(BookMetadata.getDisplayTitle(fileName))}</div>
+                        <div class="organizer-label">阅读状态</div>
+                        <div class="organizer-statuses">
+                            ${Object.keys(READING_STATUSES).map(key => `<span class="organizer-status" data-status="${key}">${READING_STATUSES[key]}</span>`).join('')}
+                        </div>
+                        <div class="organizer-label">评分</div>
+                        <div class="organizer-rating">
+                            ${[1, 2, 3, 4, 5].map(value => `<span class="organizer-star" data-rating="${value}">★</span>`).join('')}
+                        </div>
+                        <textarea class="organizer-review" rows="3" maxlength="500" placeholder="写一句短评（可选）"></textarea>
+                        <div class="organizer-label">书架</div>
+                        <div class="organizer-shelves"></div>
+                        <div class="organizer-new-shelf">
+                            <input type="text" class="organizer-shelf-input" placeholder="新建书架，如：追更中" />
+                            <button class="organizer-add-shelf">添加</button>
+                        </div>
+                        <div class="organizer-label">标签（用逗号或空格分隔）</div>
+                        <input type="text" class="organizer-tags-input" placeholder="如：修仙 待读" />
+                        <div class="organizer-tag-suggestions"></div>
+                    </div>
+                    <div class="organizer-footer">
+                        <button class="organizer-cancel">取消</button>
+                        <button class="organizer-save">保存</button>
+                    </div>
+                </div>
+            `;
+    document.body.appendChild(modal);
+
+    const shelfBox = modal.querySelector('.organizer-shelves');
+    const shelfInput = modal.querySelector('.organizer-shelf-input');
+    const tagsInput = modal.querySelector('.organizer-tags-input');
+    const suggestionBox = modal.querySelector('.organizer-tag-suggestions');
+    const reviewInput = modal.querySelector('.organizer-review');
+    tagsInput.value = current.tags.join(' ');
+    reviewInput.value = current.review;
+    // 输入框内的按键不触发翻页等快捷键
+    [shelfInput, tagsInput, reviewInput].forEach(input => input.addEventListener('keydown', e => e.stopPropagation()));
+
+    // 状态和评分再次点击当前值可以取消
+    const renderStatusAndRating = () => {
+        modal.querySelectorAll('.organizer-status').forEach(item => {
+            item.classList.toggle('selected', item.dataset.status === status);
+        });
+        modal.querySelectorAll('.organizer-star').forEach(star => {
+            star.classList.toggle('selected', parseInt(star.dataset.rating, 10) <= rating);
+        });
+    };
+    modal.querySelectorAll('.organizer-status').forEach(item => {
+        item.addEventListener('click', () => {
+            status = status === item.dataset.status ? '' : item.dataset.status;
+            renderStatusAndRating();
+        });
+    });
+    modal.querySelectorAll('.organizer-star').forEach(star => {
+        star.addEventListener('click', () => {
+            const value = parseInt(star.dataset.rating, 10);
+            rating = rating === value ? 0 : value;
+            renderStatusAndRating();
+        });
+    });
+    renderStatusAndRating();
+
+    const renderShelves = () => {
+        shelfBox.innerHTML = shelves.length === 0
+            ? '<span class="organizer-empty">还没有书架</span>'
+            : shelves.map(shelf => `
+                <span class="organizer-shelf${selected.has(shelf) ? ' selected' : ''}" data-shelf="${escapeHtml(shelf)}">
+                    ${escapeHtml(shelf)}<span class="organizer-shelf-delete" title="删除书架">×</span>
+                </span>`).join('');
+    };
+    shelfBox.addEventListener('click', e => {
+        const chip = e.target.closest('.organizer-shelf');
+        if (!chip) return;
+        const shelf = chip.dataset.shelf;
+        if (e.target.classList.contains('organizer-shelf-delete')) {
+            if (!confirm(`删除书架「${shelf}」？书架里的书不会被删除。`)) return;
+            shelves.splice(shelves.indexOf(shelf), 1);
+            selected.delete(shelf);
+            removed.add(shelf);
+        } else if (selected.has(shelf)) {
+            selected.delete(shelf);
+        } else {
+            selected.add(shelf);
+        }
+        renderShelves();
+    });
+
+    const addShelf = () => {
+        const name = shelfInput.value.trim();
+        if (!name) return;
+        if (!shelves.includes(name)) shelves.push(name);
+        selected.add(name);
+        removed.delete(name);
+        shelfInput.value = '';
+        renderShelves();
+    };
+    modal.querySelector('.organizer-add-shelf').addEventListener('click', addShelf);
+    shelfInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') addShelf();
+    });
+
+    // 点击已有标签加入输入框
+    const renderSuggestions = () => {
+        const tags = parseTags(tagsInput.value);
+        suggestionBox.innerHTML = getAllTags().filter(tag => !tags.includes(tag)).slice(0, 20)
+            .map(tag => `<span class="book-tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</span>`).join('');
+    };
+    suggestionBox.addEventListener('click', e => {
+        const chip = e.target.closest('.book-tag');
+        if (!chip) return;
+        tagsInput.value = [...parseTags(tagsInput.value), chip.dataset.tag].join(' ');
+        renderSuggestions();
+    });
+    tagsInput.addEventListener('input', renderSuggestions);
+
+    renderShelves();
+    renderSuggestions();
+
+    const close = () => document.body.removeChild(modal);
+    modal.querySelector('.modal-close').addEventListener('click', close);
+    modal.querySelector('.organizer-cancel').addEventListener('click', close);
+    modal.querySelector('.organizer-save').addEventListener('click', async () => {
+        const tags = parseTags(tagsInput.value);
+        const review = reviewInput.value.trim();
+        const saved = await updateBookshelf(data => {
+            data.shelves = data.shelves.filter(shelf => !removed.has(shelf));
+            shelves.forEach(shelf => {
+                if (!data.shelves.includes(shelf)) data.shelves.push(shelf);
+            });
+            if (removed.size > 0) {
+                Object.values(data.books).forEach(entry => {
+                    entry.shelves = (entry.shelves || []).filter(shelf => !removed.has(shelf));
+                });
+            }
+            const entry = data.books[fileName] || {};
+            const statusChanged = (entry.status || '') !== status;
+            data.books[fileName] = {
+                ...entry,
+                shelves: [...selected],
+                tags,
+                status,
+                rating,
+                review,
+                statusUpdatedAt: statusChanged ? new Date().toISOString() : entry.statusUpdatedAt
+            };
+        });
+        // 同步失败时保留编辑框
+        if (!saved) return;
+        close();
+        if (onSaved) onSaved();
+    });
+}
+
 // 添加管理搜索路径的函数
 function manageSearchPaths() {
     // 创建一个模态对话框
@@ -2172,6 +4849,11 @@ async function selectCustomPath() {
     return null;
 }
 
+// 当前书显示用的书名：优先使用元数据中的书名
+function getBookDisplayTitle() {
+    return BookMetadata.getDisplayTitle(currentFileName, currentBookMetadata);
+}
+
 // 更新进度条
 function updateProgressBar() {
     let percentage = 0;
@@ -2191,27 +4873,9 @@ function updateProgressBar() {
             percentage = 0;
         }
     } else {
-        // 如果有章节，计算整体进度
-        let totalCharsRead = 0;
-        let totalChars = 0;
-
-        // 计算所有已读章节的字符数
-        for (let i = 0; i < currentChapter; i++) {
-            totalCharsRead += chapters[i].content.length;
-        }
-
-        // 加上当前章节已读的字符数
-        if (chapters[currentChapter]) {
-            totalCharsRead += Math.min(
-                currentPage * wordsPerPage,
-                chapters[currentChapter].content.length
-            );
-        }
-
-        // 计算所有章节的总字符数
-        for (let i = 0; i < chapters.length; i++) {
-            totalChars += chapters[i].content.length;
-        }
+        // 如果有章节，按全文字符偏移计算整体进度（各章内容首尾相接）
+        const totalCharsRead = readingOffset;
+        const totalChars = getBookLength();
 
         // 计算百分比
         if (totalChars > 0) {
@@ -2221,18 +4885,19 @@ function updateProgressBar() {
 
     // 更新进度条和文本
     document.getElementById('progress-bar').style.width = `${Math.min(percentage, 100)}%`;
-    document.getElementById('progress-percentage').textContent = `${Math.min(Math.round(percentage), 100)}%`;
+    const volumeLabel = getVolumeProgressLabel(currentChapter);
+    document.getElementById('progress-percentage').textContent = `${Math.min(Math.round(percentage), 100)}%` + (volumeLabel ? ` · ${volumeLabel}` : '');
 
     // 更新标题显示当前章节或页码
     if (chapters.length > 0 && chapters[currentChapter]) {
         const chapterTitle = chapters[currentChapter].title;
-        const titleText = `${currentFileName.replace('.txt', '')} - ${chapterTitle}`;
+        const titleText = `${getBookDisplayTitle()} - ${chapterTitle}`;
         document.getElementById('book-title').textContent = titleText;
         const mobileTitle = document.getElementById('mobile-book-title');
         if (mobileTitle) mobileTitle.textContent = titleText;
     } else if (currentContent && currentContent.length > 0) {
         // 无章节时显示页码
-        const titleText = `${currentFileName.replace('.txt', '')} - 第${currentPage + 1}/${currentContent.length}页`;
+        const titleText = `${getBookDisplayTitle()} - 第${currentPage + 1}/${currentContent.length}页`;
         document.getElementById('book-title').textContent = titleText;
         const mobileTitle = document.getElementById('mobile-book-title');
         if (mobileTitle) mobileTitle.textContent = titleText;
@@ -2241,8 +4906,8 @@ function updateProgressBar() {
 
 // 修改showPage函数以更新进度条
 const originalShowPage = showPage;
-showPage = function (pageNum, chapterIndex) {
-    originalShowPage(pageNum, chapterIndex);
+showPage = function (pageNum, chapterIndex, options) {
+    originalShowPage(pageNum, chapterIndex, options);
     updateProgressBar();
 }
 
@@ -2267,30 +4932,263 @@ document.getElementById('page-turn-mode').addEventListener('change', function (e
         content.style.maxHeight = '800px';
         content.classList.add('scroll-mode');
 
-        // 隐藏翻页按钮
-        document.querySelector('.navigation-buttons').style.display = 'none';
+        // 隐藏翻页按钮
+        document.querySelector('.navigation-buttons').style.display = 'none';
+
+        // 显示所有内容
+        showAllContent();
+    } else {
+        // 切换回分页模式
+        disconnectScrollObservers();
+        content.style.overflowY = 'hidden';
+        content.style.maxHeight = 'none';
+        content.classList.remove('scroll-mode');
+
+        // 显示翻页按钮
+        document.querySelector('.navigation-buttons').style.display = 'flex';
+
+        if (chapters.length > 0) {
+            // 有章节时，按滚动时记录的字符偏移定位到对应页
+            showPosition(readingOffset);
+        } else {
+            // 无章节时，显示当前页
+            const totalPages = currentContent.length;
+            showTextPage(currentPage, totalPages);
+        }
+    }
+});
+
+// ===== 滚动模式：只渲染阅读位置附近的一段正文 =====
+// 大文件（或者单章很长）全部渲染会卡死页面。每章按 SCROLL_BLOCK_SIZE 个字符划分成若干块，在段落边界断开，
+// 只保留阅读位置前后几块在 DOM 中；首尾各放一个哨兵元素，接近时加载相邻的块，超过上限时移除离视口最远的块
+const SCROLL_BLOCK_SIZE = 4000;
+const SCROLL_WINDOW_BEFORE = 2;
+const SCROLL_WINDOW_AFTER = 3;
+const SCROLL_WINDOW_MAX = 10;
+let scrollEdgeObserver = null; // 监听首尾哨兵
+let scrollBlockObserver = null; // 跟踪视口顶部所在的块
+let scrollTopBlock = null; // 视口顶部所在的块元素
+
+function disconnectScrollObservers() {
+    if (scrollEdgeObserver) scrollEdgeObserver.disconnect();
+    if (scrollBlockObserver) scrollBlockObserver.disconnect();
+    scrollEdgeObserver = null;
+    scrollBlockObserver = null;
+    scrollTopBlock = null;
+}
+
+// 第 k 块的起点：从章首按固定长度往后数，再挪到下一段的开头；
+// 起点只取决于章节和 k，向前、向后加载时得到的分块一致
+function getScrollBlockStart(chapterIndex, k) {
+    const chapter = chapters[chapterIndex];
+    const chapterStart = chapter.position || 0;
+    const nominal = chapterStart + k * SCROLL_BLOCK_SIZE;
+    if (k === 0) return chapterStart;
+    if (nominal >= chapter.end) return chapter.end;
+    if (currentBookText[nominal - 1] === '\n') return nominal;
+    const lineEnd = currentBookText.indexOf('\n', nominal);
+    return lineEnd === -1 || lineEnd + 1 > chapter.end ? chapter.end : lineEnd + 1;
+}
+
+// 章内包含 offset 的块：{ chapter, start, end }（全文偏移，含头不含尾）
+// 超长的段落会让相邻几个起点重合，取最后一个不超过 offset 的起点和第一个更大的起点
+function getScrollBlockAt(chapterIndex, offset) {
+    const chapter = chapters[chapterIndex];
+    const chapterStart = chapter.position || 0;
+    let k = Math.max(0, Math.floor((offset - chapterStart) / SCROLL_BLOCK_SIZE));
+    while (k > 0 && getScrollBlockStart(chapterIndex, k) > offset) k--;
+    const start = getScrollBlockStart(chapterIndex, k);
+    let end = start;
+    while (end <= offset && end < chapter.end) end = getScrollBlockStart(chapterIndex, ++k);
+    return { chapter: chapterIndex, start, end: Math.max(end, start) };
+}
+
+function getNextScrollBlock(block) {
+    if (block.end < chapters[block.chapter].end) return getScrollBlockAt(block.chapter, block.end);
+    if (block.chapter + 1 >= chapters.length) return null;
+    return getScrollBlockAt(block.chapter + 1, chapters[block.chapter + 1].position || 0);
+}
+
+function getPreviousScrollBlock(block) {
+    if (block.start > (chapters[block.chapter].position || 0)) return getScrollBlockAt(block.chapter, block.start - 1);
+    if (block.chapter <= 0) return null;
+    const previous = chapters[block.chapter - 1];
+    return getScrollBlockAt(block.chapter - 1, Math.max(previous.position || 0, previous.end - 1));
+}
+
+function getScrollBlockOf(element) {
+    return { chapter: Number(element.dataset.chapter), start: Number(element.dataset.start), end: Number(element.dataset.end) };
+}
+
+function renderScrollBlock(block) {
+    const chapter = chapters[block.chapter];
+    const element = document.createElement('div');
+    element.className = 'scroll-block';
+    element.dataset.chapter = block.chapter;
+    element.dataset.start = block.start;
+    element.dataset.end = block.end;
+
+    // 章的第一块带章节标题
+    if (block.start === (chapter.position || 0)) {
+        const titleElement = document.createElement('h3');
+        titleElement.className = 'chapter-title';
+        titleElement.textContent = chapter.title;
+        element.appendChild(titleElement);
+    }
+
+    // 章中间的块在段落边界断开，末尾的换行属于最后一段，不再多渲染一个空段落
+    let text = currentBookText.slice(block.start, block.end);
+    if (block.end < chapter.end) text = text.replace(/\n$/, '');
+
+    // 先拼到 fragment 里再一次性插入
+    const fragment = document.createDocumentFragment();
+    let lineOffset = block.start;
+    for (const line of text.split('\n')) {
+        const p = document.createElement('p');
+        p.dataset.offset = lineOffset;
+        if (line.trim()) {
+            p.innerHTML = renderAnnotatedText(line, lineOffset);
+        } else {
+            p.appendChild(document.createElement('br'));
+        }
+        fragment.appendChild(p);
+        lineOffset += line.length + 1;
+    }
+    element.appendChild(fragment);
+    return element;
+}
+
+// 元素顶部相对于滚动容器内容顶部的距离
+function getScrollOffsetWithin(container, element) {
+    return element.getBoundingClientRect().top - container.getBoundingClientRect().top
+        - container.clientTop + container.scrollTop;
+}
+
+// 已渲染的块中包含全文偏移 offset 的那一块
+function findRenderedScrollBlock(content, offset) {
+    const blocks = content.querySelectorAll('.scroll-block');
+    for (const element of blocks) {
+        if (offset >= Number(element.dataset.start) && offset < Number(element.dataset.end)) return element;
+    }
+    // 全书末尾
+    const last = blocks[blocks.length - 1];
+    return last && offset === Number(last.dataset.end) && offset >= getBookLength() ? last : null;
+}
+
+function observeScrollBlock(element) {
+    if (scrollBlockObserver) scrollBlockObserver.observe(element);
+}
+
+function removeScrollBlock(element) {
+    if (scrollBlockObserver) scrollBlockObserver.unobserve(element);
+    if (scrollTopBlock === element) scrollTopBlock = null;
+    element.remove();
+}
+
+// 以全文偏移 offset 所在的块为中心重新渲染
+function renderScrollWindow(offset) {
+    const content = document.getElementById('content');
+    disconnectScrollObservers();
+    content.innerHTML = '';
+
+    const topSentinel = document.createElement('div');
+    topSentinel.className = 'scroll-sentinel';
+    topSentinel.dataset.edge = 'top';
+    const bottomSentinel = document.createElement('div');
+    bottomSentinel.className = 'scroll-sentinel';
+    bottomSentinel.dataset.edge = 'bottom';
+
+    const center = getScrollBlockAt(findChapterByPosition(offset), offset);
+    const blocks = [center];
+    for (let i = 0; i < SCROLL_WINDOW_BEFORE; i++) {
+        const previous = getPreviousScrollBlock(blocks[0]);
+        if (!previous) break;
+        blocks.unshift(previous);
+    }
+    for (let i = 0; i < SCROLL_WINDOW_AFTER; i++) {
+        const next = getNextScrollBlock(blocks[blocks.length - 1]);
+        if (!next) break;
+        blocks.push(next);
+    }
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(topSentinel);
+    blocks.forEach(block => fragment.appendChild(renderScrollBlock(block)));
+    fragment.appendChild(bottomSentinel);
+    content.appendChild(fragment);
+
+    // 视口顶部 10% 的区域内出现的块即为当前位置所在的块
+    scrollBlockObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            scrollTopBlock = entry.target;
+            const index = Number(entry.target.dataset.chapter);
+            if (index !== currentChapter) {
+                currentChapter = index;
+                updateProgressBar();
+            }
+        });
+    }, { root: content, rootMargin: '0px 0px -90% 0px' });
+    content.querySelectorAll('.scroll-block').forEach(observeScrollBlock);
+
+    // 哨兵进入视口上下一屏范围内时加载相邻的块
+    scrollEdgeObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            if (entry.target.dataset.edge === 'bottom') {
+                appendScrollBlock(content, entry.target);
+            } else {
+                prependScrollBlock(content, entry.target);
+            }
+        });
+    }, { root: content, rootMargin: '100% 0px' });
+    scrollEdgeObserver.observe(topSentinel);
+    scrollEdgeObserver.observe(bottomSentinel);
+}
+
+// 重新观察哨兵：加载的块太短时哨兵仍在范围内，不会再次触发回调
+function reobserveSentinel(sentinel) {
+    if (!scrollEdgeObserver) return;
+    scrollEdgeObserver.unobserve(sentinel);
+    scrollEdgeObserver.observe(sentinel);
+}
 
-        // 显示所有内容
-        showAllContent();
-    } else {
-        // 切换回分页模式
-        content.style.overflowY = 'hidden';
-        content.style.maxHeight = 'none';
-        content.classList.remove('scroll-mode');
+function appendScrollBlock(content, bottomSentinel) {
+    const last = bottomSentinel.previousElementSibling;
+    const next = last && last.classList.contains('scroll-block') ? getNextScrollBlock(getScrollBlockOf(last)) : null;
+    if (!next) return;
+
+    const element = renderScrollBlock(next);
+    content.insertBefore(element, bottomSentinel);
+    observeScrollBlock(element);
+
+    // 移除最上面的块，同时扣除其高度，保持视口内容不动
+    const blocks = content.querySelectorAll('.scroll-block');
+    for (let i = 0; i < blocks.length - SCROLL_WINDOW_MAX; i++) {
+        const height = blocks[i].offsetHeight;
+        removeScrollBlock(blocks[i]);
+        content.scrollTop -= height;
+    }
+    reobserveSentinel(bottomSentinel);
+}
 
-        // 显示翻页按钮
-        document.querySelector('.navigation-buttons').style.display = 'flex';
+function prependScrollBlock(content, topSentinel) {
+    const first = topSentinel.nextElementSibling;
+    const previous = first && first.classList.contains('scroll-block') ? getPreviousScrollBlock(getScrollBlockOf(first)) : null;
+    if (!previous) return;
 
-        if (chapters.length > 0) {
-            // 有章节时，显示当前章节
-            showPage(currentPage, currentChapter);
-        } else {
-            // 无章节时，显示当前页
-            const totalPages = currentContent.length;
-            showTextPage(currentPage, totalPages);
-        }
+    const element = renderScrollBlock(previous);
+    content.insertBefore(element, first);
+    // 在上方插入内容后补偿滚动距离，保持视口内容不动
+    content.scrollTop += element.offsetHeight;
+    observeScrollBlock(element);
+
+    const blocks = content.querySelectorAll('.scroll-block');
+    for (let i = blocks.length - 1; i >= SCROLL_WINDOW_MAX; i--) {
+        removeScrollBlock(blocks[i]);
     }
-});
+    reobserveSentinel(topSentinel);
+}
 
 // 修复显示所有内容的函数
 function showAllContent(options = {}) {
@@ -2298,36 +5196,22 @@ function showAllContent(options = {}) {
     // 确保内容区域可见
     content.style.display = 'block';
 
+    if (chapters.length > 0) {
+        // 有章节的情况：只渲染阅读位置附近的一段正文，并按字符偏移定位
+        // 后台更新时章节结构可能已变，同样按偏移恢复，而不是沿用旧的 scrollTop
+        renderScrollWindow(readingOffset);
+        scrollToCurrentPosition();
+        return;
+    }
+
     // 保存当前的滚动位置
     const savedScrollTop = content.scrollTop;
     const savedWindowScrollY = window.scrollY;
 
+    disconnectScrollObservers();
     content.innerHTML = '';
 
-    if (chapters.length > 0) {
-        // 有章节的情况
-        for (let i = 0; i < chapters.length; i++) {
-            const chapter = chapters[i];
-
-            // 添加章节标题
-            const titleElement = document.createElement('h3');
-            titleElement.className = 'chapter-title';
-            titleElement.textContent = chapter.title;
-            content.appendChild(titleElement);
-
-            // 添加章节内容
-            const lines = chapter.content.split('\n');
-            for (let line of lines) {
-                if (line.trim()) {
-                    const p = document.createElement('p');
-                    p.textContent = line;
-                    content.appendChild(p);
-                } else {
-                    content.innerHTML += '<p><br></p>';
-                }
-            }
-        }
-    } else if (currentContent && currentContent.length > 0) {
+    if (currentContent && currentContent.length > 0) {
         // 无章节的情况，显示所有分页内容
         for (let i = 0; i < currentContent.length; i++) {
             // 添加页码标记
@@ -2340,14 +5224,17 @@ function showAllContent(options = {}) {
             const pageText = currentContent[i];
             if (pageText) {
                 const lines = pageText.split('\n');
+                let lineOffset = getTextPageOffset(i);
                 for (let line of lines) {
+                    const p = document.createElement('p');
+                    p.dataset.offset = lineOffset;
                     if (line.trim()) {
-                        const p = document.createElement('p');
-                        p.textContent = line;
-                        content.appendChild(p);
+                        p.innerHTML = renderAnnotatedText(line, lineOffset);
                     } else {
-                        content.innerHTML += '<p><br></p>';
+                        p.appendChild(document.createElement('br'));
                     }
+                    content.appendChild(p);
+                    lineOffset += line.length + 1;
                 }
             } else {
                 const p = document.createElement('p');
@@ -2378,29 +5265,28 @@ function scrollToCurrentPosition() {
         // 没有章节时，根据页码计算滚动位置
         const scrollPercentage = currentPage / Math.ceil(currentContent.length / wordsPerPage);
         content.scrollTop = content.scrollHeight * scrollPercentage;
-    } else if (chapters[currentChapter]) {
-        // 有章节时，查找当前章节标题并滚动到该位置
-        const chapterTitles = content.querySelectorAll('.chapter-title');
-
-        if (chapterTitles.length > currentChapter) {
-            chapterTitles[currentChapter].scrollIntoView();
-
-            // 计算章节内部滚动位置
-            if (currentPage > 0) {
-                const chapterContent = chapters[currentChapter].content;
-                const totalPages = Math.ceil(chapterContent.length / wordsPerPage);
-                const scrollOffset = (currentPage / totalPages) *
-                    (chapters[currentChapter].content.length / wordsPerPage) * 24; // 估计每行高度24px
-
-                content.scrollTop += scrollOffset;
-            }
+    } else {
+        // 有章节时，按阅读位置在所在块内的比例滚动到该块的对应高度
+        // 与滚动监听中的换算互为逆运算，来回切换不会漂移
+        let element = findRenderedScrollBlock(content, readingOffset);
+        if (!element) {
+            // 目标位置不在已渲染的范围内，以它为中心重新渲染
+            renderScrollWindow(readingOffset);
+            element = findRenderedScrollBlock(content, readingOffset);
         }
+        if (!element) return;
+
+        const block = getScrollBlockOf(element);
+        const progress = block.end > block.start ? (readingOffset - block.start) / (block.end - block.start) : 0;
+        currentChapter = block.chapter;
+        content.scrollTop = getScrollOffsetWithin(content, element) + progress * element.offsetHeight;
     }
 }
 
 // 自定义右键菜单
 const contextMenu = document.getElementById('context-menu');
 const content = document.getElementById('content');
+let contextMenuRange = null; // 右键时选区在全书中的范围
 
 // 阻止默认右键菜单
 content.addEventListener('contextmenu', function (e) {
@@ -2415,8 +5301,17 @@ content.addEventListener('contextmenu', function (e) {
     contextMenu.style.left = `${e.pageX}px`;
     contextMenu.style.top = `${e.pageY}px`;
 
-    // 存储选中的文本
+    // 存储选中的文本，以及它在全书中的范围（用于高亮和笔记）
     contextMenu.dataset.selectedText = selectedText;
+    contextMenuRange = chapters.length > 0 ? getSelectionRange() : null;
+});
+
+// 点击已有高亮时打开笔记编辑框（正在选择文字时不打开）
+content.addEventListener('click', function (e) {
+    const mark = e.target.closest('mark.annotation');
+    if (mark && window.getSelection().isCollapsed) {
+        openAnnotationEditor(mark.dataset.annotation);
+    }
 });
 
 // 点击页面其他区域时隐藏菜单
@@ -2438,6 +5333,21 @@ document.getElementById('menu-copy').addEventListener('click', function () {
     }
 });
 
+// 高亮选中文本：点击整行用默认颜色，点击色块用对应颜色
+document.getElementById('menu-highlight').addEventListener('click', function (e) {
+    const swatch = e.target.closest('.highlight-swatch');
+    addHighlight(contextMenuRange, swatch ? swatch.dataset.color : 'yellow');
+});
+
+// 为选中文本添加笔记
+document.getElementById('menu-note').addEventListener('click', function () {
+    if (!contextMenuRange) {
+        showNotification('请先在正文中选择文字');
+        return;
+    }
+    openAnnotationEditor(null, contextMenuRange);
+});
+
 // 搜索选中文本
 document.getElementById('menu-search').addEventListener('click', function () {
     const selectedText = contextMenu.dataset.selectedText;
@@ -2566,7 +5476,8 @@ function initApp() {
                 target.closest('.setting-item') ||
                 target.closest('.nav-btn') ||
                 target.closest('.modal') ||
-                target.closest('.context-menu')) {
+                target.closest('.context-menu') ||
+                target.closest('mark.annotation')) {
                 return;
             }
 
@@ -2708,6 +5619,9 @@ function initApp() {
 
     // 尝试从云端加载历史记录并合并
     syncCloudHistory();
+    syncBookmarks();
+    syncAnnotations();
+    syncBookshelf().then(updateHistoryDisplay);
 
     // 更新历史记录显示
     updateHistoryDisplay();
@@ -2715,56 +5629,28 @@ function initApp() {
     // 加载配置
     loadConfig().catch(err => console.error('配置加载失败:', err));
 
+    // 窗口大小变化后按新的可视区域重新分页
+    window.addEventListener('resize', debounce(refreshPagination, 300));
+
     // 添加滚动监听，用于在滚动模式下实时保存进度
     const content = document.getElementById('content');
+    // 视口顶部所在的块由 renderScrollWindow 中的 IntersectionObserver 跟踪，这里只计算块内位置
+    // 页码要测量分页排版，滚动时不计算，切回分页模式时再按 readingOffset 定位
     content.addEventListener('scroll', debounce(function () {
         if (pageMode === 'scroll' && chapters.length > 0) {
-            const chapterTitles = content.querySelectorAll('.chapter-title');
-            let activeChapterIndex = 0;
-
-            // 找到当前视口顶部的章节
-            // 优化：二分查找或从当前章节附近查找会更快，但这里简单遍历也行，因为章节数通常不会太多
-            // 为了性能，我们可以假设用户不会瞬间跳跃太远，从 currentChapter 开始搜索
-
-            // 简单遍历所有章节标题找到当前可见的
-            // 注意：chapterTitles 是 NodeList
-            for (let i = 0; i < chapterTitles.length; i++) {
-                const title = chapterTitles[i];
-                // 如果标题在视口上方或视口内靠上位置
-                if (title.offsetTop <= content.scrollTop + 100) {
-                    activeChapterIndex = i;
-                } else {
-                    // 标题在视口下方，说明上一个是当前章节
-                    break;
-                }
-            }
-
-            // 更新当前章节
-            if (activeChapterIndex !== currentChapter) {
-                currentChapter = activeChapterIndex;
-            }
-
-            // 计算当前章节内的进度（估算页码）
-            const currentTitle = chapterTitles[activeChapterIndex];
-            // 下一个章节标题，如果没有则是内容底部
-            const nextTitle = chapterTitles[activeChapterIndex + 1];
-
-            const chapterStart = currentTitle.offsetTop;
-            const chapterEnd = nextTitle ? nextTitle.offsetTop : content.scrollHeight;
-            const chapterHeight = chapterEnd - chapterStart;
+            const element = scrollTopBlock;
+            if (!element || !element.isConnected) return;
 
-            // 当前滚动位置相对于章节顶部的偏移
-            const scrollOffset = content.scrollTop - chapterStart;
+            // 当前滚动位置相对于块顶部的偏移
+            const scrollOffset = content.scrollTop - getScrollOffsetWithin(content, element);
 
-            if (chapterHeight > 0) {
+            if (element.offsetHeight > 0) {
                 // 计算进度比例 (0.0 - 1.0)
-                const progress = Math.max(0, Math.min(1, scrollOffset / chapterHeight));
+                const progress = Math.max(0, Math.min(1, scrollOffset / element.offsetHeight));
 
-                const chapterContent = chapters[activeChapterIndex].content;
-                const totalPages = Math.ceil(chapterContent.length / wordsPerPage);
-
-                // 更新 currentPage
-                currentPage = Math.floor(progress * totalPages);
+                // 换算成全文偏移
+                const block = getScrollBlockOf(element);
+                readingOffset = block.start + Math.floor(progress * (block.end - block.start));
             }
 
             // 保存进度 (debounce 确保不会频繁写入)
@@ -3122,13 +6008,28 @@ function saveProgress() {
     let allBookProgress = JSON.parse(localStorage.getItem(progressKey)) || {};
 
     // 更新当前书籍的进度
+    // 除全文偏移和锚点外，还记下所在章的标题和章内偏移，书换成新版本后按标题找回位置
+    const anchor = getTextAnchor(readingOffset);
+    const chapter = chapters[currentChapter];
+    const chapterTitle = chapter ? chapter.title : '';
+    const chapterOffset = chapter ? Math.max(0, readingOffset - (chapter.position || 0)) : 0;
     allBookProgress[currentFileName] = {
         page: currentPage,
         chapter: chapters.length > 0 ? currentChapter : 0,  // 如果没有章节，章节号始终为0
+        offset: readingOffset,
+        anchor: anchor,
+        chapterTitle: chapterTitle,
+        chapterOffset: chapterOffset,
         lastRead: new Date().toISOString(),
         hasChapters: chapters.length > 0  // 记录是否有章节
     };
 
+    // 读到新章节后不再提示更新
+    if (newChapterIndex !== -1 && currentChapter >= newChapterIndex) {
+        newChapterIndex = -1;
+        isChapterListDirty = true;
+    }
+
     // 保存所有书籍的进度
     localStorage.setItem(progressKey, JSON.stringify(allBookProgress));
 
@@ -3138,7 +6039,11 @@ function saveProgress() {
         filePath: window.currentFilePath, // 保存完整路径
         date: new Date().toLocaleString(),
         lastPosition: currentPage,
-        chapter: chapters.length > 0 ? currentChapter : 0  // 如果没有章节，章节号始终为0
+        chapter: chapters.length > 0 ? currentChapter : 0,  // 如果没有章节，章节号始终为0
+        offset: readingOffset,
+        anchor: anchor,
+        chapterTitle: chapterTitle,
+        chapterOffset: chapterOffset
     });
 }
 
@@ -3174,6 +6079,18 @@ function backToHome(event) {
     currentPage = 0;
     currentChapter = 0;
     chapters = [];
+    newChapterIndex = -1;
+    currentBookText = '';
+    currentBookEncoding = '';
+    currentBookBuffer = null;
+    currentEncodingCandidates = [];
+    currentBookMetadata = null;
+    rejectedHeadings = [];
+    annotationRanges = [];
+    volumes = [];
+    readingOffset = 0;
+    disconnectScrollObservers();
+    resetFindState();
 
     // 重置标题
     document.getElementById('book-title').textContent = '优雅阅读器';
@@ -3328,8 +6245,8 @@ async function showServerLibrary() {
                     return `
                                 <div class="tree-item directory collapsed">
                                     <div class="tree-content" style="padding-left: ${paddingLeft}px">
-                                        <span class="tree-icon">📁</span>
-                                        <span class="tree-name">${item.name}</span>
+                                        <span class="tree-icon">${item.isArchive ? '🗜️' : '📁'}</span>
+                                        <span class="tree-name">${escapeHtml(item.name)}</span>
                                         <span class="tree-meta">${item.children.length} 项</span>
                                     </div>
                                     <div class="tree-children" style="display: none;">
@@ -3338,16 +6255,23 @@ async function showServerLibrary() {
                                 </div>
                             `;
                 } else {
+                    // 显示元数据中的书名和「作者 · 状态 · 字数」，悬停可看原文件名和简介
+                    const summary = BookMetadata.formatSummary(item.meta, item.name);
+                    const tooltip = [item.name, item.meta && item.meta.synopsis].filter(Boolean).join('\n\n');
                     return `
                                 <div class="tree-item file" 
                                      data-path="${item.path.replace(/"/g, '&quot;')}" 
                                      data-name="${item.name.replace(/"/g, '&quot;')}"
                                      data-size="${item.size}"
-                                     data-mtime="${item.mtime || 0}">
+                                     data-mtime="${item.mtime || 0}"
+                                     title="${escapeHtml(tooltip)}">
                                     <div class="tree-content" style="padding-left: ${paddingLeft}px">
                                         <span class="tree-icon">📄</span>
-                                        <span class="tree-name">${item.name}</span>
+                                        <span class="tree-name">${escapeHtml(BookMetadata.getDisplayTitle(item.name, item.meta))}</span>
+                                        <span class="book-tags">${renderBookTags(item.name)}</span>
+                                        ${summary ? `<span class="tree-meta tree-book-info">${escapeHtml(summary)}</span>` : ''}
                                         <span class="tree-meta">${(item.size / 1024 / 1024).toFixed(2)} MB</span>
+                                        <span class="tree-organize" title="状态、评分与书架">🏷️</span>
                                     </div>
                                 </div>
                             `;
@@ -3368,9 +6292,15 @@ async function showServerLibrary() {
                             <span class="modal-close">&times;</span>
                         </div>
                         <div class="modal-body custom-scrollbar">
+                            <div class="library-search-tabs">
+                                <span class="library-search-tab active" data-mode="name">按书名</span>
+                                <span class="library-search-tab" data-mode="fulltext">按正文</span>
+                                <span class="library-duplicates-link">查找重复</span>
+                            </div>
                             <div class="library-search-results" id="library-search-results">
                                 <div class="library-search-placeholder">输入关键字快速查找小说</div>
                             </div>
+                            <div class="library-filter"></div>
                             <div class="file-tree">
                                 ${generateTreeHtml(files)}
                             </div>
@@ -3465,6 +6395,14 @@ async function showServerLibrary() {
                     .tree-icon { margin-right: 12px; font-size: 20px; width: 24px; text-align: center; }
                     .tree-name { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-size: 14px; }
                     .tree-meta { font-size: 12px; color: #999; margin-left: 12px; min-width: 60px; text-align: right; }
+                    .tree-book-info { min-width: 0; max-width: 45%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+                    .tree-organize { margin-left: 8px; font-size: 14px; opacity: 0.4; }
+                    .tree-organize:hover { opacity: 1; }
+                    .library-filter { display: flex; flex-wrap: wrap; gap: 6px; align-items: center; padding: 8px 16px; }
+                    .library-duplicates-link { margin-left: auto; cursor: pointer; color: #999; padding: 4px 0; }
+                    .library-duplicates-link:hover { color: var(--primary-color, #3498db); }
+                    .library-filter select { padding: 3px 6px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px; }
+                    .library-filter .book-tag { cursor: pointer; }
                     
                     .directory .tree-icon { color: #f39c12; }
                     .file .tree-icon { color: #3498db; }
@@ -3499,6 +6437,47 @@ async function showServerLibrary() {
                         color: #888;
                         font-size: 13px;
                     }
+                    .library-search-tabs {
+                        display: flex;
+                        gap: 16px;
+                        padding: 0 16px;
+                        font-size: 13px;
+                    }
+                    .library-search-tab {
+                        cursor: pointer;
+                        color: #999;
+                        padding: 4px 0;
+                        border-bottom: 2px solid transparent;
+                    }
+                    .library-search-tab.active {
+                        color: var(--primary-color, #3498db);
+                        border-bottom-color: var(--primary-color, #3498db);
+                    }
+                    .library-search-results .fulltext-book {
+                        padding: 8px 0 4px;
+                        font-size: 14px;
+                        font-weight: 600;
+                    }
+                    .library-search-results .fulltext-match {
+                        padding: 6px 0 6px 12px;
+                        border-bottom: 1px dashed #eee;
+                        cursor: pointer;
+                        font-size: 13px;
+                    }
+                    .library-search-results .fulltext-match:hover {
+                        background: rgba(0,0,0,0.04);
+                    }
+                    .dark-mode .library-search-results .fulltext-match:hover {
+                        background: rgba(255,255,255,0.05);
+                    }
+                    .library-search-results .fulltext-match mark {
+                        background-color: #ff9632;
+                        color: inherit;
+                    }
+                    .library-search-results .fulltext-chapter {
+                        font-size: 12px;
+                        color: #999;
+                    }
                 `;
         modal.appendChild(style);
 
@@ -3549,6 +6528,121 @@ async function showServerLibrary() {
             });
         });
 
+        // 按阅读状态、书架和标签筛选书库：只显示符合条件的书，以及包含这些书的文件夹（自动展开）
+        let statusFilter = '';
+        let shelfFilter = '';
+        let librarySortMode = 'recent';
+        const tagFilter = new Set();
+        const filterBox = modal.querySelector('.library-filter');
+        modal.querySelectorAll('.tree-item.file').forEach((item, index) => {
+            item.dataset.index = index;
+        });
+
+        function renderLibraryFilter() {
+            const tags = getAllTags();
+            if (shelfFilter && !bookshelf.shelves.includes(shelfFilter)) shelfFilter = '';
+            [...tagFilter].forEach(tag => {
+                if (!tags.includes(tag)) tagFilter.delete(tag);
+            });
+            filterBox.innerHTML = `
+                        <select class="library-status-filter">${renderStatusFilterOptions(statusFilter)}</select>
+                        <select class="library-sort">${renderSortOptions(librarySortMode, '默认顺序')}</select>
+                        ${bookshelf.shelves.length > 0 ? `<select class="library-shelf-filter">
+                            <option value="">全部书架</option>
+                            ${bookshelf.shelves.map(shelf => `<option value="${escapeHtml(shelf)}"${shelf === shelfFilter ? ' selected' : ''}>${escapeHtml(shelf)}</option>`).join('')}
+                        </select>` : ''}
+                        ${tags.map(tag => `<span class="book-tag${tagFilter.has(tag) ? ' selected' : ''}" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</span>`).join('')}
+                    `;
+        }
+
+        // 每个文件夹内的书按所选方式重新排列，文件夹仍在前面
+        function applyLibrarySort() {
+            [modal.querySelector('.file-tree'), ...modal.querySelectorAll('.tree-children')].forEach(container => {
+                [...container.children]
+                    .filter(child => child.classList.contains('file'))
+                    .map(item => ({
+                        item,
+                        fileName: item.dataset.name,
+                        title: item.querySelector('.tree-name').textContent,
+                        index: parseInt(item.dataset.index, 10)
+                    }))
+                    .sort((a, b) => compareBooksBy(librarySortMode, a, b) || a.index - b.index)
+                    .forEach(({ item }) => container.appendChild(item));
+            });
+        }
+
+        function applyLibraryFilter() {
+            const active = !!statusFilter || !!shelfFilter || tagFilter.size > 0;
+            modal.querySelectorAll('.tree-item.file').forEach(item => {
+                const info = getBookOrganization(item.dataset.name);
+                const match = matchesStatusFilter(item.dataset.name, statusFilter) &&
+                    (!shelfFilter || info.shelves.includes(shelfFilter)) &&
+                    [...tagFilter].every(tag => info.tags.includes(tag));
+                item.style.display = match ? '' : 'none';
+            });
+            modal.querySelectorAll('.tree-item.directory').forEach(directory => {
+                const hasMatch = [...directory.querySelectorAll('.tree-item.file')].some(item => item.style.display !== 'none');
+                directory.style.display = hasMatch ? '' : 'none';
+                if (active && hasMatch) {
+                    directory.querySelector('.tree-children').style.display = 'block';
+                    directory.querySelector('.tree-icon').textContent = '📂';
+                    directory.classList.remove('collapsed');
+                    directory.classList.add('expanded');
+                }
+            });
+        }
+
+        filterBox.addEventListener('change', e => {
+            if (e.target.classList.contains('library-sort')) {
+                librarySortMode = e.target.value;
+                applyLibrarySort();
+                return;
+            }
+            if (e.target.classList.contains('library-status-filter')) statusFilter = e.target.value;
+            if (e.target.classList.contains('library-shelf-filter')) shelfFilter = e.target.value;
+            applyLibraryFilter();
+        });
+        filterBox.addEventListener('click', e => {
+            const chip = e.target.closest('.book-tag');
+            if (!chip) return;
+            if (tagFilter.has(chip.dataset.tag)) {
+                tagFilter.delete(chip.dataset.tag);
+            } else {
+                tagFilter.add(chip.dataset.tag);
+            }
+            chip.classList.toggle('selected', tagFilter.has(chip.dataset.tag));
+            applyLibraryFilter();
+        });
+        renderLibraryFilter();
+        // 打开书库时同步一次，其他设备上的改动也能筛选
+        syncBookshelf().then(() => {
+            modal.querySelectorAll('.tree-item.file').forEach(item => {
+                item.querySelector('.book-tags').innerHTML = renderBookTags(item.dataset.name);
+            });
+            renderLibraryFilter();
+            applyLibraryFilter();
+            applyLibrarySort();
+        });
+
+        // 书名后的 🏷️ 打开状态、评分与书架设置
+        modal.querySelectorAll('.tree-organize').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const item = button.closest('.tree-item');
+                openBookOrganizer(item.dataset.name, () => {
+                    item.querySelector('.book-tags').innerHTML = renderBookTags(item.dataset.name);
+                    renderLibraryFilter();
+                    applyLibraryFilter();
+                    applyLibrarySort();
+                });
+            });
+        });
+
+        modal.querySelector('.library-duplicates-link').addEventListener('click', () => {
+            closeModal();
+            showDuplicateReport();
+        });
+
         // 绑定文件点击事件
         modal.querySelectorAll('.file').forEach(item => {
             item.addEventListener('click', (e) => {
@@ -3568,6 +6662,53 @@ async function showServerLibrary() {
         const searchBtn = modal.querySelector('#library-search-btn');
         const resultBox = modal.querySelector('#library-search-results');
 
+        // 搜索方式：name 按书名，fulltext 按正文（服务端全文索引）
+        let searchMode = 'name';
+        modal.querySelectorAll('.library-search-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                searchMode = tab.dataset.mode;
+                modal.querySelectorAll('.library-search-tab').forEach(item => item.classList.toggle('active', item === tab));
+                searchInput.placeholder = searchMode === 'fulltext' ? '输入正文中的词句' : '输入书名关键字';
+                performLibrarySearch();
+            });
+        });
+
+        async function performFulltextSearch(keyword) {
+            const response = await ipcRenderer.invoke('search-fulltext', keyword, 100);
+            if (response.error) {
+                resultBox.innerHTML = `<div class="library-search-placeholder">${escapeHtml(response.error)}</div>`;
+                return;
+            }
+            const status = response.status || {};
+            const statusHtml = status.running
+                ? `<div class="library-search-placeholder">正在建立索引（${status.indexed}/${status.total}），结果可能不完整</div>`
+                : '';
+            if (!response.results || response.results.length === 0) {
+                resultBox.innerHTML = statusHtml + '<div class="library-search-placeholder">正文中没有找到匹配的内容</div>';
+                return;
+            }
+
+            resultBox.innerHTML = statusHtml + response.results.map((book, bookIndex) => `
+                        <div class="fulltext-book">${escapeHtml(book.name)}</div>
+                        ${book.matches.map((match, matchIndex) => `
+                            <div class="fulltext-match" data-book="${bookIndex}" data-match="${matchIndex}">
+                                <div class="fulltext-chapter">${escapeHtml(match.chapter)}</div>
+                                <div>${escapeHtml(match.before)}<mark>${escapeHtml(match.match)}</mark>${escapeHtml(match.after)}</div>
+                            </div>`).join('')}`
+            ).join('');
+
+            resultBox.querySelectorAll('.fulltext-match').forEach(el => {
+                el.addEventListener('click', () => {
+                    const book = response.results[Number(el.dataset.book)];
+                    const match = book.matches[Number(el.dataset.match)];
+                    // 打开后定位到匹配处，以匹配的文字作为锚点（两端解码有差异时就近校正），不改动保存的进度
+                    loadServerBook(book.path, book.name, { size: book.size, mtime: book.mtime },
+                        { targetPosition: match.position, anchor: match.match });
+                    closeModal();
+                });
+            });
+        }
+
         async function performLibrarySearch() {
             const keyword = searchInput.value.trim();
             if (!keyword) {
@@ -3575,6 +6716,15 @@ async function showServerLibrary() {
                 return;
             }
             resultBox.innerHTML = '<div class="library-search-placeholder">搜索中...</div>';
+            if (searchMode === 'fulltext') {
+                try {
+                    await performFulltextSearch(keyword);
+                } catch (err) {
+                    console.error('全文搜索失败:', err);
+                    resultBox.innerHTML = '<div class="library-search-placeholder">搜索失败，请稍后重试</div>';
+                }
+                return;
+            }
             try {
                 const results = await ipcRenderer.invoke('search-books', keyword, 80);
                 if (!results || results.length === 0) {
@@ -3584,7 +6734,8 @@ async function showServerLibrary() {
                 resultBox.innerHTML = results.map(item => {
                     const sizeMb = (item.size / 1024 / 1024).toFixed(2);
                     return `<div class="result-item" data-path="${item.path.replace(/"/g, '&quot;')}" data-name="${item.name.replace(/"/g, '&quot;')}" data-size="${item.size}" data-mtime="${item.mtime}">
-                                <span class="result-name">${item.name}</span>
+                                <span class="result-name" title="${escapeHtml(item.name)}">${escapeHtml(BookMetadata.getDisplayTitle(item.name, item.meta))}</span>
+                                <span class="result-meta">${escapeHtml(BookMetadata.formatSummary(item.meta, item.name))}</span>
                                 <span class="result-meta">${item.relativePath || ''}</span>
                                 <span class="result-meta">${sizeMb} MB</span>
                             </div>`;
@@ -3618,9 +6769,154 @@ async function showServerLibrary() {
     }
 }
 
-async function loadServerBook(filePath, fileName, fileInfo = null) {
+// 一本书的阅读进度摘要，用于查重报告
+function describeBookProgress(fileName) {
+    const progress = (JSON.parse(localStorage.getItem(getStorageKey('allBookProgress'))) || {})[fileName];
+    if (!progress) return '未读';
+    return progress.hasChapters ? `读到第 ${(progress.chapter || 0) + 1} 章` : `读到第 ${(progress.page || 0) + 1} 页`;
+}
+
+// 把同一本书各副本的阅读记录合并到保留的副本：采用最近一次阅读的进度（按位置附近的原文定位，副本排版不同也能找到），
+// 其余副本的历史记录和进度移除；状态、评分、书架和标签在保留的副本没有设置时一并带过去
+async function mergeDuplicateProgress(keep, books) {
+    const progressKey = getStorageKey('allBookProgress');
+    const historyKey = getStorageKey('readingHistory');
+    const allBookProgress = JSON.parse(localStorage.getItem(progressKey)) || {};
+    let history = JSON.parse(localStorage.getItem(historyKey)) || [];
+    const names = books.map(book => book.name);
+    const others = names.filter(name => name !== keep.name);
+
+    const latestName = names
+        .filter(name => allBookProgress[name])
+        .sort((a, b) => (allBookProgress[b].lastRead || '').localeCompare(allBookProgress[a].lastRead || ''))[0];
+    if (!latestName) {
+        showNotification('这些副本都没有阅读进度');
+        return false;
+    }
+
+    allBookProgress[keep.name] = { ...allBookProgress[latestName] };
+    others.forEach(name => delete allBookProgress[name]);
+    localStorage.setItem(progressKey, JSON.stringify(allBookProgress));
+
+    const latestRecord = history.find(record => record.fileName === latestName);
+    const insertAt = history.findIndex(record => names.includes(record.fileName));
+    history = history.filter(record => !names.includes(record.fileName));
+    if (latestRecord) {
+        history.splice(Math.max(insertAt, 0), 0, {
+            ...latestRecord,
+            fileName: keep.name,
+            filePath: keep.path,
+            meta: keep.meta || latestRecord.meta
+        });
+    }
+    localStorage.setItem(historyKey, JSON.stringify(history));
+    ipcRenderer.invoke('save-history', history, currentProfile).catch(err => console.error('同步历史记录失败:', err));
+    if (others.length > 0) {
+        ipcRenderer.invoke('save-deleted-history', others, currentProfile).catch(err => console.error('同步删除记录失败:', err));
+    }
+
+    await updateBookshelf(data => {
+        const entry = data.books[keep.name] || {};
+        others.forEach(name => {
+            const other = data.books[name];
+            if (!other) return;
+            ['status', 'rating', 'review', 'statusUpdatedAt'].forEach(key => {
+                if (!entry[key] && other[key]) entry[key] = other[key];
+            });
+            entry.shelves = [...new Set([...(entry.shelves || []), ...(other.shelves || [])])];
+            entry.tags = [...new Set([...(entry.tags || []), ...(other.tags || [])])];
+            delete data.books[name];
+        });
+        data.books[keep.name] = entry;
+    });
+
+    updateHistoryDisplay();
+    showNotification(`已将阅读进度合并到「${keep.name}」`);
+    return true;
+}
+
+// 查重报告：列出书库中内容相同或相近的书，比较各副本的大小、编码、章节数和字数，可把阅读进度合并到保留的副本
+async function showDuplicateReport() {
+    document.getElementById('loading-overlay').style.display = 'flex';
+    document.querySelector('.loading-message').textContent = '正在查找重复的书...';
+    let report;
+    try {
+        report = await ipcRenderer.invoke('find-duplicates');
+    } catch (error) {
+        report = { error: error.message };
+    }
+    document.getElementById('loading-overlay').style.display = 'none';
+    if (!report || report.error) {
+        showNotification('查重失败: ' + ((report && report.error) || '未知错误'));
+        return;
+    }
+
+    const formatSimilarity = value => value >= 0.99 ? '内容相同' : `相似度 ${Math.round(value * 100)}%`;
+    const groupsHtml = report.groups.map((group, groupIndex) => `
+                <div class="duplicate-group" data-group="${groupIndex}">
+                    <div class="duplicate-group-header">
+                        <span class="duplicate-group-title">${escapeHtml(BookMetadata.getDisplayTitle(group.books[0].name, group.books[0].meta))}</span>
+                        <span class="duplicate-similarity">${formatSimilarity(group.similarity)} · ${group.books.length} 个副本</span>
+                    </div>
+                    <table class="duplicate-table">
+                        <tr><th>保留</th><th>文件</th><th>大小</th><th>编码</th><th>章节</th><th>字数</th><th>进度</th></tr>
+                        ${group.books.map((book, bookIndex) => `
+                        <tr>
+                            <td><input type="radio" name="keep-${groupIndex}" value="${bookIndex}"${bookIndex === 0 ? ' checked' : ''}></td>
+                            <td class="duplicate-name" title="${escapeHtml(book.path)}">${escapeHtml(book.name)}</td>
+                            <td>${(book.size / 1024 / 1024).toFixed(2)} MB</td>
+                            <td>${escapeHtml(book.encoding || '-')}</td>
+                            <td>${book.chapterCount || '-'}</td>
+                            <td>${book.meta ? BookMetadata.formatWordCount(book.meta.wordCount) : '-'}</td>
+                            <td class="duplicate-progress">${describeBookProgress(book.name)}</td>
+                        </tr>`).join('')}
+                    </table>
+                    <div class="duplicate-actions">
+                        <button class="duplicate-merge">合并阅读进度到所选副本</button>
+                    </div>
+                </div>`).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+                <div class="modal-content duplicates-modal">
+                    <div class="modal-header">
+                        <h3>重复的书</h3>
+                        <span class="modal-close">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div class="duplicate-summary">
+                            共 ${report.total} 本书，发现 ${report.groups.length} 组重复
+                            ${report.pending > 0 ? `<br>还有 ${report.pending} 本书正在后台分析，结果可能不完整` : ''}
+                        </div>
+                        ${groupsHtml}
+                    </div>
+                </div>
+            `;
+    document.body.appendChild(modal);
+
+    const close = () => document.body.removeChild(modal);
+    modal.querySelector('.modal-close').addEventListener('click', close);
+    modal.addEventListener('click', e => {
+        if (e.target === modal) close();
+    });
+    modal.querySelectorAll('.duplicate-group').forEach(groupElement => {
+        const group = report.groups[parseInt(groupElement.dataset.group, 10)];
+        groupElement.querySelector('.duplicate-merge').addEventListener('click', async () => {
+            const keepIndex = parseInt(groupElement.querySelector('input[type="radio"]:checked').value, 10);
+            if (await mergeDuplicateProgress(group.books[keepIndex], group.books)) {
+                groupElement.querySelectorAll('.duplicate-progress').forEach((cell, index) => {
+                    cell.textContent = describeBookProgress(group.books[index].name);
+                });
+            }
+        });
+    });
+}
+
+// options 中的 targetPosition / anchor 为打开后一次性跳转的位置
+async function loadServerBook(filePath, fileName, fileInfo = null, options = {}) {
     try {
-        await loadAndRenderBook(filePath, fileName, 0, 0, fileInfo);
+        await loadAndRenderBook(filePath, fileName, 0, 0, fileInfo, options);
     } catch (error) {
         console.error('加载书籍失败:', error);
         showNotification('加载书籍失败: ' + error.message);
@@ -3628,7 +6924,7 @@ async function loadServerBook(filePath, fileName, fileInfo = null) {
 }
 
 // 智能加载书籍（支持大文件分片加载）
-async function loadAndRenderBook(filePath, fileName, initialPosition = 0, initialChapter = 0, fileInfo = null) {
+async function loadAndRenderBook(filePath, fileName, initialPosition = 0, initialChapter = 0, fileInfo = null, options = {}) {
     try {
         document.getElementById('loading-overlay').style.display = 'flex';
         document.querySelector('.loading-message').textContent = `正在加载: ${fileName}...`;
@@ -3639,6 +6935,7 @@ async function loadAndRenderBook(filePath, fileName, initialPosition = 0, initia
         document.getElementById('content').style.fontSize = `${fontSize}px`;
 
         // 尝试从缓存加载
+        let cachedStructure = null;
         try {
             // 如果提供了 fileInfo (包含 size 和 mtime)，则可以直接生成 key，避免一次网络请求
             let cachedData = null;
@@ -3650,70 +6947,17 @@ async function loadAndRenderBook(filePath, fileName, initialPosition = 0, initia
                 cachedData = await ipcRenderer.invoke('check-book-cache', filePath);
             }
 
-            if (cachedData && cachedData.chapters && cachedData.chapters.length > 0) {
-                console.log('命中缓存，使用缓存数据');
-                chapters = cachedData.chapters;
-                currentFileName = fileName;
-                window.isPreviewMode = false;
-                window.waitingForHistory = false;
-
-                // 更新UI
-                const titleText = fileName.replace('.txt', '');
-                document.getElementById('book-title').textContent = titleText;
-                const mobileTitle = document.getElementById('mobile-book-title');
-                if (mobileTitle) mobileTitle.textContent = titleText;
-                document.getElementById('content').style.display = 'block';
-
-                updateChapterList(); // 标记为 dirty，实际渲染延迟到打开菜单时
-                isChapterListDirty = true;
-                document.querySelector('.navigation-buttons').style.display = 'flex';
-                document.querySelector('.progress-indicator').style.display = 'block';
-
-                // 恢复进度逻辑
-                const progressKey = getStorageKey('allBookProgress');
-                const allBookProgress = JSON.parse(localStorage.getItem(progressKey)) || {};
-                let targetChapter = 0;
-                let targetPage = 0;
-
-                if (initialPosition > 0 || initialChapter > 0) {
-                    targetPage = initialPosition;
-                    targetChapter = initialChapter;
-                    // 更新进度记录
-                    allBookProgress[fileName] = {
-                        page: targetPage,
-                        chapter: targetChapter,
-                        lastRead: new Date().toISOString(),
-                        hasChapters: true
-                    };
-                    localStorage.setItem(progressKey, JSON.stringify(allBookProgress));
-                } else if (allBookProgress[fileName]) {
-                    targetChapter = allBookProgress[fileName].chapter || 0;
-                    targetPage = allBookProgress[fileName].page || 0;
-                }
-
-                // 显示页面
-                if (pageMode === 'scroll') {
-                    showAllContent();
-                } else {
-                    showPage(targetPage, targetChapter);
-                }
-
-                addToHistory({
-                    fileName: fileName,
-                    filePath: filePath,
-                    date: new Date().toLocaleString(),
-                    lastPosition: targetPage,
-                    chapter: targetChapter
-                });
-
-                document.querySelector('.loading-message').textContent = '加载完成';
-                document.getElementById('loading-overlay').style.display = 'none';
+            // 旧缓存没有签名或签名版本不同，一律重新分章
+            if (cachedData && cachedData.rulesSignature !== getChapterRulesSignature(getChapterRules(fileName), fileName)) {
+                console.log('章节规则已变更，忽略缓存');
+                cachedData = null;
+            }
 
-                // 移动端自动进入沉浸模式
-                if (window.innerWidth <= 768) {
-                    document.querySelector('.reader-sidebar').classList.add('controls-hidden');
-                }
-                return;
+            // 缓存只有章节偏移，还需要记录的编码和全文长度才能还原正文
+            if (cachedData && cachedData.encoding && typeof cachedData.textLength === 'number' &&
+                cachedData.chapters && cachedData.chapters.length > 0) {
+                console.log('命中缓存，使用缓存的章节结构');
+                cachedStructure = cachedData;
             }
         } catch (cacheError) {
             console.error('检查缓存失败:', cacheError);
@@ -3732,6 +6976,7 @@ async function loadAndRenderBook(filePath, fileName, initialPosition = 0, initia
             allBookProgress[fileName] = {
                 page: initialPosition,
                 chapter: initialChapter,
+                ...getHistoryOffset(fileName),
                 lastRead: new Date().toISOString(),
                 hasChapters: true // 假设有章节，detectChapters 会修正
             };
@@ -3741,6 +6986,14 @@ async function loadAndRenderBook(filePath, fileName, initialPosition = 0, initia
         // 强制UI渲染
         await new Promise(resolve => requestAnimationFrame(resolve));
 
+        // EPUB 等格式由后端转换
+        if (isConvertedBook(fileName)) {
+            window.isPreviewMode = false;
+            processParsedBook(await ipcRenderer.invoke('read-book', filePath), fileName, options);
+            rememberFileFingerprint(fileName, filePath);
+            return;
+        }
+
         // 直接加载完整文件
         const data = await ipcRenderer.invoke('read-file', filePath);
 
@@ -3753,7 +7006,13 @@ async function loadAndRenderBook(filePath, fileName, initialPosition = 0, initia
 
         // 普通加载不是预览模式
         window.isPreviewMode = false;
-        await processFileContent(arrayBuffer, fileName);
+        await processFileContent(arrayBuffer, fileName, cachedStructure ? { ...options, cachedStructure } : options);
+        rememberFileFingerprint(fileName, filePath);
+
+        // 移动端自动进入沉浸模式
+        if (cachedStructure && window.innerWidth <= 768) {
+            document.querySelector('.reader-sidebar').classList.add('controls-hidden');
+        }
 
     } catch (error) {
         console.error('加载书籍失败:', error);
@@ -3771,6 +7030,13 @@ function processFileContent(buffer, fileName, options = {}) {
         }
 
         currentFileName = fileName;
+        currentBookBuffer = buffer;
+
+        // 用户为本书选择的编码优先；与缓存记录的编码不同时，缓存的章节偏移不再适用
+        const chosenEncoding = options.encoding || getBookEncoding(fileName);
+        if (chosenEncoding && options.cachedStructure && options.cachedStructure.encoding !== chosenEncoding) {
+            options = { ...options, cachedStructure: null };
+        }
 
         const fileWorker = createFileWorker();
 
@@ -3792,58 +7058,120 @@ function processFileContent(buffer, fileName, options = {}) {
                 return;
             }
 
-            const text = result.text;
-            const encoding = result.encoding || '未知';
-
-            if (!options.isPreview && !options.isBackground) {
-                showNotification(`检测到文件编码: ${encoding}`);
-            }
-
-            const progressKey = getStorageKey('allBookProgress');
-            const allBookProgress = JSON.parse(localStorage.getItem(progressKey)) || {};
-            if (allBookProgress[currentFileName]) {
-                currentPage = allBookProgress[currentFileName].page;
-                currentChapter = allBookProgress[currentFileName].chapter;
-            } else {
-                currentPage = 0;
-                currentChapter = 0;
+            currentBookEncoding = result.decoderEncoding || '';
+            currentEncodingCandidates = result.candidates || [];
+            if (!options.isPreview && !options.isBackground && !options.cachedStructure) {
+                showNotification(describeDecodedEncoding(result, chosenEncoding));
             }
 
-            // 只有在非后台加载时才更新标题，防止闪烁
-            if (!options.isBackground) {
-                const titleText = fileName.replace('.txt', '');
-                document.getElementById('book-title').textContent = titleText;
-                const mobileTitle = document.getElementById('mobile-book-title');
-                if (mobileTitle) mobileTitle.textContent = titleText;
-                document.querySelector('.loading-message').textContent = '正在分析章节结构...';
-            }
+            // 换编码重新解码后全文长度会变，按原来的阅读比例定位
+            const showOptions = typeof options.targetRatio === 'number'
+                ? { ...options, targetPosition: Math.round(options.targetRatio * result.text.length) }
+                : options;
+            showBookText(result.text, fileName, showOptions);
+            resolve();
+        }; fileWorker.postMessage({
+            buffer: buffer,
+            fileName: fileName,
+            encoding: chosenEncoding || (options.cachedStructure ? options.cachedStructure.encoding : null)
+        });
+    });
+}
 
-            document.getElementById('content').style.display = 'block';
+// 显示解码后的全文：恢复进度、更新标题和元数据、分章并记入历史
+function showBookText(text, fileName, options = {}) {
+    const progressKey = getStorageKey('allBookProgress');
+    const allBookProgress = JSON.parse(localStorage.getItem(progressKey)) || {};
+    const savedProgress = allBookProgress[currentFileName] || {};
+    if (allBookProgress[currentFileName]) {
+        currentPage = allBookProgress[currentFileName].page;
+        currentChapter = allBookProgress[currentFileName].chapter;
+    } else {
+        currentPage = 0;
+        currentChapter = 0;
+    }
 
-            // 显示阅读控制栏
-            const controls = document.querySelector('.reader-controls');
-            if (controls) controls.style.display = 'block';
+    // 只有在非后台加载时才更新标题，防止闪烁
+    if (!options.isBackground) {
+        const titleText = BookMetadata.getDisplayTitle(fileName, options.bookInfo);
+        document.getElementById('book-title').textContent = titleText;
+        const mobileTitle = document.getElementById('mobile-book-title');
+        if (mobileTitle) mobileTitle.textContent = titleText;
+        document.querySelector('.loading-message').textContent = '正在分析章节结构...';
+    }
 
-            // 确保翻页按钮在分页模式下可见
-            if (pageMode === 'page') {
-                const navButtons = document.querySelector('.navigation-buttons');
-                if (navButtons) navButtons.style.display = 'flex';
-            }
+    document.getElementById('content').style.display = 'block';
 
-            detectChapters(text, options);
+    // 显示阅读控制栏
+    const controls = document.querySelector('.reader-controls');
+    if (controls) controls.style.display = 'block';
 
-            addToHistory({
-                fileName: currentFileName,
-                filePath: window.currentFilePath,
-                date: new Date().toLocaleString(),
-                lastPosition: currentPage,
-                chapter: currentChapter
-            });
+    // 确保翻页按钮在分页模式下可见
+    if (pageMode === 'page') {
+        const navButtons = document.querySelector('.navigation-buttons');
+        if (navButtons) navButtons.style.display = 'flex';
+    }
 
-            resolve();
-        }; fileWorker.postMessage({
-            buffer: buffer,
-            fileName: fileName
+    currentBookMetadata = BookMetadata.extractMetadata(fileName, text);
+    // EPUB 等格式自带的书名、作者和简介优先
+    if (options.bookInfo) {
+        ['title', 'author', 'synopsis'].forEach(key => {
+            if (options.bookInfo[key]) currentBookMetadata[key] = options.bookInfo[key];
         });
+    }
+
+    // EPUB 等格式自带章节；TXT 缓存记录的全文长度一致，说明解码结果未变，可直接使用缓存的章节偏移
+    const cached = options.cachedStructure;
+    if (options.bookStructure) {
+        applyChapterStructure(text, options.bookStructure, options);
+    } else if (cached && text.length === cached.textLength) {
+        applyChapterStructure(text, {
+            chapters: cached.chapters,
+            volumes: cached.volumes,
+            rejected: cached.rejectedHeadings
+        }, options);
+    } else {
+        detectChapters(text, options);
+    }
+
+    addToHistory({
+        fileName: currentFileName,
+        filePath: window.currentFilePath,
+        date: new Date().toLocaleString(),
+        lastPosition: currentPage,
+        chapter: currentChapter,
+        offset: savedProgress.offset,
+        anchor: savedProgress.anchor
+    });
+    markBookReading(currentFileName);
+}
+
+// 由后端转换成文本的格式，与 book-formats.js 中的解析器对应
+const CONVERTED_BOOK_EXTENSIONS = ['.epub', '.fb2', '.html', '.htm', '.md', '.markdown', '.docx', '.umd'];
+
+function isConvertedBook(fileName) {
+    const match = String(fileName || '').toLowerCase().match(/\.[^.\\/]+$/);
+    return !!match && CONVERTED_BOOK_EXTENSIONS.includes(match[0]);
+}
+
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+// EPUB、FB2、DOCX 等格式由后端转换成文本和章节列表（含分卷），不再解码和分章
+function processParsedBook(book, fileName, options = {}) {
+    currentFileName = fileName;
+    currentBookEncoding = '';
+    currentBookBuffer = null;
+    currentEncodingCandidates = [];
+    showBookText(book.text, fileName, {
+        ...options,
+        bookStructure: { chapters: book.chapters, volumes: book.volumes },
+        bookInfo: { title: book.title, author: book.author, synopsis: book.synopsis }
     });
 }
@@ -4,16 +4,26 @@ const path = require('path');
 const url = require('url');
 const zlib = require('zlib');
 const os = require('os');
+const { Readable } = require('stream');
 
 const PORT = parseInt(process.env.PORT, 10) || 3000;
 const HOST = getListenHost();
 const fsPromises = fs.promises;
+const AnnotationExport = require('./annotation-export');
+const FulltextIndex = require('./fulltext-index');
+const LibraryIndex = require('./library-index');
+const BookFingerprint = require('./book-fingerprint');
+const BookFormats = require('./book-formats');
+const ArchiveReader = require('./archive-reader');
 
 // 模拟 Electron 的 app.getPath('exe')
 // 在 Web 模式下，我们使用当前目录作为基准
 const BASE_DIR = __dirname;
 const RANDOM_STATE_FILE = 'random_state.json';
 const CONFIG_FILE = 'config.json';
+const LIBRARY_INDEX_FILE = 'library_index.json';
+const FULLTEXT_INDEX_FILE = 'fulltext_index.db';
+const FULLTEXT_REFRESH_INTERVAL = 30 * 60 * 1000; // 全文索引定期检查书库变化
 
 // 全局变量
 // key: baseDir, value: { randomizedBooks: [], allAvailableBooks: [] }
@@ -37,38 +47,45 @@ function getListenHost() {
     return '127.0.0.1';
 }
 
-// 扫描搜索小说（按文件名包含关键字）
-async function searchBooks(keyword, limit = 100) {
+// 书库相关的所有目录：书库目录、搜索路径和随机阅读目录（去重）
+async function getLibraryDirs() {
     const config = await apiHandlers['load-config']();
     const baseDir = config.baseDir || path.join(BASE_DIR, 'books');
     const libraryDir = config.libraryDir || config.hiddenLibraryDir || '';
     const searchDirs = config.searchDirs || [];
-    const uniqueDirs = [...new Set([libraryDir, ...searchDirs, baseDir].filter(Boolean))];
+    return [...new Set([libraryDir, ...searchDirs, baseDir].filter(Boolean))];
+}
+
+// 建立书库索引的目录：在书库相关目录之外，还包括隐私模式的书库目录、搜索路径和随机阅读目录
+async function getIndexedDirs() {
+    const config = await apiHandlers['load-config']();
+    const hiddenDirs = [config.hiddenLibraryDir, ...(config.hiddenSearchDirs || []), config.hiddenBaseDir];
+    return [...new Set([...await getLibraryDirs(), ...hiddenDirs].filter(Boolean))];
+}
+
+// 搜索小说（按文件名包含关键字），直接查书库索引
+async function searchBooks(keyword, limit = 100) {
+    const uniqueDirs = await getLibraryDirs();
 
     const lowerKeyword = keyword.toLowerCase();
     const results = [];
     const seen = new Set();
 
     for (const dir of uniqueDirs) {
-        const txtFiles = await getAllTxtFiles(dir);
-        for (const filePath of txtFiles) {
-            if (seen.has(filePath)) continue;
-            seen.add(filePath);
+        for (const entry of await LibraryIndex.getEntries(dir)) {
+            if (seen.has(entry.path)) continue;
+            seen.add(entry.path);
 
-            const name = path.basename(filePath);
+            const name = path.basename(entry.path);
             if (!name.toLowerCase().includes(lowerKeyword)) continue;
 
-            let stat = null;
-            try {
-                stat = await fsPromises.stat(filePath);
-            } catch (_) { }
-
             results.push({
                 name,
-                path: filePath,
-                relativePath: path.relative(dir, filePath),
-                size: stat ? stat.size : 0,
-                mtime: stat ? stat.mtime.getTime() : 0
+                path: entry.path,
+                relativePath: path.relative(dir, entry.path),
+                size: entry.size,
+                mtime: entry.mtime,
+                meta: entry.meta
             });
 
             if (results.length >= limit) return results;
@@ -77,6 +94,37 @@ async function searchBooks(keyword, limit = 100) {
     return results;
 }
 
+// 加载书库索引，并在后台为书库目录建立 / 核对索引，第一次打开书库时不必等待扫描
+function startLibraryIndex() {
+    LibraryIndex.init(path.join(BASE_DIR, LIBRARY_INDEX_FILE), getIndexedDirs());
+    getLibraryDirs()
+        .then(dirs => Promise.all(dirs.map(dir => LibraryIndex.getEntries(dir))))
+        .catch(error => console.error('建立书库索引失败:', error));
+}
+
+// 更新全文索引：收集书库中所有 TXT，交给索引模块增量处理
+async function refreshFulltextIndex() {
+    const files = new Set();
+    for (const dir of await getLibraryDirs()) {
+        for (const filePath of await LibraryIndex.getFiles(dir)) files.add(filePath);
+    }
+    await FulltextIndex.updateIndex([...files]);
+}
+
+// 启动后台全文索引；sqlite 依赖不可用时只记录日志，书名搜索不受影响
+async function startFulltextIndexer() {
+    try {
+        await FulltextIndex.openIndex(path.join(BASE_DIR, FULLTEXT_INDEX_FILE));
+    } catch (error) {
+        console.error('全文索引不可用:', error.message);
+        return;
+    }
+    refreshFulltextIndex().catch(error => console.error('全文索引失败:', error));
+    setInterval(() => {
+        refreshFulltextIndex().catch(error => console.error('全文索引失败:', error));
+    }, FULLTEXT_REFRESH_INTERVAL);
+}
+
 // 辅助函数：加载随机状态
 async function loadRandomState() {
     try {
@@ -112,82 +160,18 @@ async function saveRandomState() {
     }
 }
 
-// 辅助函数：获取目录树结构
-async function getDirectoryTree(dir, relativePath = '') {
-    const items = [];
-    try {
-        const entries = await fsPromises.readdir(dir, { withFileTypes: true });
-        for (const entry of entries) {
-            const fullPath = path.join(dir, entry.name);
-            const entryRelativePath = path.join(relativePath, entry.name);
-
-            if (entry.isDirectory()) {
-                // 递归获取子目录
-                const children = await getDirectoryTree(fullPath, entryRelativePath);
-                // 只有当目录不为空时才添加
-                if (children.length > 0) {
-                    items.push({
-                        name: entry.name,
-                        path: fullPath, // 服务器绝对路径，用于读取
-                        relativePath: entryRelativePath, // 相对路径，用于展示
-                        type: 'directory',
-                        children: children
-                    });
-                }
-            } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.txt')) {
-                const stats = fs.statSync(fullPath);
-                items.push({
-                    name: entry.name,
-                    path: fullPath,
-                    relativePath: entryRelativePath,
-                    type: 'file',
-                    size: stats.size,
-                    mtime: stats.mtime.getTime()
-                });
-            }
-        }
-
-        // 排序：文件夹在前，文件在后
-        items.sort((a, b) => {
-            if (a.type === b.type) return a.name.localeCompare(b.name);
-            return a.type === 'directory' ? -1 : 1;
-        });
-
-    } catch (e) {
-        console.error(`无法扫描目录 ${dir}:`, e);
-    }
-    return items;
+// 书签、标注等按书名分组的同步数据，与阅读历史一样放在程序目录
+// 只有文件不存在时返回空对象；读不出或格式不对时抛出，由调用方决定如何处理
+async function loadSyncData(filename) {
+    const dataPath = path.join(BASE_DIR, filename);
+    if (!fs.existsSync(dataPath)) return {};
+    const parsed = JSON.parse(await fsPromises.readFile(dataPath, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error(`${filename} 格式不正确`);
+    return parsed;
 }
 
-// 递归获取所有 TXT 文件
-async function getAllTxtFiles(dir) {
-    const files = [];
-    const IGNORED_DIRS = new Set([
-        'node_modules', '.git', '.vscode', '.idea', 'dist', 'build', 'coverage',
-        '$RECYCLE.BIN', 'System Volume Information', 'Windows', 'Program Files', 'Program Files (x86)'
-    ]);
-    const MAX_DEPTH = 20;
-
-    async function scan(directory, depth = 0) {
-        if (depth > MAX_DEPTH) return;
-        try {
-            const entries = await fsPromises.readdir(directory, { withFileTypes: true });
-            for (const entry of entries) {
-                const fullPath = path.join(directory, entry.name);
-                if (entry.isDirectory()) {
-                    if (!IGNORED_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
-                        await scan(fullPath, depth + 1);
-                    }
-                } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.txt')) {
-                    files.push(fullPath);
-                }
-            }
-        } catch (e) {
-            console.error(`无法扫描目录 ${directory}:`, e);
-        }
-    }
-    await scan(dir);
-    return files;
+async function saveSyncData(filename, data) {
+    await fsPromises.writeFile(path.join(BASE_DIR, filename), JSON.stringify(data, null, 4));
 }
 
 // API 处理函数
@@ -285,6 +269,100 @@ const apiHandlers = {
         }
     },
 
+    // 书签按书名分组保存：{ 书名: [书签, ...] }
+    'save-bookmarks': async (args) => {
+        const bookmarks = args[0];
+        const profile = args[1] || 'default';
+        try {
+            await saveSyncData(profile === 'hidden' ? 'bookmarks_hidden.json' : 'bookmarks.json', bookmarks);
+            return true;
+        } catch (error) {
+            console.error('保存书签失败:', error);
+            return false;
+        }
+    },
+
+    'load-bookmarks': async (args) => {
+        const profile = (args && args[0]) || 'default';
+        try {
+            return await loadSyncData(profile === 'hidden' ? 'bookmarks_hidden.json' : 'bookmarks.json');
+        } catch (error) {
+            console.error('加载书签失败:', error);
+            return null;
+        }
+    },
+
+    // 书架和标签：{ shelves: [书架名, ...], books: { 书名: { shelves: [...], tags: [...] } } }
+    'save-bookshelf': async (args) => {
+        const bookshelf = args[0];
+        const profile = args[1] || 'default';
+        try {
+            await saveSyncData(profile === 'hidden' ? 'bookshelf_hidden.json' : 'bookshelf.json', bookshelf);
+            return true;
+        } catch (error) {
+            console.error('保存书架失败:', error);
+            return false;
+        }
+    },
+
+    'load-bookshelf': async (args) => {
+        const profile = (args && args[0]) || 'default';
+        try {
+            return await loadSyncData(profile === 'hidden' ? 'bookshelf_hidden.json' : 'bookshelf.json');
+        } catch (error) {
+            console.error('加载书架失败:', error);
+            return null;
+        }
+    },
+
+    // 高亮和笔记按书名分组保存：{ 书名: [标注, ...] }
+    'save-annotations': async (args) => {
+        const annotations = args[0];
+        const profile = args[1] || 'default';
+        try {
+            await saveSyncData(profile === 'hidden' ? 'annotations_hidden.json' : 'annotations.json', annotations);
+            return true;
+        } catch (error) {
+            console.error('保存标注失败:', error);
+            return false;
+        }
+    },
+
+    'load-annotations': async (args) => {
+        const profile = (args && args[0]) || 'default';
+        try {
+            return await loadSyncData(profile === 'hidden' ? 'annotations_hidden.json' : 'annotations.json');
+        } catch (error) {
+            console.error('加载标注失败:', error);
+            return null;
+        }
+    },
+
+    // 导出高亮、笔记和书签：每本书一个 Markdown 文件，外加一份可导入的 JSON
+    // 写到服务端的 annotation_exports 目录，便于笔记软件同步该目录
+    'export-annotations': async (args) => {
+        const profile = (args && args[0]) || 'default';
+        try {
+            const annotations = await loadSyncData(profile === 'hidden' ? 'annotations_hidden.json' : 'annotations.json');
+            const bookmarks = await loadSyncData(profile === 'hidden' ? 'bookmarks_hidden.json' : 'bookmarks.json');
+            const exportDir = path.join(BASE_DIR, profile === 'hidden' ? 'annotation_exports_hidden' : 'annotation_exports');
+            await fsPromises.mkdir(exportDir, { recursive: true });
+
+            const files = AnnotationExport.buildMarkdownFiles(annotations, bookmarks);
+            for (const file of files) {
+                await fsPromises.writeFile(path.join(exportDir, file.name), file.content, 'utf8');
+            }
+            const jsonName = 'annotations.json';
+            await fsPromises.writeFile(path.join(exportDir, jsonName),
+                JSON.stringify(AnnotationExport.buildExportJson(annotations, bookmarks), null, 4), 'utf8');
+
+            return { dir: exportDir, files: files.map(file => file.name).concat(jsonName) };
+        } catch (error) {
+            console.error('导出标注失败:', error);
+            return { error: error.message };
+        }
+    },
+
     'load-config': async () => {
         const configPath = path.join(BASE_DIR, CONFIG_FILE);
         // 环境变量 BOOKS_DIR 仅作为默认值，不强制覆盖用户选择
@@ -395,19 +473,38 @@ const apiHandlers = {
         }
         Object.assign(config, newSettings);
         await fsPromises.writeFile(configPath, JSON.stringify(config, null, 4));
+        // 书库目录变化后更新建立索引的目录，并重新检查全文索引
+        if (['libraryDir', 'baseDir', 'searchDirs'].some(key => key in newSettings || `hidden${key[0].toUpperCase()}${key.slice(1)}` in newSettings)) {
+            LibraryIndex.setLibraryDirs(await getIndexedDirs());
+            if (FulltextIndex.getStatus().enabled) {
+                refreshFulltextIndex().catch(error => console.error('全文索引失败:', error));
+            }
+        }
         return true;
     },
 
     'read-file': async (args) => {
         const filePath = args[0];
         // 安全检查：防止读取系统关键文件，这里简单放行，因为是个人服务器
-        return await fsPromises.readFile(filePath); // 返回 Buffer，JSON.stringify 会将其转换为 {type: 'Buffer', data: [...]}
+        // 路径可以是压缩包中的书（pack.zip!/book.txt）
+        return await ArchiveReader.readFile(filePath); // 返回 Buffer，JSON.stringify 会将其转换为 {type: 'Buffer', data: [...]}
+    },
+
+    // EPUB 等格式在服务端转换成文本和章节列表
+    'read-book': async (args) => {
+        return await BookFormats.loadBook(args[0]);
+    },
+
+    // 本地上传的 EPUB 等文件（base64）
+    'parse-book': async (args) => {
+        const [fileName, base64] = args;
+        return BookFormats.parseBook(fileName, Buffer.from(base64, 'base64'));
     },
 
     'get-file-size': async (args) => {
         const filePath = args[0];
         try {
-            const stats = await fsPromises.stat(filePath);
+            const stats = await ArchiveReader.stat(filePath);
             return stats.size;
         } catch (error) {
             return 0;
@@ -416,17 +513,11 @@ const apiHandlers = {
 
     'read-file-chunk': async (args) => {
         const [filePath, start, length] = args;
-        let fd = null;
         try {
-            fd = await fsPromises.open(filePath, 'r');
-            const buffer = Buffer.alloc(length);
-            const { bytesRead } = await fd.read(buffer, 0, length, start);
-            return buffer.subarray(0, bytesRead);
+            return await ArchiveReader.readChunk(filePath, start, length);
         } catch (error) {
             console.error('读取文件分片失败:', error);
             return null;
-        } finally {
-            if (fd) await fd.close();
         }
     },
 
@@ -458,14 +549,14 @@ const apiHandlers = {
         }
 
         // 返回树状结构
-        return await getDirectoryTree(libraryDir);
+        return await LibraryIndex.getTree(libraryDir);
     },
 
     'get-file-stat': async (args) => {
         const filePath = args[0];
         console.log(`[get-file-stat] Checking: ${filePath}`);
         try {
-            const stats = await fsPromises.stat(filePath);
+            const stats = await ArchiveReader.stat(filePath);
             return {
                 size: stats.size,
                 mtime: stats.mtime.getTime()
@@ -507,7 +598,7 @@ const apiHandlers = {
                         path: fullPath,
                         type: 'directory'
                     });
-                } else if (includeFiles && entry.isFile() && entry.name.toLowerCase().endsWith('.txt')) {
+                } else if (includeFiles && entry.isFile() && LibraryIndex.isBookFile(entry.name)) {
                     const stats = await fsPromises.stat(fullPath).catch(() => null);
                     items.push({
                         name: entry.name,
@@ -536,26 +627,36 @@ const apiHandlers = {
             console.error(`列出目录失败 ${dirPath}:`, error);
             return { error: error.message };
         }
-    }, 'search-file': async (args) => {
+    },
+
+    'search-file': async (args) => {
         const [baseDir, fileName] = args;
-        async function searchInDir(dir) {
-            try {
-                const entries = await fsPromises.readdir(dir, { withFileTypes: true });
-                for (const entry of entries) {
-                    const fullPath = path.join(dir, entry.name);
-                    if (entry.isDirectory()) {
-                        const result = await searchInDir(fullPath);
-                        if (result) return result;
-                    } else if (entry.name.toLowerCase() === fileName.toLowerCase()) {
-                        return fullPath;
-                    }
-                }
-            } catch (error) {
-                console.error(`读取目录 ${dir} 时出错:`, error);
-            }
+        try {
+            return await LibraryIndex.findFile(baseDir, fileName);
+        } catch (error) {
+            console.error(`在 ${baseDir} 中查找文件失败:`, error);
+            return null;
+        }
+    },
+
+    // 文件指纹（大小和首尾哈希），保存在历史记录中，文件改名或移动后据此找回
+    'get-file-fingerprint': async (args) => {
+        try {
+            return await LibraryIndex.getFileFingerprint(args[0]);
+        } catch (error) {
+            console.error(`计算文件指纹失败 ${args[0]}:`, error);
+            return null;
+        }
+    },
+
+    'locate-book': async (args) => {
+        const [filePath, fingerprint, searchPaths] = args;
+        try {
+            return await LibraryIndex.locateFile(filePath, fingerprint, searchPaths);
+        } catch (error) {
+            console.error('查找书籍失败:', error);
             return null;
         }
-        return await searchInDir(baseDir);
     },
 
     // 按文件名关键字搜索小说
@@ -571,6 +672,37 @@ const apiHandlers = {
         }
     },
 
+    // 查重：书库中内容相同或相近的书（不同文件名、编码的副本）
+    'find-duplicates': async () => {
+        try {
+            const entries = new Map();
+            for (const dir of await getLibraryDirs()) {
+                for (const entry of await LibraryIndex.getEntries(dir)) entries.set(entry.path, entry);
+            }
+            // 指纹要读完整本书，第一次查重时才开始在后台计算，没算完的书计入 pending
+            LibraryIndex.queueFingerprints([...entries.keys()]);
+            return BookFingerprint.buildDuplicateReport([...entries.values()]);
+        } catch (error) {
+            console.error('查找重复书籍失败:', error);
+            return { error: error.message };
+        }
+    },
+
+    // 全文搜索：返回包含关键字的书、章节和上下文片段
+    'search-fulltext': async (args) => {
+        const keyword = (args && args[0] || '').trim();
+        const limit = (args && args[1]) || 100;
+        const status = FulltextIndex.getStatus();
+        if (!keyword) return { status, results: [] };
+        if (!status.enabled) return { status, error: '全文索引未启用（缺少 sqlite 依赖？）' };
+        try {
+            return { status, results: await FulltextIndex.search(keyword, limit) };
+        } catch (error) {
+            console.error('全文搜索失败:', error);
+            return { status, error: error.message };
+        }
+    },
+
     'get-random-file': async (args) => {
         let baseDir = args[0];
 
@@ -607,7 +739,7 @@ const apiHandlers = {
         if (!state.randomizedBooks) state.randomizedBooks = [];
         if (!state.allAvailableBooks) state.allAvailableBooks = [];
 
-        const txtFiles = await getAllTxtFiles(baseDir);
+        const txtFiles = await LibraryIndex.getFiles(baseDir);
         if (txtFiles.length === 0) return null;
 
         const currentBookSet = JSON.stringify(txtFiles.sort());
@@ -701,11 +833,14 @@ const server = http.createServer(async (req, res) => {
 
                     // 简单的安全检查
                     try {
-                        const stat = await fsPromises.stat(filePath);
+                        const stat = await ArchiveReader.stat(filePath);
 
                         // 启用压缩支持
                         const acceptEncoding = req.headers['accept-encoding'] || '';
-                        const rawStream = fs.createReadStream(filePath);
+                        // 压缩包中的书先解压到内存再输出
+                        const rawStream = ArchiveReader.isVirtualPath(filePath)
+                            ? Readable.from([await ArchiveReader.readFile(filePath)])
+                            : fs.createReadStream(filePath);
 
                         // 设置基本头部
                         const headers = {
@@ -860,6 +995,8 @@ server.listen(PORT, HOST, () => {
     console.log(`监听地址: ${HOST}`);
     console.log(`端口: ${PORT}`);
     console.log(`Server running at http://${HOST}:${PORT}/`);
+    startLibraryIndex();
+    startFulltextIndexer();
 });
 
 // 恢复默认超时设置
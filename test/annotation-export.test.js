@@ -0,0 +1,73 @@
+// 标注导出格式的测试：node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const AnnotationExport = require('../annotation-export');
+
+const annotation = (start, text, extra = {}) => ({
+    id: `a${start}`, start, end: start + text.length, text, color: 'yellow',
+    chapterTitle: '第一章', createdAt: '2024-03-05T08:09:00', ...extra
+});
+
+test('Markdown 按位置排序，同一章归在一个标题下，书签附在最后', () => {
+    const markdown = AnnotationExport.buildBookMarkdown('测试.txt', [
+        annotation(50, '第二句', { chapterTitle: '第二章', note: '想法' }),
+        annotation(10, '第一句\n续行')
+    ], [
+        { id: 'b1', label: '书签', offset: 30, chapterTitle: '第一章', createdAt: '2024-03-06T10:00:00' }
+    ]);
+
+    assert.strictEqual(markdown, [
+        '# 测试', '',
+        '## 第一章', '',
+        '> 第一句\n> 续行', '',
+        '*2024-03-05 08:09*', '',
+        '## 第二章', '',
+        '> 第二句', '',
+        '想法', '',
+        '*2024-03-05 08:09*', '',
+        '## 书签', '',
+        '- 书签（第一章） — 2024-03-06 10:00',
+        ''
+    ].join('\n'));
+});
+
+test('只为有标注或书签的书生成文件', () => {
+    const files = AnnotationExport.buildMarkdownFiles({ '甲.txt': [annotation(0, '甲')], '乙.txt': [] }, { '丙.txt': [] });
+    assert.deepStrictEqual(files.map(file => file.name), ['甲.txt.md']);
+});
+
+test('同名不同格式的书和替换非法字符后重名的书导出到不同文件', () => {
+    const files = AnnotationExport.buildMarkdownFiles({
+        '书名.txt': [annotation(0, '一')],
+        '书名.epub': [annotation(0, '二')],
+        'a:b.txt': [annotation(0, '三')],
+        'a?b.txt': [annotation(0, '四')]
+    });
+    const names = files.map(file => file.name);
+    assert.strictEqual(new Set(names).size, 4);
+    assert.deepStrictEqual(names.slice(0, 3), ['书名.txt.md', '书名.epub.md', 'a_b.txt.md']);
+    assert.match(names[3], /^a_b\.txt-[0-9a-f]{6}\.md$/);
+});
+
+test('JSON 导出可以原样导入，格式不对时报错', () => {
+    const data = AnnotationExport.buildExportJson({ '甲.txt': [annotation(0, '甲')] }, {});
+    const parsed = AnnotationExport.parseExportJson(JSON.stringify(data));
+    assert.deepStrictEqual(parsed.annotations, data.annotations);
+
+    assert.throws(() => AnnotationExport.parseExportJson({}), /不是有效的导出文件/);
+    assert.throws(() => AnnotationExport.parseExportJson({ version: AnnotationExport.EXPORT_VERSION + 1 }), /版本过新/);
+    assert.throws(() => AnnotationExport.parseExportJson({ version: 1, annotations: { '甲.txt': 'x' } }), /已损坏/);
+});
+
+test('合并时新增的记录计数，同一 id 保留更新较晚的一份', () => {
+    const current = { '甲.txt': [annotation(0, '旧', { updatedAt: '2024-01-02' })] };
+    const incoming = {
+        '甲.txt': [annotation(0, '新', { updatedAt: '2024-01-03' }), annotation(5, '另一条')],
+        '乙.txt': [annotation(0, '乙')]
+    };
+    const { merged, added } = AnnotationExport.mergeBookMaps(current, incoming);
+    assert.strictEqual(added, 2);
+    assert.strictEqual(merged['甲.txt'].find(item => item.id === 'a0').text, '新');
+    assert.strictEqual(merged['乙.txt'].length, 1);
+    assert.strictEqual(current['甲.txt'][0].text, '旧');
+});
@@ -0,0 +1,66 @@
+// 压缩包虚拟路径的测试：node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ArchiveReader = require('../archive-reader');
+const ZipReader = require('../zip-reader');
+const { createZip } = require('./helpers/zip');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-reader-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// 把中央目录中第一个成员的解压后大小改成 size，模拟声明过大的成员
+function withDeclaredSize(zip, size) {
+    const forged = Buffer.from(zip);
+    forged.writeUInt32LE(size, forged.readUInt32LE(forged.length - 6) + 24);
+    return forged;
+}
+
+test('拆分虚拟路径：以第一个压缩包结尾的前缀为压缩包路径', () => {
+    assert.deepStrictEqual(ArchiveReader.parseVirtualPath('/books/pack.zip!/folder/book.txt'),
+        { archivePath: '/books/pack.zip', memberPath: 'folder/book.txt' });
+    // 目录名和成员名中的「!/」不是分隔符
+    assert.deepStrictEqual(ArchiveReader.parseVirtualPath('/books/惊叹!/pack.7z!/第一部!/book.txt'),
+        { archivePath: '/books/惊叹!/pack.7z', memberPath: '第一部!/book.txt' });
+    assert.deepStrictEqual(ArchiveReader.parseVirtualPath('/books/PACK.RAR!/a.txt'),
+        { archivePath: '/books/PACK.RAR', memberPath: 'a.txt' });
+
+    assert.strictEqual(ArchiveReader.parseVirtualPath('/books/惊叹!/book.txt'), null);
+    assert.strictEqual(ArchiveReader.parseVirtualPath('/books/pack.zip'), null);
+    assert.strictEqual(ArchiveReader.parseVirtualPath(null), null);
+
+    assert.ok(ArchiveReader.isVirtualPath('/books/pack.zip!/a.txt'));
+    assert.strictEqual(ArchiveReader.getContainerPath('/books/pack.zip!/a.txt'), '/books/pack.zip');
+    assert.strictEqual(ArchiveReader.getContainerPath('/books/a.txt'), '/books/a.txt');
+});
+
+test('列出、读取和统计 ZIP 中的书', async () => {
+    const zipPath = path.join(tempDir, '合集!.zip');
+    fs.writeFileSync(zipPath, createZip({ '第一部!/a.txt': '正文甲', 'b.txt': '0123456789', 'dir/': '' }, { deflate: true }));
+
+    const members = await ArchiveReader.listMembers(zipPath);
+    assert.deepStrictEqual(members.map(member => member.path), [`${zipPath}!/第一部!/a.txt`, `${zipPath}!/b.txt`]);
+
+    const memberPath = `${zipPath}!/第一部!/a.txt`;
+    assert.strictEqual((await ArchiveReader.readFile(memberPath)).toString(), '正文甲');
+    assert.strictEqual((await ArchiveReader.stat(memberPath)).size, Buffer.byteLength('正文甲'));
+    assert.strictEqual((await ArchiveReader.readChunk(`${zipPath}!/b.txt`, 3, 4)).toString(), '3456');
+    assert.ok(await ArchiveReader.exists(memberPath));
+    assert.ok(!await ArchiveReader.exists(`${zipPath}!/missing.txt`));
+    await assert.rejects(ArchiveReader.readFile(`${zipPath}!/missing.txt`), { code: 'ENOENT' });
+});
+
+test('超过大小上限的成员不解压', async () => {
+    const zip = createZip({ 'big.txt': 'small' }, { deflate: true });
+
+    // 中央目录声明的大小超过上限
+    const forged = withDeclaredSize(zip, ZipReader.MAX_ENTRY_SIZE + 1);
+    assert.throws(() => ZipReader.openZip(forged).read('big.txt'), /文件过大/);
+
+    const zipPath = path.join(tempDir, 'big.zip');
+    fs.writeFileSync(zipPath, forged);
+    await assert.rejects(ArchiveReader.readFile(`${zipPath}!/big.txt`), /文件过大/);
+    await assert.rejects(ArchiveReader.readChunk(`${zipPath}!/big.txt`, 0, 10), /文件过大/);
+});
@@ -0,0 +1,65 @@
+// 内容指纹与查重的测试：node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const BookFingerprint = require('../book-fingerprint');
+
+// 生成一本书：每章若干段，段落内容由 seed 决定，不同 seed 的段落互不相同
+function makeBook(seed, chapterCount = 20) {
+    const lines = [];
+    for (let i = 1; i <= chapterCount; i++) {
+        lines.push(`第${i}章 ${seed}的第${i}个故事`);
+        for (let j = 1; j <= 5; j++) {
+            lines.push(`${seed}在第${i}章第${j}段里走过了很长很长的一段路，看到了许多风景。`);
+        }
+    }
+    return lines.join('\n');
+}
+
+test('同一内容的指纹相同，与缩进、空白和标点无关', () => {
+    const text = makeBook('甲');
+    const fingerprint = BookFingerprint.computeFingerprint(text);
+    assert.ok(fingerprint.length > 0 && fingerprint.length <= 64);
+    assert.deepStrictEqual(BookFingerprint.computeFingerprint(text), fingerprint);
+
+    const reformatted = text.replace(/\n/g, '\n　　').replace(/，/g, ', ').replace(/。/g, ' . ');
+    assert.strictEqual(BookFingerprint.estimateSimilarity(fingerprint, BookFingerprint.computeFingerprint(reformatted)), 1);
+});
+
+test('相似度近似于内容重合的比例', () => {
+    const a = BookFingerprint.computeFingerprint(makeBook('甲'));
+    const b = BookFingerprint.computeFingerprint(makeBook('乙'));
+    assert.strictEqual(BookFingerprint.estimateSimilarity(a, b), 0);
+
+    // 后半部分换成别的内容
+    const half = BookFingerprint.computeFingerprint(makeBook('甲', 10) + '\n' + makeBook('乙', 20).split('\n').slice(60).join('\n'));
+    const score = BookFingerprint.estimateSimilarity(a, half);
+    assert.ok(score > 0.1 && score < 0.9, `相似度 ${score}`);
+
+    assert.strictEqual(BookFingerprint.estimateSimilarity(a, []), 0);
+    assert.strictEqual(BookFingerprint.estimateSimilarity(null, a), 0);
+});
+
+test('内容相同的书分为一组，读取失败的书不算待计算', () => {
+    const original = BookFingerprint.computeFingerprint(makeBook('甲'));
+    const entries = [
+        { path: '/books/甲.txt', size: 100, mtime: 1, fingerprint: original, encoding: 'utf-8', chapterCount: 20 },
+        { path: '/books/备份/甲(1).txt', size: 80, mtime: 2, fingerprint: BookFingerprint.computeFingerprint(makeBook('甲').replace(/，/g, ',')) },
+        { path: '/books/乙.txt', size: 90, mtime: 3, fingerprint: BookFingerprint.computeFingerprint(makeBook('乙')) },
+        { path: '/books/丙.txt', size: 10, mtime: 4, fingerprint: null },
+        { path: '/books/损坏.txt', size: 10, mtime: 5, fingerprint: null, fingerprintFailed: true }
+    ];
+
+    const groups = BookFingerprint.findDuplicateGroups(entries);
+    assert.strictEqual(groups.length, 1);
+    assert.strictEqual(groups[0].similarity, 1);
+    assert.deepStrictEqual(groups[0].books.map(entry => entry.path).sort(), ['/books/备份/甲(1).txt', '/books/甲.txt']);
+
+    const report = BookFingerprint.buildDuplicateReport(entries);
+    assert.strictEqual(report.total, 5);
+    assert.strictEqual(report.pending, 1);
+    assert.strictEqual(report.groups.length, 1);
+    const copy = report.groups[0].books.find(book => book.name === '甲.txt');
+    assert.deepStrictEqual(copy, {
+        name: '甲.txt', path: '/books/甲.txt', size: 100, mtime: 1, encoding: 'utf-8', chapterCount: 20, meta: undefined
+    });
+});
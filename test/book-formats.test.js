@@ -0,0 +1,229 @@
+// 电子书转换的回归测试：node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const BookFormats = require('../book-formats');
+const { createZip } = require('./helpers/zip');
+
+function createEpub(tocTitle) {
+    return createZip({
+        'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+        'OEBPS/content.opf': `<package><metadata><dc:title>测试</dc:title></metadata>
+            <manifest>
+                <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+                <item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/>
+            </manifest>
+            <spine toc="ncx"><itemref idref="c1"/></spine></package>`,
+        'OEBPS/toc.ncx': `<ncx><navMap><navPoint><navLabel><text>${tocTitle}</text></navLabel><content src="c1.xhtml"/></navPoint></navMap></ncx>`,
+        'OEBPS/c1.xhtml': '<html><body><p>正文第一段</p></body></html>'
+    });
+}
+
+// 标题在去标签之后才解码实体，转义过的标签会还原成字面文字：
+// 解析结果必须是纯文本，由阅读器在目录、卷名等每个显示位置转义，不能当作 HTML 插入
+test('EPUB 目录标题中转义过的标签保留为纯文本', () => {
+    const book = BookFormats.parseBook('test.epub', createEpub('第一章 &lt;img src=x onerror=alert(1)&gt;'));
+    assert.strictEqual(book.chapters.length, 1);
+    assert.strictEqual(book.chapters[0].title, '第一章 <img src=x onerror=alert(1)>');
+    assert.ok(book.text.startsWith('第一章 <img src=x onerror=alert(1)>\n正文第一段'));
+});
+
+test('EPUB 目录标题中的真实标签被去掉', () => {
+    const book = BookFormats.parseBook('test.epub', createEpub('第一章 <b>开始</b>'));
+    assert.strictEqual(book.chapters[0].title, '第一章 开始');
+});
+
+test('FB2 顶层小节有子小节时作为卷，注释正文和书外信息不进入正文', () => {
+    const fb2 = `<?xml version="1.0" encoding="utf-8"?>
+<FictionBook><description><title-info>
+    <author><first-name>Лев</first-name><last-name>Толстой</last-name></author>
+    <book-title>测试 &amp; 书</book-title><annotation><p>简介</p></annotation>
+</title-info></description>
+<body>
+    <section><p>卷首前的说明</p></section>
+    <section><title><p>第一卷</p></title>
+        <section><title><p>第一章</p><p>开始</p></title><p>第一段</p><p>第二段 <emphasis>强调</emphasis></p></section>
+        <section><p>接在上一章后面</p></section>
+        <section><title><p>第二章</p></title><p>第三段</p></section>
+    </section>
+</body>
+<body name="notes"><section><title><p>注释</p></title><p>不显示</p></section></body>
+</FictionBook>`;
+    const book = BookFormats.parseBook('test.fb2', Buffer.from(fb2));
+    assert.strictEqual(book.format, 'fb2');
+    assert.strictEqual(book.title, '测试 & 书');
+    assert.strictEqual(book.author, 'Лев Толстой');
+    assert.strictEqual(book.synopsis, '简介');
+    assert.deepStrictEqual(book.chapters.map(chapter => chapter.title), ['开始', '第一章 开始', '第二章']);
+    assert.deepStrictEqual(book.volumes.map(volume => [volume.title, volume.chapterIndex]), [['第一卷', 1]]);
+    assert.strictEqual(book.text, '开始\n卷首前的说明\n\n第一卷\n\n第一章 开始\n第一段\n第二段 强调\n接在上一章后面\n\n第二章\n第三段\n\n');
+    // 卷首没有正文，卷名并入第一章
+    assert.strictEqual(book.chapters[1].position, book.text.indexOf('第一卷'));
+    assert.ok(!book.text.includes('不显示'));
+    assert.throws(() => BookFormats.parseBook('empty.fb2', Buffer.from('<FictionBook><body name="notes"></body></FictionBook>')), /FB2 中没有正文/);
+});
+
+test('HTML 按重复出现的标题分章，按 meta charset 解码', () => {
+    // 「第一章」的 GBK 编码
+    const gbkHeading = Buffer.from([0xB5, 0xDA, 0xD2, 0xBB, 0xD5, 0xC2]);
+    const html = Buffer.concat([
+        Buffer.from('<html><head><meta charset="gbk"><title>Book</title><meta name="author" content="Someone">' +
+            '<style>p { color: red }</style></head><body><h1>Book</h1><p>preface</p><h2>'),
+        gbkHeading,
+        Buffer.from('</h2><p>one &amp; <b>two</b></p><p>three<br>four</p><h2>Chapter 2</h2><div>five</div><!-- hidden --></body></html>')
+    ]);
+    const book = BookFormats.parseBook('test.HTM', html);
+    assert.strictEqual(book.format, 'html');
+    assert.strictEqual(book.title, 'Book');
+    assert.strictEqual(book.author, 'Someone');
+    // 只出现一次的 <h1> 按正文处理
+    assert.deepStrictEqual(book.chapters.map(chapter => chapter.title), ['开始', '第一章', 'Chapter 2']);
+    assert.strictEqual(book.text, '开始\nBook\npreface\n\n第一章\none & two\nthree\nfour\n\nChapter 2\nfive\n\n');
+    assert.deepStrictEqual(book.chapters.map(chapter => [chapter.position, chapter.end]), [
+        [0, book.text.indexOf('第一章')],
+        [book.text.indexOf('第一章'), book.text.indexOf('Chapter 2')],
+        [book.text.indexOf('Chapter 2'), book.text.length]
+    ]);
+    assert.throws(() => BookFormats.parseBook('empty.html', Buffer.from('<html><body> </body></html>')), /HTML 中没有可显示的正文/);
+});
+
+test('Markdown 两级标题分卷和章，去掉行内标记，合并段内折行', () => {
+    const markdown = [
+        '# 书名', '',
+        '## 第一卷', '',
+        '### 第一章', '',
+        '这是**第一段**，', '中文折行。', '',
+        'English line', 'continues [here](http://example.com).', '',
+        '- 列表一', '- 列表二', '',
+        '#### 小标题', '',
+        '```', '代码 **不处理**', '```', '',
+        '### 第二章', '正文', '',
+        '## 第二卷', '',
+        '### 第三章', '结束'
+    ].join('\r\n');
+    const book = BookFormats.parseBook('test.md', Buffer.from(markdown));
+    assert.strictEqual(book.format, 'markdown');
+    assert.strictEqual(book.title, '书名');
+    assert.deepStrictEqual(book.volumes.map(volume => [volume.title, volume.chapterIndex]), [['第一卷', 1], ['第二卷', 3]]);
+    assert.deepStrictEqual(book.chapters.map(chapter => chapter.title), ['开始', '第一章', '第二章', '第三章']);
+    assert.ok(book.text.includes('第一章\n这是第一段，中文折行。\nEnglish line continues here.\n列表一\n列表二\n小标题\n代码 **不处理**\n\n'));
+
+    // === 下划线的一级标题
+    const setext = BookFormats.parseBook('test.markdown', Buffer.from('Part One\n===\ntext\n\nPart Two\n===\nmore'));
+    assert.deepStrictEqual(setext.chapters.map(chapter => chapter.title), ['Part One', 'Part Two']);
+    assert.strictEqual(setext.title, '');
+});
+
+test('DOCX 按标题样式分章，读取文档属性', () => {
+    const paragraph = (text, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/><w:tabs><w:tab w:val="left" w:pos="720"/></w:tabs></w:pPr>` : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+    const docx = createZip({
+        'word/document.xml': `<w:document><w:body>
+            ${paragraph('书名', 'Title')}
+            ${paragraph('第一章', '1')}
+            ${paragraph('正文 &amp; 内容')}
+            <w:p><w:r><w:t xml:space="preserve">第一行</w:t><w:br/><w:t>第二行</w:t><w:tab/><w:t>制表</w:t></w:r></w:p>
+            ${paragraph('第二章', 'Heading1')}
+            <w:p><w:pPr><w:outlineLvl w:val="1"/></w:pPr><w:r><w:t>小节</w:t></w:r></w:p>
+            ${paragraph('结尾')}
+        </w:body></w:document>`,
+        'word/styles.xml': '<w:styles><w:style w:styleId="1"><w:name w:val="heading 1"/></w:style>' +
+            '<w:style w:styleId="Heading1"><w:name w:val="Heading 1"/></w:style></w:styles>',
+        'docProps/core.xml': '<cp:coreProperties><dc:title>文档标题</dc:title><dc:creator>作者</dc:creator></cp:coreProperties>'
+    }, { deflate: true });
+    const book = BookFormats.parseBook('test.docx', docx);
+    assert.strictEqual(book.format, 'docx');
+    assert.strictEqual(book.title, '文档标题');
+    assert.strictEqual(book.author, '作者');
+    // Title 样式也是一级标题，与「第一章」「第二章」一起出现三次，二级的「小节」只出现一次，按正文处理
+    assert.deepStrictEqual(book.chapters.map(chapter => chapter.title), ['书名', '第一章', '第二章']);
+    assert.strictEqual(book.text, '书名\n\n第一章\n正文 & 内容\n第一行\n第二行 制表\n\n第二章\n小节\n结尾\n\n');
+    assert.throws(() => BookFormats.parseBook('empty.docx', createZip({ 'a.xml': '' })), /DOCX 缺少 word\/document.xml/);
+});
+
+test('不支持的扩展名报错', () => {
+    assert.ok(BookFormats.isConvertedFormat('a.FB2'));
+    assert.ok(!BookFormats.isConvertedFormat('a.txt'));
+    assert.throws(() => BookFormats.parseBook('a.txt', Buffer.from('')), /不支持的格式/);
+});
+
+// UMD 功能块：'#'、编号、标志、含头部的长度；附加数据块：'$'、校验值、含头部的长度
+function umdFunction(id, content = Buffer.alloc(0)) {
+    const header = Buffer.from([0x23, 0, 0, 0, 5 + content.length]);
+    header.writeUInt16LE(id, 1);
+    return Buffer.concat([header, content]);
+}
+
+function umdData(check, content) {
+    const header = Buffer.alloc(9);
+    header[0] = 0x24;
+    header.writeUInt32LE(check, 1);
+    header.writeUInt32LE(9 + content.length, 5);
+    return Buffer.concat([header, content]);
+}
+
+function uint32List(values) {
+    const buffer = Buffer.alloc(values.length * 4);
+    values.forEach((value, index) => buffer.writeUInt32LE(value, index * 4));
+    return buffer;
+}
+
+function createUmd({ title = '', author = '', text, chapters = [], order = null }) {
+    const signature = Buffer.alloc(4);
+    signature.writeUInt32LE(0xDE9A9B89);
+    const body = Buffer.from(text, 'utf16le');
+    // 正文分成两个压缩块，校验值 1、2
+    const half = Math.floor(body.length / 4) * 2;
+    const blocks = [umdData(1, zlib.deflateSync(body.subarray(0, half))), umdData(2, zlib.deflateSync(body.subarray(half)))];
+    const parts = [
+        signature,
+        umdFunction(0x01, Buffer.from([1])),
+        umdFunction(0x02, Buffer.from(title, 'utf16le')),
+        umdFunction(0x03, Buffer.from(author, 'utf16le'))
+    ];
+    if (chapters.length > 0) {
+        const titles = Buffer.concat(chapters.map(chapter => {
+            const bytes = Buffer.from(chapter.title, 'utf16le');
+            return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+        }));
+        parts.push(umdFunction(0x83), umdData(100, uint32List(chapters.map(chapter => Buffer.byteLength(text.slice(0, chapter.position), 'utf16le')))));
+        parts.push(umdFunction(0x84), umdData(101, titles));
+    }
+    parts.push(...(order ? order.map(check => blocks[check - 1]) : blocks));
+    if (order) parts.push(umdFunction(0x81), umdData(102, uint32List([1, 2])));
+    parts.push(umdFunction(0x0C, uint32List([0])));
+    return Buffer.concat(parts);
+}
+
+test('UMD 按章节偏移和标题表分章，读取书名和作者', () => {
+    const text = '前言\u2029第一章 开始\u2029第一段\u2029第二段\u2029第二章 结束\u2029最后一段';
+    const chapters = [
+        { title: '第一章 开始', position: text.indexOf('第一章') },
+        { title: '第二章 结束', position: text.indexOf('第二章') }
+    ];
+    const book = BookFormats.parseBook('test.umd', createUmd({ title: '测试书', author: '作者', text, chapters }));
+    assert.strictEqual(book.format, 'umd');
+    assert.strictEqual(book.title, '测试书');
+    assert.strictEqual(book.author, '作者');
+    assert.deepStrictEqual(book.chapters.map(chapter => chapter.title), ['开始', '第一章 开始', '第二章 结束']);
+    assert.strictEqual(book.text, '开始\n前言\n\n第一章 开始\n第一段\n第二段\n\n第二章 结束\n最后一段\n\n');
+
+    // 正文块存放顺序打乱时按顺序表拼接；没有章节表时整本作为一章
+    const reordered = BookFormats.parseBook('test.umd', createUmd({ text: '第一段\u2029第二段内容', order: [2, 1] }));
+    assert.deepStrictEqual(reordered.chapters.map(chapter => chapter.title), ['全文']);
+    assert.strictEqual(reordered.text, '全文\n第一段\n第二段内容\n\n');
+});
+
+test('UMD 文件头不对、块损坏或是漫画格式时报错', () => {
+    const umd = createUmd({ text: '正文' });
+    assert.throws(() => BookFormats.parseBook('bad.umd', Buffer.from('not umd')), /不是有效的 UMD 文件/);
+    assert.throws(() => BookFormats.parseBook('bad.umd', Buffer.concat([umd, Buffer.from([0x00])])), /UMD 文件已损坏/);
+
+    const comic = Buffer.from(umd);
+    comic[4 + 5] = 2;
+    assert.throws(() => BookFormats.parseBook('comic.umd', comic), /不支持图片/);
+
+    const corrupted = Buffer.from(umd);
+    const dataStart = umd.indexOf(0x24, 4);
+    corrupted[dataStart + 9] ^= 0xFF;
+    assert.throws(() => BookFormats.parseBook('bad.umd', corrupted), /UMD 正文解压失败/);
+});
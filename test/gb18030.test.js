@@ -0,0 +1,16 @@
+// GB18030 解码的测试：node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const GB18030 = require('../gb18030');
+
+// 「第一章 中文」的 GBK 编码，加上四字节序列 0x81308130（U+0080）
+const bytes = new Uint8Array([0xB5, 0xDA, 0xD2, 0xBB, 0xD5, 0xC2, 0x20, 0xD6, 0xD0, 0xCE, 0xC4, 0x81, 0x30, 0x81, 0x30]);
+
+test('解码双字节和四字节序列', () => {
+    assert.strictEqual(GB18030.decode(bytes), '第一章 中文\u0080');
+});
+
+test('源码可以单独求值，供 Blob 创建的 Worker 使用', () => {
+    const decoder = new Function(`return ${GB18030.source};`)();
+    assert.strictEqual(decoder.decode(bytes), GB18030.decode(bytes));
+});
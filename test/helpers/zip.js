@@ -0,0 +1,59 @@
+// 测试用的 ZIP 打包，足够 zip-reader 读取
+const zlib = require('zlib');
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files 为 { 文件名: 内容 } 或 [[文件名, 内容]]；文件名为 Buffer 时不带 UTF-8 标记（模拟 GBK 文件名）
+// deflate 为 true 时用 Deflate 压缩，否则只存储
+function createZip(files, { deflate = false } = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    (Array.isArray(files) ? files : Object.entries(files)).forEach(([name, content]) => {
+        const nameBytes = Buffer.isBuffer(name) ? name : Buffer.from(name);
+        const flags = Buffer.isBuffer(name) ? 0 : 0x800;
+        const raw = Buffer.from(content);
+        const data = deflate ? zlib.deflateRawSync(raw) : raw;
+        const method = deflate ? 8 : 0;
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(crc32(raw), 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(flags, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(crc32(raw), 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes, data);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + data.length;
+    });
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centrals.length / 2, 8);
+    end.writeUInt16LE(centrals.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = { createZip };
@@ -0,0 +1,102 @@
+// 书库索引的测试：在临时目录中增删改名，检查索引随之更新。node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LibraryIndex = require('../library-index');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-index-'));
+const libraryDir = path.join(tempDir, 'library');
+const outsideDir = path.join(tempDir, 'outside');
+const indexFile = path.join(tempDir, 'library_index.json');
+
+function writeBook(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+// 索引由监听事件在后台更新，等到条件满足为止
+async function waitFor(check, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    for (; ;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('等待索引更新超时');
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
+
+async function listNames(dir = libraryDir) {
+    return (await LibraryIndex.getFiles(dir)).map(filePath => path.relative(dir, filePath).split(path.sep).join('/'));
+}
+
+test.before(() => {
+    writeBook(path.join(libraryDir, '甲.txt'), '书名：甲\n作者：某人\n\n第一章 开始\n正文\n');
+    writeBook(path.join(libraryDir, '子目录', '乙.txt'), '第一章\n正文\n');
+    writeBook(path.join(libraryDir, '子目录', '说明.doc'), '不是书');
+    writeBook(path.join(libraryDir, 'node_modules', '丙.txt'), '忽略的目录');
+    writeBook(path.join(outsideDir, '丁.txt'), '书库之外');
+    return LibraryIndex.init(indexFile, [libraryDir]);
+});
+
+test.after(async () => {
+    // 停止所有监听，测试进程才能退出；等移除根目录后的保存完成再删除临时目录
+    LibraryIndex.setLibraryDirs([]);
+    await new Promise(resolve => setTimeout(resolve, 2500));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('首次访问时扫描书库，跳过非书文件和忽略的目录', async () => {
+    assert.deepStrictEqual(await listNames(), ['子目录/乙.txt', '甲.txt']);
+    assert.deepStrictEqual(await listNames(path.join(libraryDir, '子目录')), ['乙.txt']);
+});
+
+test('后台读取书名和作者', async () => {
+    const entry = await waitFor(async () => (await LibraryIndex.getEntries(libraryDir)).find(item => item.meta && item.path.endsWith('甲.txt')));
+    assert.strictEqual(entry.meta.title, '甲');
+    assert.strictEqual(entry.meta.author, '某人');
+    assert.ok(entry.hash);
+});
+
+test('新增、删除和改名的书随之更新', async () => {
+    writeBook(path.join(libraryDir, '新书.txt'), '新书正文');
+    await waitFor(async () => (await listNames()).includes('新书.txt'));
+
+    fs.renameSync(path.join(libraryDir, '新书.txt'), path.join(libraryDir, '子目录', '改名.txt'));
+    await waitFor(async () => {
+        const names = await listNames();
+        return !names.includes('新书.txt') && names.includes('子目录/改名.txt');
+    });
+
+    fs.rmSync(path.join(libraryDir, '子目录'), { recursive: true });
+    await waitFor(async () => (await listNames()).join() === '甲.txt');
+});
+
+test('无法解析的书记为失败，不再反复重试', async () => {
+    writeBook(path.join(libraryDir, '损坏.epub'), '不是压缩包');
+    const entry = await waitFor(async () => (await LibraryIndex.getEntries(libraryDir)).find(item => item.path.endsWith('损坏.epub') && item.detailsFailed));
+    assert.strictEqual(entry.meta, null);
+    fs.rmSync(path.join(libraryDir, '损坏.epub'));
+});
+
+test('书库之外的目录只临时扫描，不建立索引', async () => {
+    assert.deepStrictEqual(await listNames(outsideDir), ['丁.txt']);
+    const entries = await LibraryIndex.getEntries(outsideDir);
+    assert.strictEqual(entries[0].meta, null);
+
+    await new Promise(resolve => setTimeout(resolve, 2500));
+    const saved = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    assert.deepStrictEqual(Object.keys(saved.roots), [libraryDir]);
+});
+
+test('加入上级目录时合并已有的根目录', async () => {
+    LibraryIndex.setLibraryDirs([libraryDir, tempDir]);
+    assert.deepStrictEqual(await listNames(tempDir), ['library/甲.txt', 'outside/丁.txt']);
+
+    await new Promise(resolve => setTimeout(resolve, 2500));
+    const saved = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    assert.deepStrictEqual(Object.keys(saved.roots), [tempDir]);
+    // 合并前已读取的元数据保留
+    assert.strictEqual(saved.roots[tempDir].files[path.join(libraryDir, '甲.txt')].meta.title, '甲');
+});
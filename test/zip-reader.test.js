@@ -0,0 +1,72 @@
+// ZIP 读取的测试：node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ZipReader = require('../zip-reader');
+const { createZip } = require('./helpers/zip');
+
+const longText = '第一章 开始\n'.repeat(200);
+
+test('读取存储和 Deflate 压缩的成员', () => {
+    for (const deflate of [false, true]) {
+        const zip = ZipReader.openZip(createZip({ 'a.txt': '你好', 'dir/': '', 'dir/b.txt': longText }, { deflate }));
+        assert.deepStrictEqual(zip.entries.map(entry => [entry.name, entry.size, entry.isDirectory]), [
+            ['a.txt', Buffer.byteLength('你好'), false],
+            ['dir/', 0, true],
+            ['dir/b.txt', Buffer.byteLength(longText), false]
+        ]);
+        assert.strictEqual(zip.read('a.txt').toString(), '你好');
+        assert.strictEqual(zip.read('dir/b.txt').toString(), longText);
+        assert.ok(zip.has('dir/b.txt'));
+        assert.ok(!zip.has('missing.txt'));
+        assert.throws(() => zip.read('missing.txt'), /ZIP 中没有文件/);
+    }
+});
+
+test('没有 UTF-8 标记的文件名按 GBK 解码', () => {
+    // 「中文.txt」的 GBK 编码
+    const gbkName = Buffer.from([0xD6, 0xD0, 0xCE, 0xC4, 0x2E, 0x74, 0x78, 0x74]);
+    const zip = ZipReader.openZip(createZip([[gbkName, '正文'], [Buffer.from('plain.txt'), 'x']]));
+    assert.deepStrictEqual(zip.entries.map(entry => entry.name), ['中文.txt', 'plain.txt']);
+    assert.strictEqual(zip.read('中文.txt').toString(), '正文');
+});
+
+test('按需读取磁盘上的 ZIP', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-reader-'));
+    try {
+        const zipPath = path.join(tempDir, 'pack.zip');
+        fs.writeFileSync(zipPath, createZip({ 'a.txt': 'A', 'b.txt': longText }, { deflate: true }));
+        const zip = await ZipReader.openZipFile(zipPath);
+        assert.strictEqual((await zip.read('b.txt')).toString(), longText);
+        assert.strictEqual((await zip.read('a.txt')).toString(), 'A');
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
+
+test('找不到中央目录结尾记录时报错', () => {
+    assert.throws(() => ZipReader.openZip(Buffer.from('short')), /不是有效的 ZIP 文件/);
+    assert.throws(() => ZipReader.openZip(Buffer.alloc(1024, 0x20)), /不是有效的 ZIP 文件/);
+    // 结尾记录被截掉
+    const zip = createZip({ 'a.txt': 'A' });
+    assert.throws(() => ZipReader.openZip(zip.subarray(0, zip.length - 10)), /不是有效的 ZIP 文件/);
+});
+
+test('中央目录损坏、加密或不支持的压缩方式时报错', () => {
+    const zip = createZip({ 'a.txt': 'A' });
+    const centralOffset = zip.readUInt32LE(zip.length - 6);
+
+    const corrupted = Buffer.from(zip);
+    corrupted.writeUInt32LE(0, centralOffset);
+    assert.throws(() => ZipReader.openZip(corrupted), /中央目录已损坏/);
+
+    const encrypted = Buffer.from(zip);
+    encrypted.writeUInt16LE(encrypted.readUInt16LE(centralOffset + 8) | 0x1, centralOffset + 8);
+    assert.throws(() => ZipReader.openZip(encrypted).read('a.txt'), /不支持加密/);
+
+    const bzip2 = Buffer.from(zip);
+    bzip2.writeUInt16LE(12, centralOffset + 10);
+    assert.throws(() => ZipReader.openZip(bzip2).read('a.txt'), /不支持的压缩方式 12/);
+});
@@ -0,0 +1,148 @@
+// 最小的 ZIP 读取：解析中央目录，支持存储和 Deflate 两种压缩方式，不依赖第三方库
+// 用于 EPUB 等以 ZIP 打包的格式，以及书库中的 ZIP 压缩包
+const fsPromises = require('fs').promises;
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xFFFF;
+const LOCAL_HEADER_SIZE = 30;
+const MAX_ENTRY_SIZE = 512 * 1024 * 1024; // 单个成员解压后的大小上限，防止压缩炸弹占满内存
+
+// 文件名没有 UTF-8 标记时多半是 Windows 中文系统打包的 GBK 文件名
+function decodeName(bytes, isUtf8) {
+    if (isUtf8 || bytes.every(byte => byte < 0x80)) return bytes.toString('utf8');
+    return new TextDecoder('gb18030').decode(bytes);
+}
+
+// DOS 格式的日期和时间（本地时间）
+function decodeDosTime(date, time) {
+    return new Date(((date >> 9) & 0x7F) + 1980, ((date >> 5) & 0x0F) - 1, date & 0x1F,
+        time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2).getTime();
+}
+
+// 在文件末尾（tail 为最后一段内容）查找中央目录结尾记录，返回中央目录的位置和条目数
+function findCentralDirectory(tail) {
+    for (let offset = tail.length - EOCD_SIZE; offset >= 0; offset--) {
+        if (tail.readUInt32LE(offset) !== EOCD_SIGNATURE) continue;
+        const directory = {
+            count: tail.readUInt16LE(offset + 10),
+            size: tail.readUInt32LE(offset + 12),
+            offset: tail.readUInt32LE(offset + 16)
+        };
+        if (directory.offset === 0xFFFFFFFF) throw new Error('不支持 ZIP64 格式');
+        return directory;
+    }
+    throw new Error('不是有效的 ZIP 文件');
+}
+
+// 解析中央目录：返回 [{ name, size, compressedSize, mtime, isDirectory, flags, method, localOffset }]
+function parseCentralDirectory(buffer, count) {
+    const entries = [];
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('ZIP 中央目录已损坏');
+        const flags = buffer.readUInt16LE(offset + 8);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const name = decodeName(buffer.subarray(offset + 46, offset + 46 + nameLength), (flags & 0x800) !== 0);
+        entries.push({
+            name,
+            size: buffer.readUInt32LE(offset + 24),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            mtime: decodeDosTime(buffer.readUInt16LE(offset + 14), buffer.readUInt16LE(offset + 12)),
+            isDirectory: name.endsWith('/'),
+            flags,
+            method: buffer.readUInt16LE(offset + 10),
+            localOffset: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function checkEntry(entry) {
+    if (entry.flags & 0x1) throw new Error(`不支持加密的 ZIP 文件: ${entry.name}`);
+    if (entry.method !== 0 && entry.method !== 8) throw new Error(`不支持的压缩方式 ${entry.method}: ${entry.name}`);
+    if (entry.size > MAX_ENTRY_SIZE) throw new Error(`ZIP 中的文件过大: ${entry.name}`);
+}
+
+// 本地文件头里的文件名和扩展字段长度可能与中央目录不同，以本地的为准
+function getDataOffset(entry, localHeader) {
+    if (localHeader.readUInt32LE(0) !== LOCAL_SIGNATURE) throw new Error(`ZIP 文件头已损坏: ${entry.name}`);
+    return entry.localOffset + LOCAL_HEADER_SIZE + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+}
+
+// 中央目录里的大小可能是伪造的，解压时同样限制输出大小
+function inflate(entry, data) {
+    if (entry.method === 0) return data;
+    try {
+        return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`ZIP 中的文件过大: ${entry.name}`);
+        throw error;
+    }
+}
+
+function createArchive(entries, read) {
+    const byName = new Map(entries.map(entry => [entry.name, entry]));
+    return {
+        entries,
+        has: name => byName.has(name),
+        read: name => {
+            const entry = byName.get(name);
+            if (!entry) throw new Error(`ZIP 中没有文件: ${name}`);
+            checkEntry(entry);
+            return read(entry);
+        }
+    };
+}
+
+// 打开内存中的 ZIP：返回 { entries, has(name), read(name) }，read 同步返回解压后的 Buffer
+function openZip(buffer) {
+    if (buffer.length < EOCD_SIZE) throw new Error('不是有效的 ZIP 文件');
+    const directory = findCentralDirectory(buffer.subarray(Math.max(0, buffer.length - EOCD_SIZE - MAX_COMMENT_LENGTH)));
+    const entries = parseCentralDirectory(buffer.subarray(directory.offset, directory.offset + directory.size), directory.count);
+    return createArchive(entries, entry => {
+        const dataStart = getDataOffset(entry, buffer.subarray(entry.localOffset, entry.localOffset + LOCAL_HEADER_SIZE));
+        return inflate(entry, buffer.subarray(dataStart, dataStart + entry.compressedSize));
+    });
+}
+
+async function readAt(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await fd.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+// 打开磁盘上的 ZIP，只读取中央目录，成员按需读取：read 返回 Promise<Buffer>
+async function openZipFile(filePath) {
+    const fd = await fsPromises.open(filePath, 'r');
+    try {
+        const { size } = await fd.stat();
+        if (size < EOCD_SIZE) throw new Error('不是有效的 ZIP 文件');
+        const tailLength = Math.min(size, EOCD_SIZE + MAX_COMMENT_LENGTH);
+        const directory = findCentralDirectory(await readAt(fd, size - tailLength, tailLength));
+        const entries = parseCentralDirectory(await readAt(fd, directory.offset, directory.size), directory.count);
+        return createArchive(entries, async entry => {
+            const memberFd = await fsPromises.open(filePath, 'r');
+            try {
+                const dataStart = getDataOffset(entry, await readAt(memberFd, entry.localOffset, LOCAL_HEADER_SIZE));
+                return inflate(entry, await readAt(memberFd, dataStart, entry.compressedSize));
+            } finally {
+                await memberFd.close();
+            }
+        });
+    } finally {
+        await fd.close();
+    }
+}
+
+module.exports = {
+    MAX_ENTRY_SIZE,
+    openZip,
+    openZipFile
+};